@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Per template type switch for the draft -> review -> published workflow
+const approvalPolicySchema = new mongoose.Schema({
+    templateType: {
+        type: String,
+        required: [true, 'Template type is required'],
+        unique: true,
+        trim: true
+    },
+    requireApproval: {
+        type: Boolean,
+        default: false
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Static method to check whether templates of a type need review before publishing
+approvalPolicySchema.statics.requiresApproval = async function(templateType) {
+    const policy = await this.findOne({ templateType });
+    return Boolean(policy && policy.requireApproval);
+};
+
+// Static method to create or update the policy for a template type
+approvalPolicySchema.statics.setPolicy = function(templateType, requireApproval, userId) {
+    return this.findOneAndUpdate(
+        { templateType },
+        { requireApproval, updatedBy: userId },
+        { new: true, upsert: true, runValidators: true }
+    );
+};
+
+module.exports = mongoose.model('ApprovalPolicy', approvalPolicySchema);
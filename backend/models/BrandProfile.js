@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+const { parseImageDataUrl, MAX_IMAGE_BYTES } = require('../utils/imageData');
+
+// Letterhead used when neither the template nor the organization sets a brand profile
+const DEFAULT_BRAND = {
+    name: 'Default',
+    companyName: 'DocGen-Mongo',
+    tagline: 'Document Automation System',
+    logo: null,
+    address: '',
+    registrationNumbers: [],
+    colors: {
+        primary: '#2c3e50',
+        secondary: '#34495e',
+        text: '#333333'
+    },
+    fonts: {
+        body: 'Times New Roman',
+        heading: 'Times New Roman'
+    },
+    footerText: ''
+};
+
+const COLOR_REGEX = /^#[0-9a-fA-F]{6}$/;
+// Font family names are written into CSS and Word styles, so only plain names are allowed
+const FONT_REGEX = /^[A-Za-z0-9][A-Za-z0-9 -]*$/;
+
+const colorField = (fallback) => ({
+    type: String,
+    trim: true,
+    default: fallback,
+    match: [COLOR_REGEX, 'Colours must be hex values such as #2c3e50']
+});
+
+const fontField = (fallback) => ({
+    type: String,
+    trim: true,
+    default: fallback,
+    match: [FONT_REGEX, 'Fonts must be font family names such as "Georgia" or "Open Sans"'],
+    maxlength: [50, 'Font names cannot exceed 50 characters']
+});
+
+// Letterhead of an organization or subsidiary: logo, company details, colours, fonts and footer
+const brandProfileSchema = new mongoose.Schema({
+    name: {
+        // Name shown in pickers, e.g. "Acme India"
+        type: String,
+        required: [true, 'Brand profile name is required'],
+        unique: true,
+        trim: true,
+        maxlength: [100, 'Brand profile name cannot exceed 100 characters']
+    },
+    companyName: {
+        type: String,
+        required: [true, 'Company name is required'],
+        trim: true,
+        maxlength: [150, 'Company name cannot exceed 150 characters']
+    },
+    tagline: {
+        type: String,
+        trim: true,
+        maxlength: [150, 'Tagline cannot exceed 150 characters']
+    },
+    logo: {
+        // PNG, JPEG or GIF data URL
+        type: String,
+        validate: {
+            validator: function(value) {
+                if (!value) return true;
+                const image = parseImageDataUrl(value);
+                return Boolean(image) && image.buffer.length <= MAX_IMAGE_BYTES;
+            },
+            message: `Logo must be a PNG, JPEG or GIF data URL of at most ${MAX_IMAGE_BYTES / (1024 * 1024)}MB`
+        }
+    },
+    address: {
+        // Multi-line postal address
+        type: String,
+        trim: true,
+        maxlength: [500, 'Address cannot exceed 500 characters']
+    },
+    registrationNumbers: [{
+        // e.g. { label: 'CIN', value: 'U72900KA2020PTC123456' }
+        label: {
+            type: String,
+            required: [true, 'Registration number label is required'],
+            trim: true
+        },
+        value: {
+            type: String,
+            required: [true, 'Registration number is required'],
+            trim: true
+        },
+        _id: false
+    }],
+    colors: {
+        primary: colorField(DEFAULT_BRAND.colors.primary),
+        secondary: colorField(DEFAULT_BRAND.colors.secondary),
+        text: colorField(DEFAULT_BRAND.colors.text)
+    },
+    fonts: {
+        body: fontField(DEFAULT_BRAND.fonts.body),
+        heading: fontField(DEFAULT_BRAND.fonts.heading)
+    },
+    footerText: {
+        type: String,
+        trim: true,
+        maxlength: [300, 'Footer text cannot exceed 300 characters']
+    },
+    // Used by templates that do not choose a profile; only one profile is the default
+    isDefault: {
+        type: Boolean,
+        default: false
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+brandProfileSchema.index({ isDefault: 1 });
+
+// Post-save middleware to keep a single default profile
+brandProfileSchema.post('save', async function(doc) {
+    if (doc.isDefault) {
+        await doc.constructor.updateMany({ _id: { $ne: doc._id }, isDefault: true }, { isDefault: false });
+    }
+});
+
+// Static method to check whether templates may choose a profile
+brandProfileSchema.statics.isAvailable = async function(id) {
+    return mongoose.Types.ObjectId.isValid(id) && Boolean(await this.exists({ _id: id, isActive: true }));
+};
+
+// Static method to get the brand a template renders with: its own profile, else the default
+// profile, else the built-in letterhead. Returns a plain object shaped like a profile
+brandProfileSchema.statics.resolve = async function(id) {
+    const profile = (id && await this.findOne({ _id: id, isActive: true })) ||
+        await this.findOne({ isDefault: true, isActive: true });
+    return profile ? profile.toObject() : DEFAULT_BRAND;
+};
+
+module.exports = mongoose.model('BrandProfile', brandProfileSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { createVerificationCode } = require('../utils/verification');
 
 const generatedDocSchema = new mongoose.Schema({
     documentId: {
@@ -13,6 +14,15 @@ const generatedDocSchema = new mongoose.Schema({
             return `DOC-${dateStr}-${random}`;
         }
     },
+    verificationCode: {
+        // Short code printed on the document; needed with the document ID to verify it publicly
+        type: String,
+        default: createVerificationCode
+    },
+    contentHash: {
+        // SHA-256 of the generated file, hex encoded
+        type: String
+    },
     templateId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Template',
@@ -26,6 +36,18 @@ const generatedDocSchema = new mongoose.Schema({
         type: String,
         required: true
     },
+    templateVersion: {
+        // Template version (revision number) the document was rendered from
+        type: Number
+    },
+    templateRevision: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'TemplateRevision'
+    },
+    language: {
+        // Language of the template variant the document was rendered in
+        type: String
+    },
     recipientData: {
         type: mongoose.Schema.Types.Mixed,
         required: [true, 'Recipient data is required']
@@ -74,6 +96,16 @@ const generatedDocSchema = new mongoose.Schema({
     lastDownloadAt: {
         type: Date
     },
+    // Watermarked copies handed out on download (e.g. those marked "COPY"); their content differs
+    // from the stored file, so their hashes are kept for verification
+    issuedCopies: [{
+        _id: false,
+        contentHash: String,
+        issuedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
     emailSent: {
         type: Boolean,
         default: false
@@ -95,7 +127,8 @@ const generatedDocSchema = new mongoose.Schema({
     },
     expiresAt: {
         type: Date,
-        // Auto-delete documents after specified time (default 30 days)
+        // Auto-delete documents after specified time (default 30 days,
+        // overridden by the retention policy of the template type)
         default: () => new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
         index: { expireAfterSeconds: 0 }
     }
@@ -119,6 +152,7 @@ generatedDocSchema.virtual('summary').get(function() {
         documentId: this.documentId,
         templateName: this.templateName,
         templateType: this.templateType,
+        templateVersion: this.templateVersion,
         recipientName: this.recipientData.name || 'Unknown',
         generationType: this.generationType,
         outputFormat: this.outputFormat,
@@ -154,6 +188,24 @@ generatedDocSchema.pre('save', async function(next) {
     next();
 });
 
+// Pre-save middleware to apply the retention policy of the template type
+// Types without a retention period keep their documents indefinitely
+generatedDocSchema.pre('save', async function(next) {
+    if (this.isNew && this.templateType) {
+        try {
+            const TemplateType = mongoose.model('TemplateType');
+            const templateType = await TemplateType.findOne({ key: this.templateType });
+            if (templateType) {
+                const { days } = templateType.retention || {};
+                this.expiresAt = days ? new Date(Date.now() + days * 24 * 60 * 60 * 1000) : undefined;
+            }
+        } catch (error) {
+            console.error('Error applying retention policy:', error);
+        }
+    }
+    next();
+});
+
 // Instance method to increment download count
 generatedDocSchema.methods.recordDownload = async function() {
     this.downloadCount += 1;
@@ -161,6 +213,12 @@ generatedDocSchema.methods.recordDownload = async function() {
     return this.save({ validateBeforeSave: false });
 };
 
+// Instance method to record the hash of a watermarked copy handed out on download
+generatedDocSchema.methods.recordIssuedCopy = async function(contentHash) {
+    this.issuedCopies.push({ contentHash });
+    return this.save({ validateBeforeSave: false });
+};
+
 // Instance method to mark email as sent
 generatedDocSchema.methods.markEmailSent = async function(recipient) {
     this.emailSent = true;
@@ -181,11 +239,12 @@ generatedDocSchema.methods.markAsFailed = async function(errorMessage) {
 };
 
 // Instance method to mark as completed
-generatedDocSchema.methods.markAsCompleted = async function(filePath, fileName, fileSize) {
+generatedDocSchema.methods.markAsCompleted = async function(filePath, fileName, fileSize, contentHash) {
     this.status = 'completed';
     this.filePath = filePath;
     this.fileName = fileName;
     this.fileSize = fileSize;
+    this.contentHash = contentHash;
     return this.save({ validateBeforeSave: false });
 };
 
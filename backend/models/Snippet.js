@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+const templateEngine = require('../utils/templateEngine');
+
+// Shared block of content, such as a confidentiality clause or signature block,
+// included in templates with {{> key}} and expanded when documents are rendered
+const snippetSchema = new mongoose.Schema({
+    key: {
+        // Name used in {{> key}} tags, e.g. "confidentiality_clause"
+        type: String,
+        required: [true, 'Snippet key is required'],
+        unique: true,
+        trim: true,
+        lowercase: true,
+        match: [/^[a-z][a-z0-9_]*$/, 'Snippet key may only contain lowercase letters, numbers and underscores'],
+        maxlength: [50, 'Snippet key cannot exceed 50 characters']
+    },
+    name: {
+        type: String,
+        required: [true, 'Snippet name is required'],
+        trim: true,
+        maxlength: [100, 'Snippet name cannot exceed 100 characters']
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Description cannot exceed 500 characters']
+    },
+    content: {
+        type: String,
+        required: [true, 'Snippet content is required'],
+        validate: {
+            // parse() throws with a descriptive message on unbalanced block tags
+            validator: function(value) {
+                templateEngine.parse(value);
+                return true;
+            }
+        }
+    },
+    // Keys of the snippets this one includes directly, kept in sync with content
+    snippets: [{
+        type: String
+    }],
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+snippetSchema.index({ snippets: 1 });
+
+// Pre-validate middleware to record included snippets and reject unknown or circular ones
+snippetSchema.pre('validate', async function(next) {
+    if (!this.isNew && !this.isModified('content')) return next();
+
+    try {
+        const keys = templateEngine.extractPartials(this.content);
+        this.snippets = keys;
+        const { snippets, missing } = await this.constructor.resolve(keys);
+        if (missing.length > 0) {
+            this.invalidate('content', `Unknown snippet(s): ${missing.join(', ')}`);
+        }
+        if (keys.includes(this.key) || snippets.has(this.key)) {
+            this.invalidate('content', `Snippet '${this.key}' cannot include itself`);
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Static method to load the snippets that keys refer to, and the snippets those include
+// Returns { snippets: Map of key to content, missing: [keys not found] }
+snippetSchema.statics.resolve = async function(keys) {
+    const snippets = new Map();
+    const missing = [];
+    let pending = [...new Set(keys)];
+
+    while (pending.length > 0) {
+        const found = await this.find({ key: { $in: pending } }).select('key content snippets');
+        const next = new Set();
+
+        pending.forEach(key => {
+            const snippet = found.find(s => s.key === key);
+            if (!snippet) {
+                missing.push(key);
+                return;
+            }
+            snippets.set(key, snippet.content);
+            snippet.snippets.forEach(included => {
+                if (!snippets.has(included) && !pending.includes(included)) next.add(included);
+            });
+        });
+
+        pending = [...next].filter(key => !snippets.has(key) && !missing.includes(key));
+    }
+
+    return { snippets, missing };
+};
+
+// Static method to find the keys of every snippet that includes a snippet, directly or through others
+snippetSchema.statics.findIncluding = async function(key) {
+    const including = new Set();
+    let pending = [key];
+
+    while (pending.length > 0) {
+        const found = await this.find({ snippets: { $in: pending } }).select('key');
+        pending = found.map(s => s.key).filter(k => k !== key && !including.has(k));
+        pending.forEach(k => including.add(k));
+    }
+
+    return [...including];
+};
+
+module.exports = mongoose.model('Snippet', snippetSchema);
@@ -1,4 +1,106 @@
 const mongoose = require('mongoose');
+const placeholderSchema = require('./placeholderSchema');
+const marginField = require('./marginField');
+const templateEngine = require('../utils/templateEngine');
+const { applyFormatters, DEFAULT_CURRENCY } = require('../utils/formatters');
+const { parseImageDataUrl, MAX_IMAGE_BYTES } = require('../utils/imageData');
+const { getPath, setPath } = require('../utils/objectPath');
+const expressionEvaluator = require('../utils/expressionEvaluator');
+const { lintContent, createIssue, findPlaceholderUsage } = require('../utils/templateLinter');
+const { checkRules } = require('../utils/validationRules');
+const { escapeMarkdown } = require('../utils/markdown');
+const TemplateRevision = require('./TemplateRevision');
+const ApprovalPolicy = require('./ApprovalPolicy');
+const TemplateType = require('./TemplateType');
+const Snippet = require('./Snippet');
+const BrandProfile = require('./BrandProfile');
+
+// parse() throws with a descriptive message on unbalanced block tags
+const contentValidator = {
+    validator: function(value) {
+        templateEngine.parse(value);
+        return true;
+    }
+};
+
+// Locales Intl can format dates and numbers for, e.g. "de-DE" or "hi-IN"
+const isSupportedLocale = (locale) => {
+    if (!locale) return true;
+    try {
+        return Intl.NumberFormat.supportedLocalesOf(locale).length > 0;
+    } catch (error) {
+        return false;
+    }
+};
+
+// Page settings of a template; fields left unset fall back to the template type's page layout
+const pageSetupSchema = new mongoose.Schema({
+    format: {
+        type: String,
+        enum: {
+            values: ['A4', 'Letter', 'Legal'],
+            message: 'Page size must be A4, Letter or Legal'
+        }
+    },
+    orientation: {
+        type: String,
+        enum: {
+            values: ['portrait', 'landscape'],
+            message: 'Orientation must be portrait or landscape'
+        }
+    },
+    margins: {
+        top: marginField,
+        right: marginField,
+        bottom: marginField,
+        left: marginField
+    },
+    backgroundImage: {
+        // Full-page artwork (PNG, JPEG or GIF data URL), e.g. a certificate border,
+        // stretched to the page edges behind the content
+        type: String,
+        validate: {
+            validator: function(value) {
+                if (!value) return true;
+                const image = parseImageDataUrl(value);
+                return Boolean(image) && image.buffer.length <= MAX_IMAGE_BYTES;
+            },
+            message: `Background image must be a PNG, JPEG or GIF data URL of at most ${MAX_IMAGE_BYTES / (1024 * 1024)}MB`
+        }
+    },
+    // Whether CSS backgrounds (colours, shading) are printed in PDFs
+    printBackground: {
+        type: Boolean
+    }
+}, { _id: false });
+
+// Translation of a template's content; generation picks one by language
+const variantSchema = new mongoose.Schema({
+    language: {
+        // Language tag, e.g. "hi" or "de-AT"
+        type: String,
+        required: [true, 'Variant language is required'],
+        trim: true,
+        match: [/^[a-z]{2,3}(-[A-Za-z]{2,4})?$/, 'Variant language must be a language tag such as "de" or "de-AT"']
+    },
+    locale: {
+        // Formatting locale for dates and numbers; defaults to the language
+        type: String,
+        trim: true,
+        validate: [isSupportedLocale, 'Unsupported locale']
+    },
+    content: {
+        type: String,
+        required: [true, 'Variant content is required'],
+        validate: contentValidator
+    },
+    // Placeholder labels in this language, by placeholder key
+    labels: {
+        type: Map,
+        of: String,
+        default: undefined
+    }
+}, { _id: false });
 
 const templateSchema = new mongoose.Schema({
     name: {
@@ -10,8 +112,14 @@ const templateSchema = new mongoose.Schema({
     type: {
         type: String,
         required: [true, 'Template type is required'],
-        enum: {
-            values: ['offer_letter', 'appointment_letter', 'experience_letter', 'completion_certificate', 'relieving_letter', 'salary_certificate'],
+        trim: true,
+        validate: {
+            // Types are managed in the TemplateType collection; existing templates
+            // keep a type that has since been deactivated
+            validator: function(value) {
+                if (!this.isNew && !this.isModified('type')) return true;
+                return TemplateType.isAvailable(value);
+            },
             message: 'Invalid template type'
         }
     },
@@ -22,41 +130,117 @@ const templateSchema = new mongoose.Schema({
     },
     content: {
         type: String,
-        required: [true, 'Template content is required']
+        required: [true, 'Template content is required'],
+        validate: contentValidator
     },
-    placeholders: [{
-        key: {
-            type: String,
-            required: true,
-            trim: true
-        },
-        label: {
-            type: String,
-            required: true,
-            trim: true
-        },
-        type: {
-            type: String,
-            enum: ['text', 'number', 'date', 'email'],
-            default: 'text'
-        },
-        required: {
-            type: Boolean,
-            default: true
-        },
-        defaultValue: {
-            type: String,
-            trim: true
+    // Language of content; variants hold the same letter in other languages
+    defaultLanguage: {
+        type: String,
+        trim: true,
+        default: 'en',
+        match: [/^[a-z]{2,3}(-[A-Za-z]{2,4})?$/, 'Default language must be a language tag such as "en" or "en-IN"']
+    },
+    // Formatting locale for content; when unset, dates use English and amounts en-IN/en-US
+    defaultLocale: {
+        type: String,
+        trim: true,
+        validate: [isSupportedLocale, 'Unsupported locale']
+    },
+    variants: {
+        type: [variantSchema],
+        validate: {
+            validator: function(variants) {
+                const languages = variants.map(v => v.language.toLowerCase());
+                return new Set(languages).size === languages.length &&
+                    !languages.includes(String(this.defaultLanguage).toLowerCase());
+            },
+            message: 'Each variant must have a different language from the other variants and the default language'
         }
+    },
+    // 'markdown' content can use headings, bold/italic, lists and tables (see utils/markdown.js)
+    contentFormat: {
+        type: String,
+        enum: ['text', 'markdown'],
+        default: 'text'
+    },
+    placeholders: [placeholderSchema],
+    // Keys of the snippets content and variants include directly ({{> key}}), kept in sync on save
+    snippets: [{
+        type: String
     }],
     fileUrl: {
         type: String,
         trim: true
     },
+    // Page size, orientation, margins and background for generated PDF and DOCX files
+    pageSetup: {
+        type: pageSetupSchema,
+        default: undefined
+    },
+    // Letterhead for generated PDF and DOCX files; unset uses the default brand profile
+    brandProfile: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'BrandProfile',
+        validate: {
+            // Existing templates keep a profile that has since been deactivated
+            validator: function(value) {
+                if (!value || (!this.isNew && !this.isModified('brandProfile'))) return true;
+                return BrandProfile.isAvailable(value);
+            },
+            message: 'Invalid brand profile'
+        }
+    },
     isActive: {
         type: Boolean,
         default: true
     },
+    // Approval workflow state; set on first save. Templates saved before the
+    // workflow existed have no status and are treated as published.
+    status: {
+        type: String,
+        enum: {
+            values: ['draft', 'in_review', 'published', 'archived'],
+            message: 'Invalid template status'
+        }
+    },
+    // Revision number used for document generation
+    publishedVersion: {
+        type: Number
+    },
+    review: {
+        reviewer: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        requestedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        requestedAt: Date,
+        version: Number // Revision submitted for review
+    },
+    reviewHistory: [{
+        action: {
+            type: String,
+            enum: ['submitted', 'approved', 'rejected', 'published', 'archived'],
+            required: true
+        },
+        by: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        version: Number,
+        comment: {
+            type: String,
+            trim: true,
+            maxlength: [1000, 'Comment cannot exceed 1000 characters']
+        },
+        at: {
+            type: Date,
+            default: Date.now
+        }
+    }],
     createdBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
@@ -85,11 +269,30 @@ const templateSchema = new mongoose.Schema({
     toObject: { virtuals: true }
 });
 
+// Computed placeholder expressions must parse and must not reference each other in a cycle
+templateSchema.path('placeholders').validate(function(placeholders) {
+    expressionEvaluator.orderComputed(placeholders || []);
+    return true;
+});
+
 // Indexes for better performance
 templateSchema.index({ type: 1 });
 templateSchema.index({ isActive: 1 });
+templateSchema.index({ status: 1 });
+templateSchema.index({ 'review.reviewer': 1 });
 templateSchema.index({ createdBy: 1 });
-templateSchema.index({ name: 'text', description: 'text' });
+templateSchema.index({ snippets: 1 });
+// Full-text search; names and tags rank above descriptions and content
+templateSchema.index({
+    name: 'text',
+    tags: 'text',
+    description: 'text',
+    content: 'text',
+    'variants.content': 'text'
+}, {
+    name: 'template_search',
+    weights: { name: 10, tags: 5, description: 3, content: 1, 'variants.content': 1 }
+});
 
 // Virtual for template summary
 templateSchema.virtual('summary').get(function() {
@@ -100,48 +303,385 @@ templateSchema.virtual('summary').get(function() {
         description: this.description,
         placeholders: this.placeholders.length,
         isActive: this.isActive,
+        status: this.status,
+        version: this.version,
+        publishedVersion: this.publishedVersion,
         usageCount: this.usageCount,
         createdAt: this.createdAt,
         updatedAt: this.updatedAt
     };
 });
 
-// Pre-save middleware to extract placeholders from content
-templateSchema.pre('save', function(next) {
-    // Extract placeholders from content using regex
-    const placeholderRegex = /\{\{(\w+)\}\}/g;
-    const matches = [...this.content.matchAll(placeholderRegex)];
+// Build a readable label from a placeholder key
+// e.g. "candidate.address.city" -> "Candidate Address City"
+function labelFromKey(key) {
+    return key.replace(/[_.]/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+}
+
+// Guess a placeholder type from the last segment of its key
+function inferPlaceholderType(key, foundKeys) {
+    if (foundKeys.some(other => other.startsWith(`${key}.`))) return 'object';
     
-    // Get unique placeholder keys
-    const foundPlaceholders = [...new Set(matches.map(match => match[1]))];
+    const name = key.split('.').pop();
+    return name.includes('date') ? 'date' : 
+           name.includes('email') ? 'email' : 
+           name.includes('phone') || name.includes('mobile') ? 'phone' : 
+           name.includes('photo') ? 'image' : 
+           name.includes('salary') || name.includes('amount') ? 'number' : 'text';
+}
+
+// Merge the placeholders found in content with the configured ones:
+// existing configuration is kept, new keys get inferred settings and keys no longer
+// used are dropped (computed placeholders are kept, as other expressions may build on them)
+// Placeholders of included snippets count as used when their content is given, and
+// configured keys used inside {{#each}} count as used, as they come from the outer data
+// Throws when the content cannot be parsed
+function syncPlaceholders(content, placeholders = [], snippets) {
+    const foundPlaceholders = templateEngine.extractPlaceholders(content, snippets, placeholders.map(p => p.key));
+    const foundKeys = foundPlaceholders.map(p => p.key);
+    const existingKeys = placeholders.map(p => p.key);
+    
+    const added = foundPlaceholders
+        .filter(({ key }) => !existingKeys.includes(key))
+        .map(({ key, kind, conditional }) => ({
+            key,
+            label: labelFromKey(key),
+            type: inferPlaceholderType(key, foundKeys),
+            // Section keys ({{#if}}, {{#each}}) and values only shown inside
+            // a section may legitimately be empty
+            required: kind === 'variable' && !conditional
+        }));
+    
+    return [...placeholders, ...added].filter(p => p.expression || foundKeys.includes(p.key));
+}
+
+// Pre-validate middleware to record included snippets and load them for placeholder extraction
+templateSchema.pre('validate', async function(next) {
+    if (!this.isNew && !this.isModified('content') && !this.isModified('variants')) return next();
     
+    try {
+        const missing = await this.loadSnippets();
+        if (missing.length > 0) {
+            this.invalidate('content', `Unknown snippet(s): ${missing.join(', ')}`);
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Pre-save middleware to extract placeholders from content
+templateSchema.pre('save', function(next) {
     // If this is a new document or placeholders have changed, update them
-    if (this.isNew || this.isModified('content')) {
-        // Preserve existing placeholder configurations
-        const existingPlaceholders = this.placeholders || [];
-        const existingKeys = existingPlaceholders.map(p => p.key);
-        
-        // Add new placeholders that weren't configured before
-        foundPlaceholders.forEach(key => {
-            if (!existingKeys.includes(key)) {
-                this.placeholders.push({
-                    key,
-                    label: key.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase()),
-                    type: key.includes('date') ? 'date' : 
-                          key.includes('email') ? 'email' : 
-                          key.includes('salary') || key.includes('amount') ? 'number' : 'text',
-                    required: true
-                });
-            }
-        });
-        
-        // Remove placeholders that are no longer in the content
-        this.placeholders = this.placeholders.filter(p => foundPlaceholders.includes(p.key));
+    if (this.isNew || this.isModified('content') || this.isModified('variants')) {
+        try {
+            this.placeholders = syncPlaceholders(this.getAllContent(), this.placeholders, this.$locals.snippets);
+        } catch (error) {
+            return next(error);
+        }
     }
     
+    // Computed placeholders never require user input
+    this.placeholders.forEach(p => {
+        if (p.expression) p.required = false;
+    });
+    
+    next();
+});
+
+// Fields whose changes produce a new template revision
+const REVISIONED_FIELDS = [
+    'name', 'type', 'description', 'content', 'contentFormat', 'defaultLanguage', 'defaultLocale', 'variants',
+    'placeholders', 'tags', 'fileUrl', 'brandProfile', 'pageSetup'
+];
+
+// Pre-save middleware to bump the version when revisioned fields or included snippets change
+// Set template.$locals.importedVersion to jump to a bundle's revision number when it is ahead
+templateSchema.pre('save', function(next) {
+    if (this.isNew) {
+        this.$locals.recordRevision = true;
+    } else if (this.$locals.snippetsChanged || REVISIONED_FIELDS.some(field => this.isModified(field))) {
+        this.version = Math.max(this.version + 1, this.$locals.importedVersion || 0);
+        this.$locals.recordRevision = true;
+    }
     next();
 });
 
+// Pre-save middleware to apply the approval workflow to new versions:
+// types that require approval go back to draft (the published revision stays in use),
+// other types publish every saved version immediately
+templateSchema.pre('save', async function(next) {
+    if (!this.$locals.recordRevision || this.status === 'archived') return next();
+    
+    try {
+        if (await ApprovalPolicy.requiresApproval(this.type)) {
+            this.status = 'draft';
+            this.review = undefined;
+        } else {
+            this.status = 'published';
+            this.publishedVersion = this.version;
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Post-save middleware to store each saved version as an immutable revision
+// Set template.$locals.changeNote / restoredFrom before saving to annotate it
+templateSchema.post('save', async function(doc) {
+    if (!doc.$locals.recordRevision) return;
+    doc.$locals.recordRevision = false;
+    
+    doc.$locals.snippetsChanged = false;
+    
+    await TemplateRevision.createFromTemplate(doc, {
+        changeNote: doc.$locals.changeNote,
+        restoredFrom: doc.$locals.restoredFrom
+    });
+});
+
+// Instance method to get the revision matching the current version
+templateSchema.methods.getCurrentRevision = function() {
+    return TemplateRevision.ensureForTemplate(this);
+};
+
+// Instance method to check whether a template predates the approval workflow (it has no status)
+templateSchema.methods.isLegacy = function() {
+    return !this.status;
+};
+
+// Instance method to get the revision documents should be generated from
+// Returns null when nothing has been published yet or the template is archived
+// Templates saved before the approval workflow existed have no published version: for types that
+// do not require approval, their current version is snapshotted as a revision (so documents still
+// record the exact revision) and used; types that require approval get nothing until a reviewer
+// approves them, as for any other unreviewed version
+templateSchema.methods.getPublishedRevision = async function() {
+    if (this.status === 'archived') return null;
+    
+    if (this.publishedVersion) {
+        return TemplateRevision.findOne({ templateId: this._id, revision: this.publishedVersion });
+    }
+    
+    if (this.isLegacy() && !(await ApprovalPolicy.requiresApproval(this.type))) {
+        return this.getCurrentRevision();
+    }
+    
+    return null;
+};
+
+// Instance method to build an unsaved template that renders a revision's content
+// The live template may hold unpublished edits, so generation renders from this copy
+// The copy renders the snippet content stored with the revision, not the current snippets
+templateSchema.methods.forRevision = function(revision) {
+    const copy = new this.constructor({
+        ...this.toObject({ virtuals: false }),
+        name: revision.name,
+        type: revision.type,
+        description: revision.description,
+        content: revision.content,
+        contentFormat: revision.contentFormat || 'text',
+        defaultLanguage: revision.defaultLanguage || 'en',
+        defaultLocale: revision.defaultLocale,
+        variants: revision.variants || [],
+        placeholders: revision.placeholders,
+        tags: revision.tags,
+        snippets: revision.snippets,
+        fileUrl: revision.fileUrl,
+        brandProfile: revision.brandProfile,
+        pageSetup: revision.pageSetup,
+        version: revision.revision
+    });
+    // Revisions saved before snippet content was recorded fall back to the current snippets
+    if (revision.snippetContent) {
+        copy.$locals.snippets = new Map(revision.snippetContent);
+        copy.$locals.snippetsPinned = true;
+    }
+    return copy;
+};
+
+// Instance method to get the content of every language, for placeholder extraction
+templateSchema.methods.getAllContent = function() {
+    return [this.content, ...(this.variants || []).map(variant => variant.content)].join('\n');
+};
+
+// Instance method to load the snippets the template includes, for rendering and placeholder extraction
+// Call before replacePlaceholders() when content may use {{> key}}; resolves to the keys of missing snippets
+// Copies built with forRevision() keep the snippet content stored with the revision
+templateSchema.methods.loadSnippets = async function() {
+    if (this.$locals.snippetsPinned) return [];
+    
+    this.snippets = templateEngine.extractPartials(this.getAllContent());
+    const { snippets, missing } = await Snippet.resolve(this.snippets);
+    this.$locals.snippets = snippets;
+    return missing;
+};
+
+// Instance method to list the languages the template is available in, default first
+templateSchema.methods.getLanguages = function() {
+    return [this.defaultLanguage, ...(this.variants || []).map(variant => variant.language)];
+};
+
+// Instance method to find the variant for a language: an exact match, then a match on the
+// base language (a request for "de-AT" uses a "de" variant), else null for the default content
+templateSchema.methods.findVariant = function(language) {
+    if (!language) return null;
+    
+    const requested = String(language).trim().toLowerCase();
+    const base = requested.split('-')[0];
+    const defaultLanguage = String(this.defaultLanguage).toLowerCase();
+    if (requested === defaultLanguage) return null;
+    
+    const variants = this.variants || [];
+    const exact = variants.find(v => v.language.toLowerCase() === requested);
+    if (exact || base === defaultLanguage.split('-')[0]) return exact || null;
+    
+    return variants.find(v => v.language.toLowerCase().split('-')[0] === base) || null;
+};
+
+// Instance method to build an unsaved template that renders one language
+// The copy's default content, labels and locale are the variant's; unknown languages fall back to the default
+templateSchema.methods.forLanguage = function(language) {
+    const variant = this.findVariant(language);
+    if (!variant) return this;
+    
+    const labels = variant.labels || new Map();
+    const localized = new this.constructor({
+        ...this.toObject({ virtuals: false }),
+        content: variant.content,
+        defaultLanguage: variant.language,
+        defaultLocale: variant.locale || variant.language,
+        placeholders: this.placeholders.map(placeholder => {
+            const config = typeof placeholder.toObject === 'function' ? placeholder.toObject() : placeholder;
+            return { ...config, label: labels.get(placeholder.key) || config.label };
+        })
+    });
+    // Snippets were loaded for every language
+    localized.$locals.snippets = this.$locals.snippets;
+    localized.$locals.snippetsPinned = this.$locals.snippetsPinned;
+    return localized;
+};
+
+// Instance method to submit the current version for review
+templateSchema.methods.submitForReview = function(reviewerId, userId, comment) {
+    this.status = 'in_review';
+    this.review = {
+        reviewer: reviewerId,
+        requestedBy: userId,
+        requestedAt: new Date(),
+        version: this.version
+    };
+    this.reviewHistory.push({ action: 'submitted', by: userId, version: this.version, comment });
+    return this.save();
+};
+
+// Instance method to approve the version under review and publish it
+templateSchema.methods.approve = function(userId, comment) {
+    const version = this.review.version;
+    this.status = 'published';
+    this.publishedVersion = version;
+    this.review = undefined;
+    this.reviewHistory.push({ action: 'approved', by: userId, version, comment });
+    return this.save();
+};
+
+// Instance method to reject the version under review, returning it to draft
+templateSchema.methods.reject = function(userId, comment) {
+    const version = this.review.version;
+    this.status = 'draft';
+    this.review = undefined;
+    this.reviewHistory.push({ action: 'rejected', by: userId, version, comment });
+    return this.save();
+};
+
+// Instance method to publish the current version without review
+// (for template types that do not require approval)
+templateSchema.methods.publish = function(userId, comment) {
+    this.status = 'published';
+    this.publishedVersion = this.version;
+    this.review = undefined;
+    this.reviewHistory.push({ action: 'published', by: userId, version: this.version, comment });
+    return this.save();
+};
+
+// Instance method to archive the template; archived templates cannot be used for generation
+templateSchema.methods.archive = function(userId, comment) {
+    this.status = 'archived';
+    this.review = undefined;
+    this.reviewHistory.push({ action: 'archived', by: userId, version: this.version, comment });
+    return this.save();
+};
+
+// Instance method to restore content and configuration from an earlier revision
+// The rollback is saved as a new revision; history is never rewritten
+templateSchema.methods.rollbackTo = async function(revision, userId) {
+    this.set({
+        name: revision.name,
+        type: revision.type,
+        description: revision.description,
+        content: revision.content,
+        contentFormat: revision.contentFormat || 'text',
+        defaultLanguage: revision.defaultLanguage || 'en',
+        defaultLocale: revision.defaultLocale,
+        variants: revision.variants || [],
+        placeholders: revision.placeholders,
+        tags: revision.tags,
+        fileUrl: revision.fileUrl,
+        brandProfile: revision.brandProfile,
+        pageSetup: revision.pageSetup,
+        updatedBy: userId
+    });
+    this.$locals.changeNote = `Rolled back to revision ${revision.revision}`;
+    this.$locals.restoredFrom = revision.revision;
+    
+    return this.save();
+};
+
+// Instance method to save a new version that picks up the current content of the included snippets
+// Revisions keep the snippet content they were saved with, so a snippet edit reaches documents only
+// through a new version; types that require approval go back to draft for review like any other edit
+templateSchema.methods.refreshSnippets = async function(userId, changeNote) {
+    const missing = await this.loadSnippets();
+    if (missing.length > 0) {
+        throw new Error(`Unknown snippet(s): ${missing.join(', ')}`);
+    }
+    
+    // Placeholders added or removed by the snippets are synced like a content edit
+    this.placeholders = syncPlaceholders(this.getAllContent(), this.placeholders, this.$locals.snippets);
+    this.updatedBy = userId;
+    this.$locals.snippetsChanged = true;
+    this.$locals.changeNote = changeNote;
+    
+    return this.save();
+};
+
+// Instance method to get the page layout for generated files: the template's page setup,
+// falling back field by field to the layout configured for its type
+templateSchema.methods.getPageLayout = async function() {
+    const layout = await TemplateType.getPageLayout(this.type);
+    const setup = this.pageSetup ? this.pageSetup.toObject() : {};
+    const margins = Object.entries(setup.margins || {}).filter(([, value]) => value);
+
+    return {
+        format: setup.format || layout.format,
+        orientation: setup.orientation || layout.orientation,
+        margins: { ...layout.margins, ...Object.fromEntries(margins) },
+        backgroundImage: setup.backgroundImage || null,
+        printBackground: setup.printBackground !== false
+    };
+};
+
+// Instance method to get the PDF signing settings of the template's type
+templateSchema.methods.getSigning = function() {
+    return TemplateType.getSigning(this.type);
+};
+
+// Instance method to get the brand profile generated files are rendered with
+templateSchema.methods.getBrand = function() {
+    return BrandProfile.resolve(this.brandProfile);
+};
+
 // Instance method to increment usage count
 templateSchema.methods.incrementUsage = async function() {
     this.usageCount += 1;
@@ -153,76 +693,222 @@ templateSchema.methods.getRequiredPlaceholders = function() {
     return this.placeholders.filter(p => p.required);
 };
 
-// Instance method to validate placeholder data
-templateSchema.methods.validatePlaceholderData = function(data) {
-    const errors = [];
-    const requiredPlaceholders = this.getRequiredPlaceholders();
+function addFieldError(fieldErrors, key, message) {
+    (fieldErrors[key] = fieldErrors[key] || []).push(message);
+}
+
+// Instance method to resolve the values used for rendering:
+// a copy of the data with default values filled in and computed placeholders evaluated.
+// Evaluation failures are recorded in the optional fieldErrors object, keyed by placeholder.
+templateSchema.methods.resolvePlaceholderData = function(data, fieldErrors = {}) {
+    // Deep copy so nested values can be filled without touching the caller's data
+    const values = JSON.parse(JSON.stringify(data || {}));
     
-    requiredPlaceholders.forEach(placeholder => {
-        if (!data[placeholder.key] || data[placeholder.key].toString().trim() === '') {
-            errors.push(`${placeholder.label} is required`);
+    this.placeholders.forEach(placeholder => {
+        if (!getPath(values, placeholder.key) && placeholder.defaultValue) {
+            setPath(values, placeholder.key, placeholder.defaultValue);
         }
-        
-        // Type validation
-        if (data[placeholder.key]) {
-            switch (placeholder.type) {
-                case 'email':
-                    const emailRegex = /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/;
-                    if (!emailRegex.test(data[placeholder.key])) {
-                        errors.push(`${placeholder.label} must be a valid email`);
-                    }
-                    break;
-                case 'number':
-                    if (isNaN(data[placeholder.key])) {
-                        errors.push(`${placeholder.label} must be a number`);
-                    }
-                    break;
-                case 'date':
-                    if (isNaN(Date.parse(data[placeholder.key]))) {
-                        errors.push(`${placeholder.label} must be a valid date`);
-                    }
-                    break;
-            }
+    });
+    
+    expressionEvaluator.orderComputed(this.placeholders).forEach(({ key, compiled }) => {
+        const placeholder = this.placeholders.find(p => p.key === key);
+        try {
+            setPath(values, key, expressionEvaluator.evaluate(compiled, values) ?? '');
+        } catch (error) {
+            addFieldError(fieldErrors, key, `${placeholder.label} could not be computed: ${error.message}`);
         }
     });
     
-    return errors;
+    return values;
+};
+
+// Sample values used for previews, by placeholder type
+const SAMPLE_VALUES = {
+    number: () => '50000',
+    currency: () => '50000',
+    date: () => new Date().toISOString().slice(0, 10),
+    email: () => 'recipient@example.com',
+    phone: () => '+91 98765 43210',
+    boolean: () => 'true',
+    select: (placeholder) => placeholder.options[0],
+    multiline: (placeholder) => `[${placeholder.label}, line 1]\n[${placeholder.label}, line 2]`,
+    image: () => ''
+};
+
+// Instance method to fill blank placeholder values with sample data for previews
+// The sample covers the placeholders of the language being rendered, including keys only its
+// variant uses; sections are shown ({{#if}} keys are true) and lists are left empty
+templateSchema.methods.buildSampleData = function(data = {}, language) {
+    const values = JSON.parse(JSON.stringify(data || {}));
+    const variant = this.findVariant(language);
+    const content = variant ? variant.content : this.content;
+    const placeholders = syncPlaceholders(content, this.placeholders, this.$locals.snippets);
+    const kinds = new Map(templateEngine.extractPlaceholders(content, this.$locals.snippets, placeholders.map(p => p.key))
+        .map(p => [p.key, p.kind]));
+    
+    placeholders.forEach(placeholder => {
+        if (placeholder.expression || placeholder.type === 'object') return;
+        if (!isBlankValue(getPath(values, placeholder.key))) return;
+        
+        const kind = kinds.get(placeholder.key);
+        const sample = kind === 'list' ? [] :
+                       kind === 'condition' ? 'true' :
+                       placeholder.defaultValue ||
+                       (SAMPLE_VALUES[placeholder.type] ? SAMPLE_VALUES[placeholder.type](placeholder) : `[${placeholder.label}]`);
+        setPath(values, placeholder.key, sample);
+    });
+    
+    return values;
 };
 
-// Instance method to replace placeholders in content
-templateSchema.methods.replacePlaceholders = function(data) {
-    let processedContent = this.content;
+// Check whether a placeholder value counts as missing
+function isBlankValue(value) {
+    if (value === undefined || value === null) return true;
+    if (typeof value === 'object') return Object.keys(value).length === 0;
+    return value.toString().trim() === '';
+}
+
+// Values accepted for boolean placeholders (spreadsheet cells arrive as strings)
+const BOOLEAN_VALUES = ['true', 'false', 'yes', 'no', 'y', 'n', '1', '0'];
+
+// Check a value against its placeholder type; returns an error message or null
+function placeholderTypeError(placeholder, value) {
+    switch (placeholder.type) {
+        case 'email':
+            const emailRegex = /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/;
+            return emailRegex.test(value) ? null : `${placeholder.label} must be a valid email`;
+        case 'number':
+            return isNaN(value) ? `${placeholder.label} must be a number` : null;
+        case 'currency':
+            // Allow thousands separators as typed in spreadsheets ("12,50,000")
+            return isNaN(String(value).replace(/,/g, '')) ? `${placeholder.label} must be an amount` : null;
+        case 'phone': {
+            const digits = String(value).replace(/\D/g, '').length;
+            return /^\+?[\d\s\-().]+$/.test(String(value).trim()) && digits >= 7 && digits <= 15
+                ? null
+                : `${placeholder.label} must be a valid phone number`;
+        }
+        case 'boolean':
+            return typeof value === 'boolean' || BOOLEAN_VALUES.includes(String(value).trim().toLowerCase())
+                ? null
+                : `${placeholder.label} must be yes or no`;
+        case 'select': {
+            const options = placeholder.options || [];
+            return options.some(option => option.toLowerCase() === String(value).trim().toLowerCase())
+                ? null
+                : `${placeholder.label} must be one of: ${options.join(', ')}`;
+        }
+        case 'image': {
+            const image = parseImageDataUrl(value);
+            if (!image) return `${placeholder.label} must be a PNG, JPEG or GIF image`;
+            return image.buffer.length > MAX_IMAGE_BYTES
+                ? `${placeholder.label} must be smaller than ${MAX_IMAGE_BYTES / (1024 * 1024)} MB`
+                : null;
+        }
+        case 'date':
+            // Date.parse accepts bare numbers such as "30" as years, which are never meant as dates
+            return isNaN(Date.parse(value)) || /^\s*-?\d+(\.\d+)?\s*$/.test(String(value))
+                ? `${placeholder.label} must be a valid date`
+                : null;
+        case 'object':
+            return typeof value !== 'object' || Array.isArray(value) ? `${placeholder.label} must be an object` : null;
+        default:
+            return null;
+    }
+}
+
+// Instance method to validate placeholder data, returning { [key]: [messages] } for each invalid placeholder
+// Keys may be dotted paths into nested data, e.g. { candidate: { address: { city } } }
+templateSchema.methods.validatePlaceholderFields = function(data) {
+    const fieldErrors = {};
+    const values = this.resolvePlaceholderData(data, fieldErrors);
     
-    // Replace each placeholder with provided data
     this.placeholders.forEach(placeholder => {
-        const regex = new RegExp(`\\{\\{${placeholder.key}\\}\\}`, 'g');
-        let value = data[placeholder.key] || placeholder.defaultValue || '';
+        const value = getPath(values, placeholder.key);
         
-        // Format based on type
-        if (value) {
-            switch (placeholder.type) {
-                case 'date':
-                    value = new Date(value).toLocaleDateString('en-US', {
-                        year: 'numeric',
-                        month: 'long',
-                        day: 'numeric'
-                    });
-                    break;
-                case 'number':
-                    if (placeholder.key.includes('salary') || placeholder.key.includes('amount')) {
-                        value = new Intl.NumberFormat('en-IN', {
-                            style: 'currency',
-                            currency: 'INR'
-                        }).format(value);
-                    }
-                    break;
+        if (isBlankValue(value)) {
+            if (placeholder.required) {
+                addFieldError(fieldErrors, placeholder.key, `${placeholder.label} is required`);
             }
+            return;
+        }
+        
+        // Type validation first; validation rules only make sense for a well-typed value
+        const typeError = placeholderTypeError(placeholder, value);
+        if (typeError) {
+            addFieldError(fieldErrors, placeholder.key, typeError);
+            return;
         }
         
-        processedContent = processedContent.replace(regex, value);
+        checkRules(placeholder, value, values).forEach(message => {
+            addFieldError(fieldErrors, placeholder.key, message);
+        });
     });
     
-    return processedContent;
+    return fieldErrors;
+};
+
+// Instance method to validate placeholder data, returning a flat list of messages
+templateSchema.methods.validatePlaceholderData = function(data) {
+    return Object.values(this.validatePlaceholderFields(data)).flat();
+};
+
+// Default formatting by placeholder type, used when content has no explicit pipe
+// e.g. {{joining_date}} renders like {{joining_date | date}}
+// Images are rendered by options.formatImage(value, placeholder), as each output format embeds them differently
+function formatPlaceholderValue(placeholder, value, options = {}) {
+    if (isBlankValue(value)) return value;
+    
+    const context = { locale: options.locale };
+    switch (placeholder.type) {
+        case 'date':
+            return applyFormatters(value, [{ name: 'date' }], context);
+        case 'number':
+            if (placeholder.key.includes('salary') || placeholder.key.includes('amount')) {
+                return applyFormatters(value, [{ name: 'currency' }], context);
+            }
+            return value;
+        case 'currency':
+            return applyFormatters(value, [{ name: 'currency', args: [placeholder.currency || DEFAULT_CURRENCY] }], context);
+        case 'boolean':
+            return templateEngine.isTruthy(value) ? 'Yes' : 'No';
+        case 'phone':
+            return String(value).trim();
+        case 'image':
+            return options.formatImage ? options.formatImage(value, placeholder) : '';
+        default:
+            return value;
+    }
+}
+
+// Instance method to render content with placeholder data
+// Handles {{key}} substitution as well as {{#if}}, {{#unless}} and {{#each}} sections
+// options.formatImage(value, placeholder) renders image placeholders (omitted: images render empty)
+// options.content renders other markup (e.g. a part of an uploaded DOCX) instead of this.content,
+// with options.escape applied to every inserted value
+templateSchema.methods.replacePlaceholders = function(data, options = {}) {
+    const values = this.resolvePlaceholderData(data);
+    const placeholdersByKey = new Map(this.placeholders.map(p => [p.key, p]));
+    
+    // Values are literal text, so Markdown characters in them are escaped
+    // Snippets are written like content: Markdown syntax in them applies, but markup they are inserted into is escaped
+    const escape = options.escape || (this.contentFormat === 'markdown' ? escapeMarkdown : undefined);
+    
+    // Dates and numbers follow the template's locale (a variant's, after forLanguage())
+    const locale = this.defaultLocale || undefined;
+    
+    return templateEngine.render(options.content !== undefined ? options.content : this.content, values, {
+        escape,
+        escapeSnippet: options.escape,
+        partials: this.$locals.snippets,
+        locale,
+        formatValue: (key, value, isRoot) => {
+            // Only top-level values follow placeholder configuration; list item fields render as-is
+            const placeholder = isRoot && placeholdersByKey.get(key);
+            const formatted = placeholder ? formatPlaceholderValue(placeholder, value, { ...options, locale }) : value;
+            return formatted === undefined || formatted === null ? '' : formatted;
+        }
+    });
 };
 
 // Static method to get templates by type
@@ -257,34 +943,204 @@ templateSchema.statics.getStatistics = async function() {
 };
 
 // Static method for search functionality
-templateSchema.statics.search = function(query, options = {}) {
+// Matches the text index when a query is given (sorted by relevance unless sortBy is set) and
+// counts facets in the same query: each facet is counted with every filter except its own, so
+// its counts are what choosing that value would return
+// Returns { templates, total, facets: { type, tags, createdBy, isActive } } with facets as [{ value, count }]
+templateSchema.statics.search = async function(query, options = {}) {
     const {
         type,
-        isActive = true,
+        tags = [],
         createdBy,
-        tags,
+        isActive,
+        restrict = {},
         page = 1,
-        limit = 10
+        limit = 10,
+        sortBy,
+        sortOrder = 'desc'
     } = options;
     
-    const searchCriteria = {
-        isActive,
-        $or: [
-            { name: { $regex: query, $options: 'i' } },
-            { description: { $regex: query, $options: 'i' } },
-            { tags: { $in: [new RegExp(query, 'i')] } }
-        ]
+    const text = query ? String(query).trim() : '';
+    const baseMatch = { ...restrict };
+    if (text) baseMatch.$text = { $search: text };
+    
+    // Aggregation does not cast values, so ids are converted here
+    const filters = {
+        type: type ? { type } : null,
+        tags: tags.length > 0 ? { tags: { $all: tags } } : null,
+        createdBy: createdBy ? { createdBy: new mongoose.Types.ObjectId(createdBy) } : null,
+        isActive: isActive === undefined ? null : { isActive }
     };
+    const matchExcept = (facet) => Object.assign({}, ...Object.entries(filters)
+        .filter(([name, filter]) => name !== facet && filter)
+        .map(([, filter]) => filter));
+    const countBy = (field) => [
+        { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $project: { _id: 0, value: '$_id', count: 1 } }
+    ];
+    
+    const sort = sortBy ? { [sortBy]: sortOrder === 'desc' ? -1 : 1 } :
+                 text ? { score: -1 } : { updatedAt: -1 };
     
-    if (type) searchCriteria.type = type;
-    if (createdBy) searchCriteria.createdBy = createdBy;
-    if (tags && tags.length > 0) searchCriteria.tags = { $in: tags };
+    const [result] = await this.aggregate([
+        { $match: baseMatch },
+        ...(text ? [{ $addFields: { score: { $meta: 'textScore' } } }] : []),
+        {
+            $facet: {
+                page: [
+                    { $match: matchExcept() },
+                    { $sort: { ...sort, _id: 1 } },
+                    { $skip: (page - 1) * limit },
+                    { $limit: limit },
+                    { $project: { _id: 1, score: 1 } }
+                ],
+                total: [{ $match: matchExcept() }, { $count: 'count' }],
+                type: [{ $match: matchExcept('type') }, ...countBy('type')],
+                tags: [{ $match: matchExcept('tags') }, { $unwind: '$tags' }, ...countBy('tags')],
+                createdBy: [
+                    { $match: matchExcept('createdBy') },
+                    ...countBy('createdBy'),
+                    { $lookup: { from: 'users', localField: 'value', foreignField: '_id', as: 'user' } },
+                    { $project: { value: 1, count: 1, name: { $arrayElemAt: ['$user.name', 0] } } }
+                ],
+                isActive: [{ $match: matchExcept('isActive') }, ...countBy('isActive')]
+            }
+        }
+    ]);
     
-    return this.find(searchCriteria)
+    // Load the page as documents, in result order, with the relevance score attached
+    const ids = result.page.map(entry => entry._id);
+    const documents = await this.find({ _id: { $in: ids } })
         .populate('createdBy', 'name email')
-        .sort({ updatedAt: -1 })
-        .skip((page - 1) * limit)
-        .limit(limit);
+        .populate('updatedBy', 'name email');
+    const byId = new Map(documents.map(doc => [doc._id.toString(), doc]));
+    const templates = result.page
+        .filter(entry => byId.has(entry._id.toString()))
+        .map(entry => {
+            const template = byId.get(entry._id.toString()).toJSON();
+            return entry.score === undefined ? template : { ...template, score: entry.score };
+        });
+    
+    return {
+        templates,
+        total: result.total.length > 0 ? result.total[0].count : 0,
+        facets: {
+            type: result.type,
+            tags: result.tags,
+            createdBy: result.createdBy,
+            isActive: result.isActive
+        }
+    };
+};
+
+// Formatters that only make sense for some placeholder types (text placeholders may hold anything)
+const FORMATTER_TYPES = {
+    date: ['date'],
+    currency: ['number', 'currency'],
+    number: ['number', 'currency'],
+    words: ['number', 'currency']
+};
+
+// Static method to check content and placeholder configuration without saving
+// Returns { valid, errors, warnings, placeholders } where placeholders is what saving would store
+// Pass the snippets loaded with Snippet.resolve() to check {{> key}} tags and follow them for placeholders
+templateSchema.statics.lint = function({ content = '', placeholders = [], snippets } = {}) {
+    const issues = lintContent(content);
+    const configured = Array.isArray(placeholders) ? placeholders : [];
+    
+    if (snippets) {
+        templateEngine.scanTags(content)
+            .filter(({ tag }) => tag && tag.kind === 'partial' && !snippets.has(tag.key))
+            .forEach(({ raw, index, tag }) => {
+                issues.push(createIssue('error', 'unknown_snippet', `Unknown snippet '${tag.key}' in ${raw}`, content, index, raw.length));
+            });
+    }
+    
+    // Positioned at the first tag using the key, when there is one
+    const placeholderIssue = (severity, code, message, key) => {
+        const usage = findPlaceholderUsage(content, key);
+        return usage
+            ? createIssue(severity, code, message, content, usage.index, usage.length, { placeholder: key })
+            : createIssue(severity, code, message, undefined, null, 0, { placeholder: key });
+    };
+    
+    // Same extraction as saving; content that does not parse is already reported above
+    let resolved = configured;
+    try {
+        resolved = syncPlaceholders(content, configured, snippets);
+    } catch (error) {
+        // Keep the configured placeholders as they are
+    }
+    
+    configured
+        .filter(p => !resolved.includes(p))
+        .forEach(p => {
+            issues.push(placeholderIssue('warning', 'unused_placeholder',
+                `Placeholder '${p.key}' is configured but not used in the content and will be removed on save`, p.key));
+        });
+    
+    const seenKeys = new Set();
+    configured.forEach(p => {
+        if (seenKeys.has(p.key)) {
+            issues.push(placeholderIssue('error', 'duplicate_key', `Placeholder '${p.key}' is configured more than once`, p.key));
+        }
+        seenKeys.add(p.key);
+    });
+    
+    const keysByLabel = new Map();
+    resolved.filter(p => p.label).forEach(p => {
+        const label = p.label.trim().toLowerCase();
+        keysByLabel.set(label, [...(keysByLabel.get(label) || []), p]);
+    });
+    keysByLabel.forEach(group => {
+        if (group.length > 1) {
+            issues.push(placeholderIssue('warning', 'duplicate_label',
+                `Label '${group[0].label}' is used by more than one placeholder: ${group.map(p => p.key).join(', ')}`, group[1].key));
+        }
+    });
+    
+    // Schema rules (key format, type, expressions) exactly as saving would apply them
+    const validation = new this({ content, placeholders: resolved }).validateSync();
+    Object.entries(validation ? validation.errors : {})
+        .filter(([path]) => path.startsWith('placeholders'))
+        .forEach(([path, error]) => {
+            const index = Number(path.split('.')[1]);
+            const key = Number.isInteger(index) && resolved[index] ? resolved[index].key : undefined;
+            issues.push(placeholderIssue('error', 'invalid_placeholder', error.message, key));
+        });
+    
+    resolved.forEach(p => {
+        if (p.expression || !p.defaultValue) return;
+        if (placeholderTypeError(p, p.defaultValue)) {
+            issues.push(placeholderIssue('error', 'type_mismatch',
+                `${p.label || p.key} is a ${p.type} placeholder, but its default value '${p.defaultValue}' is not a valid ${p.type}`, p.key));
+        }
+    });
+    
+    const placeholdersByKey = new Map(resolved.map(p => [p.key, p]));
+    templateEngine.scanTags(content).forEach(({ raw, index, tag }) => {
+        const placeholder = tag && tag.kind === 'variable' && placeholdersByKey.get(tag.key);
+        if (!placeholder || !placeholder.type || placeholder.type === 'text') return;
+        
+        tag.filters
+            .filter(filter => FORMATTER_TYPES[filter.name] && !FORMATTER_TYPES[filter.name].includes(placeholder.type))
+            .forEach(filter => {
+                issues.push(createIssue('warning', 'type_mismatch',
+                    `Formatter '${filter.name}' expects a ${FORMATTER_TYPES[filter.name].join(' or ')} value, but ${placeholder.label || placeholder.key} is a ${placeholder.type} placeholder`,
+                    content, index, raw.length, { placeholder: placeholder.key }));
+            });
+    });
+    
+    const errors = issues.filter(issue => issue.severity === 'error');
+    const warnings = issues.filter(issue => issue.severity === 'warning');
+    
+    return {
+        valid: errors.length === 0,
+        errors,
+        warnings,
+        placeholders: resolved.map(p => (typeof p.toObject === 'function' ? p.toObject() : p))
+    };
 };
 
 module.exports = mongoose.model('Template', templateSchema);
@@ -0,0 +1,231 @@
+const mongoose = require('mongoose');
+const Snippet = require('./Snippet');
+const { diffLines } = require('../utils/diff');
+
+// Immutable snapshot of a template, written every time its content or configuration is saved
+const templateRevisionSchema = new mongoose.Schema({
+    templateId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Template',
+        required: [true, 'Template ID is required']
+    },
+    revision: {
+        type: Number,
+        required: [true, 'Revision number is required'],
+        min: 1
+    },
+    name: {
+        type: String,
+        required: true
+    },
+    type: {
+        type: String,
+        required: true
+    },
+    description: {
+        type: String
+    },
+    content: {
+        type: String,
+        required: true
+    },
+    contentFormat: {
+        type: String,
+        default: 'text'
+    },
+    defaultLanguage: {
+        type: String,
+        default: 'en'
+    },
+    defaultLocale: {
+        type: String
+    },
+    variants: {
+        // Language variants as plain objects, like placeholders
+        type: [mongoose.Schema.Types.Mixed],
+        default: []
+    },
+    placeholders: {
+        // Stored as plain objects so the snapshot is exactly what the template held
+        type: [mongoose.Schema.Types.Mixed],
+        default: []
+    },
+    tags: [{
+        type: String
+    }],
+    snippets: [{
+        // Keys of the snippets the revision includes directly
+        type: String
+    }],
+    snippetContent: {
+        // Content of every snippet the revision includes, directly or through other snippets,
+        // as it was when the revision was saved; documents are rendered from it, so later
+        // snippet edits do not change a revision. Missing on revisions saved before it was recorded
+        type: Map,
+        of: String
+    },
+    fileUrl: {
+        type: String
+    },
+    brandProfile: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'BrandProfile'
+    },
+    pageSetup: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    changeNote: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Change note cannot exceed 500 characters']
+    },
+    restoredFrom: {
+        // Revision number this one was rolled back to, if any
+        type: Number
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false },
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// One revision number per template
+templateRevisionSchema.index({ templateId: 1, revision: -1 }, { unique: true });
+templateRevisionSchema.index({ snippets: 1 });
+
+// Fields compared when diffing two revisions
+const COMPARED_FIELDS = ['name', 'type', 'description', 'contentFormat', 'defaultLanguage', 'defaultLocale', 'variants', 'tags', 'fileUrl', 'brandProfile', 'pageSetup'];
+
+// Virtual for revision summary (list views omit content)
+templateRevisionSchema.virtual('summary').get(function() {
+    return {
+        id: this._id,
+        templateId: this.templateId,
+        revision: this.revision,
+        name: this.name,
+        author: this.author,
+        changeNote: this.changeNote,
+        restoredFrom: this.restoredFrom,
+        placeholders: this.placeholders.length,
+        createdAt: this.createdAt
+    };
+});
+
+// Revisions are immutable once written
+templateRevisionSchema.pre('save', function(next) {
+    if (!this.isNew) {
+        return next(new Error('Template revisions are immutable'));
+    }
+    next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'].forEach(operation => {
+    templateRevisionSchema.pre(operation, function(next) {
+        next(new Error('Template revisions are immutable'));
+    });
+});
+
+// Static method to snapshot the current state of a template, including the content of its
+// snippets (those loaded while saving it, else the current ones)
+templateRevisionSchema.statics.createFromTemplate = async function(template, options = {}) {
+    const { author, changeNote, restoredFrom } = options;
+    const snippetContent = template.$locals.snippets || (await Snippet.resolve(template.snippets || [])).snippets;
+
+    return this.create({
+        templateId: template._id,
+        revision: template.version,
+        name: template.name,
+        type: template.type,
+        description: template.description,
+        content: template.content,
+        contentFormat: template.contentFormat,
+        defaultLanguage: template.defaultLanguage,
+        defaultLocale: template.defaultLocale,
+        variants: (template.variants || []).map(v => (typeof v.toObject === 'function' ? v.toObject({ flattenMaps: true }) : v)),
+        placeholders: template.placeholders.map(p => (typeof p.toObject === 'function' ? p.toObject() : p)),
+        tags: template.tags,
+        snippets: template.snippets,
+        snippetContent,
+        fileUrl: template.fileUrl,
+        brandProfile: template.brandProfile,
+        pageSetup: template.pageSetup && (typeof template.pageSetup.toObject === 'function' ? template.pageSetup.toObject() : template.pageSetup),
+        author: author || template.updatedBy || template.createdBy,
+        changeNote,
+        restoredFrom
+    });
+};
+
+// Static method to get the revision matching a template's current version,
+// snapshotting it first for templates saved before revisions were recorded
+templateRevisionSchema.statics.ensureForTemplate = async function(template) {
+    const existing = await this.findOne({ templateId: template._id, revision: template.version });
+    if (existing) return existing;
+
+    try {
+        return await this.createFromTemplate(template, {
+            changeNote: 'Snapshot of existing template'
+        });
+    } catch (error) {
+        // Another request created the same snapshot concurrently
+        if (error.code === 11000) {
+            return this.findOne({ templateId: template._id, revision: template.version });
+        }
+        throw error;
+    }
+};
+
+// Static method to list revisions of a template, newest first
+templateRevisionSchema.statics.findByTemplate = function(templateId, options = {}) {
+    const { page = 1, limit = 20 } = options;
+
+    return this.find({ templateId })
+        .select('-content -variants -snippetContent')
+        .populate('author', 'name email')
+        .sort({ revision: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit);
+};
+
+// Static method to compare two revisions
+templateRevisionSchema.statics.compare = function(from, to) {
+    const fields = COMPARED_FIELDS
+        .filter(field => JSON.stringify(from[field] ?? null) !== JSON.stringify(to[field] ?? null))
+        .map(field => ({ field, from: from[field], to: to[field] }));
+
+    const fromPlaceholders = new Map(from.placeholders.map(p => [p.key, p]));
+    const toPlaceholders = new Map(to.placeholders.map(p => [p.key, p]));
+    const stripId = ({ _id, ...rest }) => rest;
+
+    const placeholders = {
+        added: [...toPlaceholders.keys()].filter(key => !fromPlaceholders.has(key)),
+        removed: [...fromPlaceholders.keys()].filter(key => !toPlaceholders.has(key)),
+        changed: [...toPlaceholders.keys()]
+            .filter(key => fromPlaceholders.has(key))
+            .filter(key => JSON.stringify(stripId(fromPlaceholders.get(key))) !== JSON.stringify(stripId(toPlaceholders.get(key))))
+            .map(key => ({ key, from: stripId(fromPlaceholders.get(key)), to: stripId(toPlaceholders.get(key)) }))
+    };
+
+    const fromSnippets = from.snippetContent || new Map();
+    const toSnippets = to.snippetContent || new Map();
+
+    const snippets = {
+        added: [...toSnippets.keys()].filter(key => !fromSnippets.has(key)),
+        removed: [...fromSnippets.keys()].filter(key => !toSnippets.has(key)),
+        changed: [...toSnippets.keys()].filter(key => fromSnippets.has(key) && fromSnippets.get(key) !== toSnippets.get(key))
+    };
+
+    return {
+        from: from.revision,
+        to: to.revision,
+        fields,
+        placeholders,
+        snippets,
+        content: diffLines(from.content, to.content)
+    };
+};
+
+module.exports = mongoose.model('TemplateRevision', templateRevisionSchema);
@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+const placeholderSchema = require('./placeholderSchema');
+const marginField = require('./marginField');
+
+// Built-in types, created on first use so existing templates stay valid
+const DEFAULT_TYPES = [
+    { key: 'offer_letter', label: 'Offer Letter', description: 'Job offer letters for new hires' },
+    { key: 'appointment_letter', label: 'Appointment Letter', description: 'Official appointment confirmation letters' },
+    { key: 'experience_letter', label: 'Experience Letter', description: 'Work experience certificates' },
+    { key: 'completion_certificate', label: 'Completion Certificate', description: 'Course or project completion certificates' },
+    { key: 'relieving_letter', label: 'Relieving Letter', description: 'Employee relieving letters' },
+    { key: 'salary_certificate', label: 'Salary Certificate', description: 'Salary confirmation certificates' }
+];
+
+// Kind of document templates can be created for, managed by admins
+const templateTypeSchema = new mongoose.Schema({
+    key: {
+        // Value stored in Template.type, e.g. "internship_certificate"
+        type: String,
+        required: [true, 'Type key is required'],
+        unique: true,
+        trim: true,
+        lowercase: true,
+        match: [/^[a-z][a-z0-9_]*$/, 'Type key may only contain lowercase letters, numbers and underscores'],
+        maxlength: [50, 'Type key cannot exceed 50 characters']
+    },
+    label: {
+        type: String,
+        required: [true, 'Type label is required'],
+        trim: true,
+        maxlength: [100, 'Type label cannot exceed 100 characters']
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Description cannot exceed 500 characters']
+    },
+    // Placeholder configuration applied to new templates of this type
+    defaultPlaceholders: [placeholderSchema],
+    pageLayout: {
+        format: {
+            type: String,
+            enum: ['A4', 'Letter', 'Legal'],
+            default: 'A4'
+        },
+        orientation: {
+            type: String,
+            enum: ['portrait', 'landscape'],
+            default: 'portrait'
+        },
+        margins: {
+            top: { ...marginField, default: '1in' },
+            right: { ...marginField, default: '1in' },
+            bottom: { ...marginField, default: '1in' },
+            left: { ...marginField, default: '1in' }
+        }
+    },
+    signing: {
+        // Sign generated PDFs with the organization certificate (see utils/pdfSigner)
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        // Reason written in the signature, e.g. "Experience letter issued by HR"
+        reason: {
+            type: String,
+            trim: true,
+            maxlength: [200, 'Signing reason cannot exceed 200 characters']
+        }
+    },
+    retention: {
+        // Days generated documents are kept; null keeps them indefinitely
+        days: {
+            type: Number,
+            min: [1, 'Retention must be at least 1 day'],
+            default: 30
+        }
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+templateTypeSchema.index({ isActive: 1 });
+
+// Virtual for the shape used by type pickers
+templateTypeSchema.virtual('summary').get(function() {
+    return {
+        value: this.key,
+        label: this.label,
+        description: this.description,
+        isActive: this.isActive
+    };
+});
+
+// Built-in types only need to be created once per process
+let defaultsEnsured = null;
+
+// Static method to create any missing built-in types
+templateTypeSchema.statics.ensureDefaults = function() {
+    if (!defaultsEnsured) {
+        defaultsEnsured = Promise.all(DEFAULT_TYPES.map(type => this.updateOne(
+            { key: type.key },
+            { $setOnInsert: type },
+            { upsert: true }
+        ))).catch(error => {
+            defaultsEnsured = null;
+            throw error;
+        });
+    }
+    return defaultsEnsured;
+};
+
+// Static method to list types, built-in types included
+templateTypeSchema.statics.list = async function(options = {}) {
+    const { includeInactive = false } = options;
+
+    await this.ensureDefaults();
+
+    return this.find(includeInactive ? {} : { isActive: true }).sort({ label: 1 });
+};
+
+// Static method to check whether new templates may use a type
+templateTypeSchema.statics.isAvailable = async function(key) {
+    await this.ensureDefaults();
+
+    return Boolean(await this.exists({ key, isActive: true }));
+};
+
+// Static method to check whether a type is one of the built-in types
+templateTypeSchema.statics.isBuiltIn = function(key) {
+    return DEFAULT_TYPES.some(type => type.key === key);
+};
+
+// Static method to get the page layout for a type, falling back to the defaults
+templateTypeSchema.statics.getPageLayout = async function(key) {
+    const type = await this.findOne({ key });
+    return (type || new this()).toObject().pageLayout;
+};
+
+// Static method to get the PDF signing settings for a type; unknown types are not signed
+templateTypeSchema.statics.getSigning = async function(key) {
+    const type = await this.findOne({ key }).select('signing');
+    return type ? type.toObject().signing : { enabled: false };
+};
+
+module.exports = mongoose.model('TemplateType', templateTypeSchema);
@@ -0,0 +1,11 @@
+// CSS length for page margins, e.g. "1in", "2.5cm", "20mm" or "0"
+const MARGIN_REGEX = /^(0|\d+(\.\d+)?(in|cm|mm|pt|px))$/;
+
+// Page margin setting shared by template page setup and template type page layouts
+const marginField = {
+    type: String,
+    trim: true,
+    match: [MARGIN_REGEX, 'Margins must be lengths such as "1in", "2.5cm" or "20mm"']
+};
+
+module.exports = marginField;
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const { isValidPattern, isValidDateBound, isValidRuleExpression } = require('../utils/validationRules');
+
+// Placeholder configuration shared by templates and template type defaults
+const placeholderSchema = new mongoose.Schema({
+    // Dotted keys (e.g. "candidate.address.city") address nested recipient data
+    key: {
+        type: String,
+        required: true,
+        trim: true,
+        match: [/^\w+(\.\w+)*$/, 'Placeholder key must be a name or dotted path']
+    },
+    label: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    type: {
+        type: String,
+        // 'object' marks a key whose value is a nested object, e.g. {{#if manager}} with {{manager.name}}
+        enum: ['text', 'multiline', 'number', 'currency', 'date', 'email', 'phone', 'select', 'boolean', 'image', 'object'],
+        default: 'text',
+        validate: {
+            // Select placeholders are only useful with something to choose from
+            validator: function(type) {
+                return type !== 'select' || Boolean(this.options && this.options.length);
+            },
+            message: 'Select placeholders need at least one option'
+        }
+    },
+    // Allowed values for 'select' placeholders, e.g. departments or employment types
+    options: {
+        type: [{
+            type: String,
+            trim: true
+        }],
+        default: undefined
+    },
+    // ISO 4217 code for 'currency' placeholders, e.g. INR or USD
+    currency: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+    },
+    required: {
+        type: Boolean,
+        default: true
+    },
+    defaultValue: {
+        type: String,
+        trim: true
+    },
+    // Rules checked whenever a value is provided (see utils/validationRules.js)
+    validation: {
+        pattern: {
+            type: String,
+            validate: [isValidPattern, 'Validation pattern is not a valid regular expression']
+        },
+        patternMessage: {
+            type: String,
+            trim: true
+        },
+        min: Number,
+        max: Number,
+        minLength: {
+            type: Number,
+            min: [0, 'Minimum length cannot be negative']
+        },
+        maxLength: {
+            type: Number,
+            min: [0, 'Maximum length cannot be negative']
+        },
+        // YYYY-MM-DD or an expression, e.g. today() or addDays(today(), 90)
+        minDate: {
+            type: String,
+            trim: true,
+            validate: [isValidDateBound, 'Minimum date must be YYYY-MM-DD or a valid expression']
+        },
+        maxDate: {
+            type: String,
+            trim: true,
+            validate: [isValidDateBound, 'Maximum date must be YYYY-MM-DD or a valid expression']
+        },
+        // Cross-field checks, e.g. { expression: "relieving_date > joining_date", message: "..." }
+        rules: {
+            type: [{
+                _id: false,
+                expression: {
+                    type: String,
+                    required: [true, 'Rule expression is required'],
+                    trim: true,
+                    validate: [isValidRuleExpression, 'Rule expression is not valid']
+                },
+                message: {
+                    type: String,
+                    required: [true, 'Rule message is required'],
+                    trim: true
+                }
+            }],
+            default: undefined
+        }
+    },
+    // Computed placeholders derive their value from other placeholders,
+    // e.g. "monthly_salary * 12" or 'diff(relieving_date, joining_date, "years")'
+    expression: {
+        type: String,
+        trim: true
+    }
+});
+
+module.exports = placeholderSchema;
@@ -0,0 +1,229 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const BrandProfile = require('../models/BrandProfile');
+const Template = require('../models/Template');
+const TemplateRevision = require('../models/TemplateRevision');
+const auth = require('../middleware/auth');
+const { roleCheck } = require('../middleware/roleCheck');
+
+const router = express.Router();
+
+// Fields admins may set on a brand profile
+const EDITABLE_FIELDS = [
+    'name', 'companyName', 'tagline', 'logo', 'address', 'registrationNumbers', 'colors', 'fonts',
+    'footerText', 'isDefault', 'isActive'
+];
+
+// Copy the editable fields present in a request body
+function pickEditableFields(body) {
+    return EDITABLE_FIELDS.reduce((fields, field) => {
+        if (body[field] !== undefined) fields[field] = body[field];
+        return fields;
+    }, {});
+}
+
+// Helper function to find a brand profile by id, treating malformed ids as not found
+async function findProfile(id) {
+    return mongoose.Types.ObjectId.isValid(id) ? BrandProfile.findById(id) : null;
+}
+
+// @route   GET /api/brand-profiles
+// @desc    Get brand profiles (admin can include inactive profiles)
+// @access  Private
+router.get('/', auth, async (req, res) => {
+    try {
+        const filter = req.user.role === 'admin' && req.query.includeInactive === 'true' ? {} : { isActive: true };
+        const brandProfiles = await BrandProfile.find(filter)
+            .select('-logo')
+            .sort({ isDefault: -1, name: 1 });
+        
+        res.json({
+            success: true,
+            data: { brandProfiles }
+        });
+        
+    } catch (error) {
+        console.error('Brand profiles fetch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching brand profiles'
+        });
+    }
+});
+
+// @route   GET /api/brand-profiles/:id
+// @desc    Get single brand profile, including its logo
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+    try {
+        const brandProfile = await findProfile(req.params.id);
+        
+        if (!brandProfile || (!brandProfile.isActive && req.user.role !== 'admin')) {
+            return res.status(404).json({
+                success: false,
+                message: 'Brand profile not found'
+            });
+        }
+        
+        await brandProfile.populate('createdBy', 'name email');
+        await brandProfile.populate('updatedBy', 'name email');
+        
+        res.json({
+            success: true,
+            data: { brandProfile }
+        });
+        
+    } catch (error) {
+        console.error('Brand profile fetch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching brand profile'
+        });
+    }
+});
+
+// @route   POST /api/brand-profiles
+// @desc    Create brand profile
+// @access  Private (Admin only)
+router.post('/', auth, roleCheck(['admin']), async (req, res) => {
+    try {
+        if (!req.body.name || !req.body.companyName) {
+            return res.status(400).json({
+                success: false,
+                message: 'Name and company name are required'
+            });
+        }
+        
+        const existingProfile = await BrandProfile.findOne({ name: String(req.body.name).trim() });
+        if (existingProfile) {
+            return res.status(400).json({
+                success: false,
+                message: 'Brand profile with this name already exists'
+            });
+        }
+        
+        const brandProfile = new BrandProfile({
+            ...pickEditableFields(req.body),
+            createdBy: req.user._id,
+            updatedBy: req.user._id
+        });
+        await brandProfile.save();
+        
+        res.status(201).json({
+            success: true,
+            message: 'Brand profile created successfully',
+            data: { brandProfile }
+        });
+        
+    } catch (error) {
+        console.error('Brand profile creation error:', error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation Error',
+                errors: Object.values(error.errors).map(e => e.message)
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error creating brand profile'
+        });
+    }
+});
+
+// @route   PUT /api/brand-profiles/:id
+// @desc    Update brand profile; documents generated from now on use the new letterhead
+// @access  Private (Admin only)
+router.put('/:id', auth, roleCheck(['admin']), async (req, res) => {
+    try {
+        const brandProfile = await findProfile(req.params.id);
+        
+        if (!brandProfile) {
+            return res.status(404).json({
+                success: false,
+                message: 'Brand profile not found'
+            });
+        }
+        
+        if (req.body.name && String(req.body.name).trim() !== brandProfile.name) {
+            const existingProfile = await BrandProfile.findOne({ name: String(req.body.name).trim() });
+            if (existingProfile) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Brand profile with this name already exists'
+                });
+            }
+        }
+        
+        brandProfile.set({
+            ...pickEditableFields(req.body),
+            updatedBy: req.user._id
+        });
+        await brandProfile.save();
+        
+        res.json({
+            success: true,
+            message: 'Brand profile updated successfully',
+            data: { brandProfile }
+        });
+        
+    } catch (error) {
+        console.error('Brand profile update error:', error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation Error',
+                errors: Object.values(error.errors).map(e => e.message)
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error updating brand profile'
+        });
+    }
+});
+
+// @route   DELETE /api/brand-profiles/:id
+// @desc    Delete a brand profile no template or template revision uses
+// @access  Private (Admin only)
+router.delete('/:id', auth, roleCheck(['admin']), async (req, res) => {
+    try {
+        const brandProfile = await findProfile(req.params.id);
+        
+        if (!brandProfile) {
+            return res.status(404).json({
+                success: false,
+                message: 'Brand profile not found'
+            });
+        }
+        
+        // Revisions count too, as documents are generated from the published revision
+        const templateIds = [
+            ...await Template.distinct('_id', { brandProfile: brandProfile._id }),
+            ...await TemplateRevision.distinct('templateId', { brandProfile: brandProfile._id })
+        ];
+        const templateCount = new Set(templateIds.map(id => id.toString())).size;
+        if (templateCount > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Brand profile is used by ${templateCount} template(s); deactivate the profile instead`
+            });
+        }
+        
+        await BrandProfile.findByIdAndDelete(brandProfile._id);
+        
+        res.json({
+            success: true,
+            message: 'Brand profile deleted successfully'
+        });
+        
+    } catch (error) {
+        console.error('Brand profile deletion error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error deleting brand profile'
+        });
+    }
+});
+
+module.exports = router;
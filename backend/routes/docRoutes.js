@@ -10,9 +10,12 @@ const Template = require('../models/Template');
 const GeneratedDoc = require('../models/GeneratedDoc');
 const auth = require('../middleware/auth');
 const { anyRole, roleCheck } = require('../middleware/roleCheck');
-const { generatePDF } = require('../utils/pdfGenerator');
-const { generateDOCX } = require('../utils/docxGenerator');
+const { generatePDF, watermarkPDF } = require('../utils/pdfGenerator');
+const { generateDOCX, watermarkDOCX } = require('../utils/docxGenerator');
 const { sendEmail } = require('../utils/emailService');
+const { setPath } = require('../utils/objectPath');
+const { getPublicBaseUrl, getVerificationUrl, hashContent } = require('../utils/verification');
+const { parseWatermarks, getDownloadWatermarks } = require('../utils/watermark');
 
 const router = express.Router();
 
@@ -41,7 +44,7 @@ router.post('/generate-single', auth, async (req, res) => {
     const startTime = Date.now();
     
     try {
-        const { templateId, data, format = 'pdf', sendEmail: shouldSendEmail = false } = req.body;
+        const { templateId, data, format = 'pdf', language, watermark, sendEmail: shouldSendEmail = false } = req.body;
         
         // Validation
         if (!templateId || !data || !format) {
@@ -58,6 +61,15 @@ router.post('/generate-single', auth, async (req, res) => {
             });
         }
         
+        const { watermarks, errors: watermarkErrors } = parseWatermarks(watermark);
+        if (watermarkErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid watermark',
+                errors: watermarkErrors
+            });
+        }
+        
         // Get template
         const template = await Template.findById(templateId);
         if (!template) {
@@ -74,21 +86,37 @@ router.post('/generate-single', auth, async (req, res) => {
             });
         }
         
+        // Documents are rendered from the published revision, never from unpublished edits
+        const revision = await template.getPublishedRevision();
+        if (!revision) {
+            return res.status(400).json({
+                success: false,
+                message: 'Template has no published version'
+            });
+        }
+        // Unknown languages fall back to the template's default language
+        const publishedTemplate = template.forRevision(revision).forLanguage(language);
+        await publishedTemplate.loadSnippets();
+        
         // Validate placeholder data
-        const validationErrors = template.validatePlaceholderData(data);
-        if (validationErrors.length > 0) {
+        const fieldErrors = publishedTemplate.validatePlaceholderFields(data);
+        if (Object.keys(fieldErrors).length > 0) {
             return res.status(400).json({
                 success: false,
                 message: 'Validation failed',
-                errors: validationErrors
+                errors: Object.values(fieldErrors).flat(),
+                fieldErrors
             });
         }
         
-        // Create document record
+        // Create document record, including the exact template revision used
         const generatedDoc = new GeneratedDoc({
             templateId: template._id,
-            templateName: template.name,
-            templateType: template.type,
+            templateName: publishedTemplate.name,
+            templateType: publishedTemplate.type,
+            templateVersion: revision.revision,
+            templateRevision: revision._id,
+            language: publishedTemplate.defaultLanguage,
             recipientData: data,
             generatedBy: req.user._id,
             generationType: 'single',
@@ -106,23 +134,28 @@ router.post('/generate-single', auth, async (req, res) => {
         
         try {
             // Generate document based on format
-            let filePath, fileName, fileSize;
+            let filePath, fileName, fileSize, contentHash;
             
             if (format.toLowerCase() === 'pdf') {
-                const result = await generatePDF(template, data, generatedDoc.documentId);
+                const result = await generatePDF(publishedTemplate, data, generatedDoc.documentId, {
+                    verification: getVerification(generatedDoc, req),
+                    watermarks
+                });
                 filePath = result.filePath;
                 fileName = result.fileName;
                 fileSize = result.fileSize;
+                contentHash = result.contentHash;
             } else {
-                const result = await generateDOCX(template, data, generatedDoc.documentId);
+                const result = await generateDOCX(publishedTemplate, data, generatedDoc.documentId, { watermarks });
                 filePath = result.filePath;
                 fileName = result.fileName;
                 fileSize = result.fileSize;
+                contentHash = result.contentHash;
             }
             
             // Update document record with file info
             const generationTime = Date.now() - startTime;
-            await generatedDoc.markAsCompleted(filePath, fileName, fileSize);
+            await generatedDoc.markAsCompleted(filePath, fileName, fileSize, contentHash);
             generatedDoc.metadata.generationTime = generationTime;
             await generatedDoc.save();
             
@@ -134,11 +167,11 @@ router.post('/generate-single', auth, async (req, res) => {
                 try {
                     await sendEmail({
                         to: data.email,
-                        subject: `Your ${template.name}`,
+                        subject: `Your ${publishedTemplate.name}`,
                         template: 'document-ready',
                         data: {
                             recipientName: data.name || 'Recipient',
-                            documentType: template.name,
+                            documentType: publishedTemplate.name,
                             downloadUrl: `${req.protocol}://${req.get('host')}/api/documents/download/${generatedDoc._id}`
                         },
                         attachments: [{
@@ -200,7 +233,7 @@ router.post('/generate-bulk', auth, anyRole(['admin', 'hr']), upload.single('dat
     const startTime = Date.now();
     
     try {
-        const { templateId, format = 'pdf', columnMapping } = req.body;
+        const { templateId, format = 'pdf', language, columnMapping, watermark } = req.body;
         
         if (!templateId || !req.file) {
             return res.status(400).json({
@@ -209,6 +242,16 @@ router.post('/generate-bulk', auth, anyRole(['admin', 'hr']), upload.single('dat
             });
         }
         
+        // Sent as a form field, so rule objects arrive as JSON
+        const { watermarks, errors: watermarkErrors } = parseWatermarks(watermark);
+        if (watermarkErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid watermark',
+                errors: watermarkErrors
+            });
+        }
+        
         // Get template
         const template = await Template.findById(templateId);
         if (!template) {
@@ -225,6 +268,15 @@ router.post('/generate-bulk', auth, anyRole(['admin', 'hr']), upload.single('dat
             });
         }
         
+        // Documents are rendered from the published revision, never from unpublished edits
+        const revision = await template.getPublishedRevision();
+        if (!revision) {
+            return res.status(400).json({
+                success: false,
+                message: 'Template has no published version'
+            });
+        }
+        
         // Parse column mapping
         let mapping = {};
         if (columnMapping) {
@@ -270,32 +322,60 @@ router.post('/generate-bulk', auth, anyRole(['admin', 'hr']), upload.single('dat
             });
         }
         
+        // Every document in the batch is rendered from the same published revision
+        const publishedTemplate = template.forRevision(revision);
+        await publishedTemplate.loadSnippets();
+        
+        // Validate every row up front so invalid rows are reported instead of silently skipped
+        const rows = [];
+        const rowErrors = [];
+        records.forEach((record, i) => {
+            const rowLanguage = getRecordLanguage(record, mapping) || language;
+            const rowTemplate = publishedTemplate.forLanguage(rowLanguage);
+            // Columns are matched against the default labels, whatever the row's language
+            const data = mapRecord(publishedTemplate, record, mapping);
+            const fieldErrors = rowTemplate.validatePlaceholderFields(data);
+            
+            if (Object.keys(fieldErrors).length > 0) {
+                rowErrors.push({
+                    row: i + 1,
+                    errors: Object.values(fieldErrors).flat(),
+                    fieldErrors
+                });
+            } else {
+                rows.push({ row: i + 1, data, language: rowLanguage });
+            }
+        });
+        
+        if (rows.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed for every row',
+                rowErrors
+            });
+        }
+        
         // Generate batch ID for grouping documents
         const batchId = `BATCH-${Date.now()}-${uuidv4().substr(0, 8)}`;
         
-        // Process records and generate documents
-        const results = {
-            batchId,
-            total: records.length,
-            successful: 0,
-            failed: 0,
-            documents: [],
-            errors: []
-        };
-        
         // Start bulk generation
         res.json({
             success: true,
-            message: 'Bulk generation started',
+            message: rowErrors.length > 0
+                ? `Bulk generation started; ${rowErrors.length} invalid row(s) skipped`
+                : 'Bulk generation started',
             data: {
                 batchId,
                 total: records.length,
+                queued: rows.length,
+                skipped: rowErrors.length,
+                rowErrors,
                 status: 'processing'
             }
         });
         
         // Process in background
-        processBulkGeneration(template, records, mapping, format, req.user._id, batchId, req);
+        processBulkGeneration(template, publishedTemplate, revision, rows, format, req.user._id, batchId, req, watermarks);
         
     } catch (error) {
         console.error('Bulk generation error:', error);
@@ -316,44 +396,63 @@ router.post('/generate-bulk', auth, anyRole(['admin', 'hr']), upload.single('dat
     }
 });
 
+// Helper function to map a data file record to placeholder data
+// Dotted placeholder keys (e.g. "manager.name") build nested recipient data
+function mapRecord(publishedTemplate, record, mapping) {
+    const mappedData = {};
+    if (Object.keys(mapping).length > 0) {
+        Object.keys(mapping).forEach(placeholder => {
+            const column = mapping[placeholder];
+            setPath(mappedData, placeholder, record[column] || '');
+        });
+    } else {
+        // Auto-map if no mapping provided; columns may be named after dotted keys
+        publishedTemplate.placeholders.forEach(placeholder => {
+            // Object placeholders are filled through their nested fields
+            if (placeholder.type === 'object') return;
+            setPath(mappedData, placeholder.key, record[placeholder.key] || record[placeholder.label] || '');
+        });
+    }
+    return mappedData;
+}
+
+// Helper function to read a record's language: the column mapped to "language", else a "language" column
+function getRecordLanguage(record, mapping) {
+    const value = mapping.language ? record[mapping.language] : record.language;
+    return value ? String(value).trim() : undefined;
+}
+
+// Helper function to get the verification details printed on a generated PDF
+function getVerification(generatedDoc, req) {
+    return {
+        documentId: generatedDoc.documentId,
+        code: generatedDoc.verificationCode,
+        url: getVerificationUrl(getPublicBaseUrl(req), generatedDoc.documentId, generatedDoc.verificationCode)
+    };
+}
+
 // Background function to process bulk generation
-async function processBulkGeneration(template, records, mapping, format, userId, batchId, req) {
+// Rows are already mapped and validated: [{ row, data, language }]
+// publishedTemplate is the template at the published revision, with its snippets loaded
+async function processBulkGeneration(template, publishedTemplate, revision, rows, format, userId, batchId, req, watermarks = []) {
     const results = {
         successful: 0,
         failed: 0,
         documents: []
     };
     
-    for (let i = 0; i < records.length; i++) {
+    for (const { row, data: mappedData, language } of rows) {
         try {
-            const record = records[i];
-            
-            // Map columns to placeholders
-            const mappedData = {};
-            if (Object.keys(mapping).length > 0) {
-                Object.keys(mapping).forEach(placeholder => {
-                    const column = mapping[placeholder];
-                    mappedData[placeholder] = record[column] || '';
-                });
-            } else {
-                // Auto-map if no mapping provided
-                template.placeholders.forEach(placeholder => {
-                    mappedData[placeholder.key] = record[placeholder.key] || record[placeholder.label] || '';
-                });
-            }
-            
-            // Validate data
-            const validationErrors = template.validatePlaceholderData(mappedData);
-            if (validationErrors.length > 0) {
-                results.failed++;
-                continue;
-            }
+            const rowTemplate = publishedTemplate.forLanguage(language);
             
             // Create document record
             const generatedDoc = new GeneratedDoc({
                 templateId: template._id,
-                templateName: template.name,
-                templateType: template.type,
+                templateName: rowTemplate.name,
+                templateType: rowTemplate.type,
+                templateVersion: revision.revision,
+                templateRevision: revision._id,
+                language: rowTemplate.defaultLanguage,
                 recipientData: mappedData,
                 generatedBy: userId,
                 generationType: 'bulk',
@@ -362,7 +461,7 @@ async function processBulkGeneration(template, records, mapping, format, userId,
                 fileName: '',
                 filePath: '',
                 metadata: {
-                    batchIndex: i + 1,
+                    batchIndex: row,
                     ipAddress: req.ip,
                     userAgent: req.get('User-Agent')
                 }
@@ -371,22 +470,27 @@ async function processBulkGeneration(template, records, mapping, format, userId,
             await generatedDoc.save();
             
             // Generate document
-            let filePath, fileName, fileSize;
+            let filePath, fileName, fileSize, contentHash;
             
             if (format.toLowerCase() === 'pdf') {
-                const result = await generatePDF(template, mappedData, generatedDoc.documentId);
+                const result = await generatePDF(rowTemplate, mappedData, generatedDoc.documentId, {
+                    verification: getVerification(generatedDoc, req),
+                    watermarks
+                });
                 filePath = result.filePath;
                 fileName = result.fileName;
                 fileSize = result.fileSize;
+                contentHash = result.contentHash;
             } else {
-                const result = await generateDOCX(template, mappedData, generatedDoc.documentId);
+                const result = await generateDOCX(rowTemplate, mappedData, generatedDoc.documentId, { watermarks });
                 filePath = result.filePath;
                 fileName = result.fileName;
                 fileSize = result.fileSize;
+                contentHash = result.contentHash;
             }
             
             // Update document record
-            await generatedDoc.markAsCompleted(filePath, fileName, fileSize);
+            await generatedDoc.markAsCompleted(filePath, fileName, fileSize, contentHash);
             
             results.successful++;
             results.documents.push({
@@ -397,7 +501,7 @@ async function processBulkGeneration(template, records, mapping, format, userId,
             });
             
         } catch (error) {
-            console.error(`Error generating document ${i + 1}:`, error);
+            console.error(`Error generating document ${row}:`, error);
             results.failed++;
         }
     }
@@ -517,10 +621,20 @@ router.get('/batch/:batchId', auth, async (req, res) => {
 });
 
 // @route   GET /api/documents/download/:id
-// @desc    Download generated document
+// @desc    Download generated document (?watermark= adds watermarks; downloads after the first are marked "COPY"
+//          and, like any watermarked copy, no longer match the document's verification hash)
 // @access  Private
 router.get('/download/:id', auth, async (req, res) => {
     try {
+        const { watermarks: requested, errors: watermarkErrors } = parseWatermarks(req.query.watermark);
+        if (watermarkErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid watermark',
+                errors: watermarkErrors
+            });
+        }
+        
         const document = await GeneratedDoc.findById(req.params.id)
             .populate('generatedBy', 'name email role');
         
@@ -560,6 +674,9 @@ router.get('/download/:id', auth, async (req, res) => {
             });
         }
         
+        // Decided before this download is recorded, so the first download stays unmarked
+        const watermarks = getDownloadWatermarks(document, requested);
+        
         // Record download
         await document.recordDownload();
         
@@ -568,6 +685,24 @@ router.get('/download/:id', auth, async (req, res) => {
         
         res.setHeader('Content-Type', mimeType);
         res.setHeader('Content-Disposition', `attachment; filename="${document.fileName}"`);
+        
+        // Watermarked copies are made in memory; the stored file keeps its content hash and signature.
+        // A copy has its own content (signed PDFs are signed again), so its hash is recorded for
+        // /verify, which recognises it as a copy of the document
+        if (watermarks.length > 0) {
+            const stored = fs.readFileSync(filePath);
+            const content = document.outputFormat === 'pdf'
+                ? await watermarkPDF(stored, watermarks)
+                : await watermarkDOCX(stored, watermarks);
+            const contentHash = hashContent(content);
+            await document.recordIssuedCopy(contentHash);
+            
+            res.setHeader('Content-Length', content.length);
+            res.setHeader('X-Content-Hash', contentHash);
+            res.setHeader('X-Content-Hash-Matches', 'false');
+            return res.send(content);
+        }
+        
         res.setHeader('Content-Length', document.fileSize);
         
         // Stream the file
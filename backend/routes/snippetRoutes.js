@@ -0,0 +1,303 @@
+const express = require('express');
+const Snippet = require('../models/Snippet');
+const Template = require('../models/Template');
+const TemplateRevision = require('../models/TemplateRevision');
+const auth = require('../middleware/auth');
+const { roleCheck, anyRole } = require('../middleware/roleCheck');
+
+const router = express.Router();
+
+// Fields that may be set on a snippet (the key is fixed once created, as templates refer to it)
+const EDITABLE_FIELDS = ['name', 'description', 'content'];
+
+// Copy the editable fields present in a request body
+function pickEditableFields(body) {
+    return EDITABLE_FIELDS.reduce((fields, field) => {
+        if (body[field] !== undefined) fields[field] = body[field];
+        return fields;
+    }, {});
+}
+
+// Helper function to find where a snippet is used: the snippets that include it (directly or
+// through others) and the templates whose working copy or published version includes any of them
+async function findSnippetUsage(key) {
+    const snippets = await Snippet.findIncluding(key);
+    const keys = [key, ...snippets];
+
+    const current = await Template.find({ snippets: { $in: keys } }).select('_id');
+    const revisions = await TemplateRevision.find({ snippets: { $in: keys } }).select('templateId revision');
+
+    const templateIds = [...current, ...revisions.map(r => ({ _id: r.templateId }))].map(t => t._id);
+    const templates = await Template.find({ _id: { $in: templateIds } })
+        .select('name type version publishedVersion status isActive')
+        .sort({ name: 1 });
+
+    const currentIds = new Set(current.map(t => t._id.toString()));
+    return {
+        snippets,
+        templates: templates
+            .map(template => ({
+                id: template._id,
+                name: template.name,
+                type: template.type,
+                version: template.version,
+                publishedVersion: template.publishedVersion,
+                status: template.status,
+                isActive: template.isActive,
+                current: currentIds.has(template._id.toString()),
+                published: revisions.some(r => r.templateId.equals(template._id) && r.revision === template.publishedVersion)
+            }))
+            // Earlier revisions that are no longer published do not count
+            .filter(template => template.current || template.published)
+    };
+}
+
+// @route   GET /api/snippets
+// @desc    Get all snippets
+// @access  Private
+router.get('/', auth, async (req, res) => {
+    try {
+        const snippets = await Snippet.find()
+            .populate('updatedBy', 'name email')
+            .sort({ key: 1 });
+        
+        res.json({
+            success: true,
+            data: { snippets }
+        });
+        
+    } catch (error) {
+        console.error('Snippets fetch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching snippets'
+        });
+    }
+});
+
+// @route   GET /api/snippets/:key
+// @desc    Get single snippet
+// @access  Private
+router.get('/:key', auth, async (req, res) => {
+    try {
+        const snippet = await Snippet.findOne({ key: req.params.key })
+            .populate('createdBy', 'name email')
+            .populate('updatedBy', 'name email');
+        
+        if (!snippet) {
+            return res.status(404).json({
+                success: false,
+                message: 'Snippet not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: { snippet }
+        });
+        
+    } catch (error) {
+        console.error('Snippet fetch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching snippet'
+        });
+    }
+});
+
+// @route   GET /api/snippets/:key/usage
+// @desc    List the templates and snippets that include a snippet
+// @access  Private (Admin, HR)
+router.get('/:key/usage', auth, anyRole(['admin', 'hr']), async (req, res) => {
+    try {
+        const snippet = await Snippet.findOne({ key: req.params.key });
+        
+        if (!snippet) {
+            return res.status(404).json({
+                success: false,
+                message: 'Snippet not found'
+            });
+        }
+        
+        const usage = await findSnippetUsage(snippet.key);
+        
+        res.json({
+            success: true,
+            data: { key: snippet.key, ...usage }
+        });
+        
+    } catch (error) {
+        console.error('Snippet usage fetch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching snippet usage'
+        });
+    }
+});
+
+// @route   POST /api/snippets
+// @desc    Create snippet
+// @access  Private (Admin, HR)
+router.post('/', auth, anyRole(['admin', 'hr']), async (req, res) => {
+    try {
+        const { key } = req.body;
+        
+        if (!key || !req.body.name || !req.body.content) {
+            return res.status(400).json({
+                success: false,
+                message: 'Key, name and content are required'
+            });
+        }
+        
+        const existingSnippet = await Snippet.findOne({ key: String(key).trim().toLowerCase() });
+        if (existingSnippet) {
+            return res.status(400).json({
+                success: false,
+                message: 'Snippet with this key already exists'
+            });
+        }
+        
+        const snippet = new Snippet({
+            key,
+            ...pickEditableFields(req.body),
+            createdBy: req.user._id,
+            updatedBy: req.user._id
+        });
+        await snippet.save();
+        
+        res.status(201).json({
+            success: true,
+            message: 'Snippet created successfully',
+            data: { snippet }
+        });
+        
+    } catch (error) {
+        console.error('Snippet creation error:', error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation Error',
+                errors: Object.values(error.errors).map(e => e.message)
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error creating snippet'
+        });
+    }
+});
+
+// Helper function to save a new version of every template whose working copy includes a snippet,
+// directly or through other snippets, so the version picks up the edited content
+// Published revisions keep the content they were saved with until the new version is published;
+// types that require approval go back to draft for review
+async function refreshIncludingTemplates(key, userId) {
+    const keys = [key, ...await Snippet.findIncluding(key)];
+    const templates = await Template.find({ snippets: { $in: keys }, status: { $ne: 'archived' } });
+    
+    const refreshed = [];
+    const failed = [];
+    for (const template of templates) {
+        try {
+            await template.refreshSnippets(userId, `Snippet '${key}' updated`);
+            refreshed.push({ id: template._id, name: template.name, version: template.version, status: template.status });
+        } catch (error) {
+            console.error(`Snippet refresh error for template ${template._id}:`, error);
+            failed.push({ id: template._id, name: template.name, error: error.message });
+        }
+    }
+    
+    return { refreshed, failed };
+}
+
+// @route   PUT /api/snippets/:key
+// @desc    Update snippet; templates that include it get a new version with the new content,
+//          which goes through approval like any other edit
+// @access  Private (Admin, HR)
+router.put('/:key', auth, anyRole(['admin', 'hr']), async (req, res) => {
+    try {
+        const snippet = await Snippet.findOne({ key: req.params.key });
+        
+        if (!snippet) {
+            return res.status(404).json({
+                success: false,
+                message: 'Snippet not found'
+            });
+        }
+        
+        snippet.set({
+            ...pickEditableFields(req.body),
+            updatedBy: req.user._id
+        });
+        const contentChanged = snippet.isModified('content');
+        await snippet.save();
+        
+        const templates = contentChanged
+            ? await refreshIncludingTemplates(snippet.key, req.user._id)
+            : { refreshed: [], failed: [] };
+        
+        // Returned so the caller can see which templates are affected
+        const usage = await findSnippetUsage(snippet.key);
+        
+        res.json({
+            success: true,
+            message: 'Snippet updated successfully',
+            data: { snippet, usage, templates }
+        });
+        
+    } catch (error) {
+        console.error('Snippet update error:', error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation Error',
+                errors: Object.values(error.errors).map(e => e.message)
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error updating snippet'
+        });
+    }
+});
+
+// @route   DELETE /api/snippets/:key
+// @desc    Delete a snippet no template or snippet includes
+// @access  Private (Admin only)
+router.delete('/:key', auth, roleCheck(['admin']), async (req, res) => {
+    try {
+        const snippet = await Snippet.findOne({ key: req.params.key });
+        
+        if (!snippet) {
+            return res.status(404).json({
+                success: false,
+                message: 'Snippet not found'
+            });
+        }
+        
+        const usage = await findSnippetUsage(snippet.key);
+        if (usage.snippets.length > 0 || usage.templates.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Snippet is included by ${usage.templates.length} template(s) and ${usage.snippets.length} snippet(s); remove it from them first`,
+                data: usage
+            });
+        }
+        
+        await Snippet.findByIdAndDelete(snippet._id);
+        
+        res.json({
+            success: true,
+            message: 'Snippet deleted successfully'
+        });
+        
+    } catch (error) {
+        console.error('Snippet deletion error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error deleting snippet'
+        });
+    }
+});
+
+module.exports = router;
@@ -1,10 +1,24 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const Template = require('../models/Template');
+const TemplateRevision = require('../models/TemplateRevision');
+const ApprovalPolicy = require('../models/ApprovalPolicy');
+const TemplateType = require('../models/TemplateType');
+const Snippet = require('../models/Snippet');
+const User = require('../models/User');
 const auth = require('../middleware/auth');
 const { roleCheck, anyRole } = require('../middleware/roleCheck');
+const { sendReviewNotification } = require('../utils/emailService');
+const { renderPDF, renderHTML } = require('../utils/pdfGenerator');
+const { renderDOCX } = require('../utils/docxGenerator');
+const { getDocxSourcePath } = require('../utils/docxTemplate');
+const { parseWatermarks } = require('../utils/watermark');
+const { extractTemplateFile } = require('../utils/templateImport');
+const { extractPartials } = require('../utils/templateEngine');
+const { createBundle, readBundle } = require('../utils/templateBundle');
 
 const router = express.Router();
 
@@ -23,16 +37,18 @@ const storage = multer.diskStorage({
     }
 });
 
+// Template file types accepted as uploads and in imported bundles
+const TEMPLATE_FILE_TYPES = ['.docx', '.doc', '.html'];
+
 const upload = multer({
     storage: storage,
     limits: {
         fileSize: 10 * 1024 * 1024 // 10MB limit
     },
     fileFilter: (req, file, cb) => {
-        const allowedTypes = ['.docx', '.doc', '.html'];
         const fileExt = path.extname(file.originalname).toLowerCase();
         
-        if (allowedTypes.includes(fileExt)) {
+        if (TEMPLATE_FILE_TYPES.includes(fileExt)) {
             cb(null, true);
         } else {
             cb(new Error('Only .docx, .doc, and .html files are allowed'), false);
@@ -40,67 +56,89 @@ const upload = multer({
     }
 });
 
+// Template bundles are read in memory; only the template file inside is kept
+const bundleUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 20 * 1024 * 1024 // 20MB limit
+    },
+    fileFilter: (req, file, cb) => {
+        if (path.extname(file.originalname).toLowerCase() === '.zip') {
+            cb(null, true);
+        } else {
+            cb(new Error('Only .zip template bundles are allowed'), false);
+        }
+    }
+});
+
+// How an import handles a template with the same name
+const IMPORT_CONFLICT_MODES = ['rename', 'skip', 'overwrite'];
+
+// Fields the template list can be sorted by
+const SORT_FIELDS = ['name', 'type', 'updatedAt', 'createdAt', 'usageCount'];
+
 // @route   GET /api/templates
-// @desc    Get all templates
+// @desc    Get templates, with full-text search and facet counts by type, tag, creator and active state
 // @access  Private
 router.get('/', auth, async (req, res) => {
     try {
         const {
             type,
+            tags,
+            createdBy,
             isActive = 'true',
             search,
             page = 1,
             limit = 10,
-            sortBy = 'updatedAt',
+            sortBy,
             sortOrder = 'desc'
         } = req.query;
         
-        const query = {};
-        
-        // Filter by type if specified
-        if (type) query.type = type;
-        
-        // Filter by active status
-        if (isActive !== 'all') {
-            query.isActive = isActive === 'true';
+        if (createdBy && !mongoose.Types.ObjectId.isValid(createdBy)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid creator ID'
+            });
         }
         
-        // Add search functionality
-        if (search) {
-            query.$or = [
-                { name: { $regex: search, $options: 'i' } },
-                { description: { $regex: search, $options: 'i' } },
-                { tags: { $in: [new RegExp(search, 'i')] } }
-            ];
+        if (sortBy && !SORT_FIELDS.includes(sortBy)) {
+            return res.status(400).json({
+                success: false,
+                message: `Templates can only be sorted by ${SORT_FIELDS.join(', ')}`
+            });
         }
         
+        const options = {
+            type,
+            tags: tags ? String(tags).split(',').map(t => t.trim()).filter(Boolean) : [],
+            createdBy,
+            isActive: isActive === 'all' ? undefined : isActive === 'true',
+            page: Math.max(parseInt(page) || 1, 1),
+            limit: Math.max(parseInt(limit) || 10, 1),
+            sortBy,
+            sortOrder
+        };
+        
         // Role-based filtering
         if (req.user.role === 'staff') {
-            query.isActive = true; // Staff can only see active templates
+            // Staff can only see active templates
+            options.isActive = undefined;
+            options.restrict = { isActive: true, status: { $ne: 'archived' } };
         }
         
-        const sortOptions = {};
-        sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
-        
-        const templates = await Template.find(query)
-            .populate('createdBy', 'name email')
-            .populate('updatedBy', 'name email')
-            .sort(sortOptions)
-            .skip((page - 1) * limit)
-            .limit(parseInt(limit));
-        
-        const total = await Template.countDocuments(query);
+        const { templates, total, facets } = await Template.search(search, options);
         
         res.json({
             success: true,
             data: {
                 templates,
+                facets,
                 pagination: {
-                    current: parseInt(page),
-                    pages: Math.ceil(total / limit),
+                    current: options.page,
+                    pages: Math.ceil(total / options.limit),
                     total,
-                    hasNext: page * limit < total,
-                    hasPrev: page > 1
+                    hasNext: options.page * options.limit < total,
+                    hasPrev: options.page > 1
                 }
             }
         });
@@ -162,15 +200,21 @@ router.post('/', auth, anyRole(['admin', 'hr']), upload.single('templateFile'),
             type,
             description,
             content,
+            contentFormat,
+            defaultLanguage,
+            defaultLocale,
+            variants,
+            brandProfile,
+            pageSetup,
             placeholders,
             tags
         } = req.body;
         
-        // Validation
-        if (!name || !type || !content) {
+        // Validation; content may come from the uploaded file instead
+        if (!name || !type || (!content && !req.file)) {
             return res.status(400).json({
                 success: false,
-                message: 'Name, type, and content are required'
+                message: 'Name, type, and content (or a template file) are required'
             });
         }
         
@@ -183,11 +227,39 @@ router.post('/', auth, anyRole(['admin', 'hr']), upload.single('templateFile'),
             });
         }
         
+        // Pre-fill content from the uploaded file; its placeholders are picked up when saving
+        let importIssues;
+        let templateContent = content;
+        if (req.file && !content) {
+            let extracted;
+            try {
+                extracted = await extractTemplateFile(req.file.path, req.file.originalname);
+            } catch (extractError) {
+                fs.unlinkSync(req.file.path);
+                return res.status(400).json({
+                    success: false,
+                    message: `Could not read template file: ${extractError.message}`
+                });
+            }
+            if (!extracted) {
+                fs.unlinkSync(req.file.path);
+                return res.status(400).json({
+                    success: false,
+                    message: 'Content is required: text can only be read from .docx and .html files'
+                });
+            }
+            ({ content: templateContent, issues: importIssues } = extracted);
+        }
+        
         const templateData = {
             name: name.trim(),
             type,
             description: description?.trim(),
-            content,
+            content: templateContent,
+            contentFormat,
+            defaultLanguage,
+            defaultLocale,
+            brandProfile: brandProfile || undefined,
             createdBy: req.user._id,
             tags: tags ? (Array.isArray(tags) ? tags : tags.split(',').map(t => t.trim())) : []
         };
@@ -197,6 +269,30 @@ router.post('/', auth, anyRole(['admin', 'hr']), upload.single('templateFile'),
             templateData.fileUrl = `/uploads/templates/${req.file.filename}`;
         }
         
+        // Parse language variants if provided: [{ language, locale, content, labels }]
+        if (variants) {
+            try {
+                templateData.variants = typeof variants === 'string' ? JSON.parse(variants) : variants;
+            } catch (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid variants format'
+                });
+            }
+        }
+        
+        // Parse page setup if provided: { format, orientation, margins, backgroundImage, printBackground }
+        if (pageSetup) {
+            try {
+                templateData.pageSetup = typeof pageSetup === 'string' ? JSON.parse(pageSetup) : pageSetup;
+            } catch (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid page setup format'
+                });
+            }
+        }
+        
         // Parse placeholders if provided
         if (placeholders) {
             try {
@@ -207,6 +303,15 @@ router.post('/', auth, anyRole(['admin', 'hr']), upload.single('templateFile'),
                     message: 'Invalid placeholders format'
                 });
             }
+        } else {
+            // Start from the placeholder configuration defined for the type
+            const templateType = await TemplateType.findOne({ key: type });
+            if (templateType) {
+                templateData.placeholders = templateType.defaultPlaceholders.map(placeholder => {
+                    const { _id, ...config } = placeholder.toObject();
+                    return config;
+                });
+            }
         }
         
         const template = new Template(templateData);
@@ -218,7 +323,7 @@ router.post('/', auth, anyRole(['admin', 'hr']), upload.single('templateFile'),
         res.status(201).json({
             success: true,
             message: 'Template created successfully',
-            data: { template }
+            data: { template, importIssues }
         });
         
     } catch (error) {
@@ -233,6 +338,15 @@ router.post('/', auth, anyRole(['admin', 'hr']), upload.single('templateFile'),
             }
         }
         
+        // Malformed content (e.g. unbalanced {{#if}} blocks) is a client error
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation Error',
+                errors: Object.values(error.errors).map(e => e.message)
+            });
+        }
+        
         res.status(500).json({
             success: false,
             message: 'Server error creating template'
@@ -240,6 +354,109 @@ router.post('/', auth, anyRole(['admin', 'hr']), upload.single('templateFile'),
     }
 });
 
+// @route   POST /api/templates/extract
+// @desc    Read the content and placeholders of a template file without saving it
+// @access  Private (Admin, HR)
+router.post('/extract', auth, anyRole(['admin', 'hr']), upload.single('templateFile'), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({
+            success: false,
+            message: 'Template file is required'
+        });
+    }
+    
+    try {
+        const extracted = await extractTemplateFile(req.file.path, req.file.originalname);
+        if (!extracted) {
+            return res.status(400).json({
+                success: false,
+                message: 'Text can only be read from .docx and .html files'
+            });
+        }
+        
+        // Same checks as /validate, so the pre-filled form shows its problems straight away
+        const { snippets } = await Snippet.resolve(extractPartials(extracted.content));
+        const result = Template.lint({ content: extracted.content, placeholders: [], snippets });
+        const issues = [...extracted.issues, ...result.errors, ...result.warnings]
+            .sort((a, b) => (a.line - b.line) || (a.column - b.column));
+        
+        res.json({
+            success: true,
+            message: issues.length > 0 ? `Template file read with ${issues.length} issue(s)` : 'Template file read',
+            data: {
+                content: extracted.content,
+                placeholders: result.placeholders,
+                issues
+            }
+        });
+        
+    } catch (error) {
+        console.error('Template extraction error:', error);
+        res.status(400).json({
+            success: false,
+            message: `Could not read template file: ${error.message}`
+        });
+    } finally {
+        // Nothing is saved, so the upload is not kept
+        fs.unlink(req.file.path, (unlinkError) => {
+            if (unlinkError) console.error('Error deleting uploaded file:', unlinkError);
+        });
+    }
+});
+
+// @route   POST /api/templates/validate
+// @desc    Check template content and placeholder configuration without saving
+// @access  Private (Admin, HR)
+router.post('/validate', auth, anyRole(['admin', 'hr']), async (req, res) => {
+    try {
+        const { content } = req.body;
+        let { placeholders = [] } = req.body;
+        
+        if (typeof content !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: 'Content is required'
+            });
+        }
+        
+        // Accept the same JSON string the create/update forms send
+        if (typeof placeholders === 'string') {
+            try {
+                placeholders = JSON.parse(placeholders);
+            } catch (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid placeholders format'
+                });
+            }
+        }
+        
+        if (!Array.isArray(placeholders) || placeholders.some(p => !p || typeof p !== 'object')) {
+            return res.status(400).json({
+                success: false,
+                message: 'Placeholders must be an array of objects'
+            });
+        }
+        
+        // Included snippets are checked and their placeholders extracted, as when saving
+        const { snippets } = await Snippet.resolve(extractPartials(content));
+        const result = Template.lint({ content, placeholders, snippets });
+        
+        res.json({
+            success: true,
+            message: result.valid ? 'Template is valid' : `Template has ${result.errors.length} error(s)`,
+            data: result
+        });
+        
+    } catch (error) {
+        console.error('Template validation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error validating template'
+        });
+    }
+});
+
 // @route   PUT /api/templates/:id
 // @desc    Update template
 // @access  Private (Admin, HR)
@@ -267,14 +484,21 @@ router.put('/:id', auth, anyRole(['admin', 'hr']), upload.single('templateFile')
             type,
             description,
             content,
+            contentFormat,
+            defaultLanguage,
+            defaultLocale,
+            variants,
+            brandProfile,
+            pageSetup,
             placeholders,
             tags,
-            isActive
+            isActive,
+            changeNote
         } = req.body;
         
+        // The version is bumped by the model when revisioned fields change
         const updateData = {
-            updatedBy: req.user._id,
-            version: template.version + 1
+            updatedBy: req.user._id
         };
         
         // Update fields if provided
@@ -282,6 +506,11 @@ router.put('/:id', auth, anyRole(['admin', 'hr']), upload.single('templateFile')
         if (type) updateData.type = type;
         if (description !== undefined) updateData.description = description.trim();
         if (content) updateData.content = content;
+        if (contentFormat) updateData.contentFormat = contentFormat;
+        if (defaultLanguage) updateData.defaultLanguage = defaultLanguage;
+        if (defaultLocale !== undefined) updateData.defaultLocale = defaultLocale || undefined;
+        // An empty value goes back to the default brand profile
+        if (brandProfile !== undefined) updateData.brandProfile = brandProfile || undefined;
         if (isActive !== undefined) updateData.isActive = isActive === 'true';
         
         // Handle tags
@@ -289,6 +518,30 @@ router.put('/:id', auth, anyRole(['admin', 'hr']), upload.single('templateFile')
             updateData.tags = Array.isArray(tags) ? tags : tags.split(',').map(t => t.trim());
         }
         
+        // Handle language variants; an empty list removes them
+        if (variants !== undefined) {
+            try {
+                updateData.variants = typeof variants === 'string' ? JSON.parse(variants) : variants;
+            } catch (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid variants format'
+                });
+            }
+        }
+        
+        // Handle page setup; an empty value goes back to the template type's page layout
+        if (pageSetup !== undefined) {
+            try {
+                updateData.pageSetup = (typeof pageSetup === 'string' ? pageSetup && JSON.parse(pageSetup) : pageSetup) || undefined;
+            } catch (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid page setup format'
+                });
+            }
+        }
+        
         // Handle placeholders
         if (placeholders) {
             try {
@@ -302,30 +555,40 @@ router.put('/:id', auth, anyRole(['admin', 'hr']), upload.single('templateFile')
         }
         
         // Handle file upload
+        // The previous file is kept: earlier revisions (and rollbacks to them) still render from it
+        let importIssues;
         if (req.file) {
-            // Delete old file if exists
-            if (template.fileUrl) {
-                const oldFilePath = path.join(__dirname, '..', template.fileUrl);
-                try {
-                    fs.unlinkSync(oldFilePath);
-                } catch (error) {
-                    console.error('Error deleting old file:', error);
-                }
-            }
-            
             updateData.fileUrl = `/uploads/templates/${req.file.filename}`;
+            
+            // A new file replaces the content unless content was sent as well
+            let extracted;
+            try {
+                extracted = !content && await extractTemplateFile(req.file.path, req.file.originalname);
+            } catch (extractError) {
+                fs.unlinkSync(req.file.path);
+                return res.status(400).json({
+                    success: false,
+                    message: `Could not read template file: ${extractError.message}`
+                });
+            }
+            if (extracted) {
+                updateData.content = extracted.content;
+                importIssues = extracted.issues;
+            }
         }
         
-        const updatedTemplate = await Template.findByIdAndUpdate(
-            req.params.id,
-            updateData,
-            { new: true, runValidators: true }
-        ).populate('createdBy', 'name email').populate('updatedBy', 'name email');
+        // Save through the document so placeholder extraction and revision history run
+        template.set(updateData);
+        template.$locals.changeNote = changeNote;
+        await template.save();
+        
+        await template.populate('createdBy', 'name email');
+        await template.populate('updatedBy', 'name email');
         
         res.json({
             success: true,
             message: 'Template updated successfully',
-            data: { template: updatedTemplate }
+            data: { template, importIssues }
         });
         
     } catch (error) {
@@ -340,6 +603,15 @@ router.put('/:id', auth, anyRole(['admin', 'hr']), upload.single('templateFile')
             }
         }
         
+        // Malformed content (e.g. unbalanced {{#if}} blocks) is a client error
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation Error',
+                errors: Object.values(error.errors).map(e => e.message)
+            });
+        }
+        
         res.status(500).json({
             success: false,
             message: 'Server error updating template'
@@ -373,17 +645,19 @@ router.delete('/:id', auth, roleCheck(['admin']), async (req, res) => {
             });
         }
         
-        // Delete associated file
-        if (template.fileUrl) {
-            const filePath = path.join(__dirname, '..', template.fileUrl);
+        // Delete associated files, including those of earlier revisions
+        const revisionFiles = await TemplateRevision.distinct('fileUrl', { templateId: template._id });
+        new Set([template.fileUrl, ...revisionFiles].filter(Boolean)).forEach(fileUrl => {
+            const filePath = path.join(__dirname, '..', fileUrl);
             try {
                 fs.unlinkSync(filePath);
             } catch (error) {
                 console.error('Error deleting template file:', error);
             }
-        }
+        });
         
         await Template.findByIdAndDelete(req.params.id);
+        await TemplateRevision.deleteMany({ templateId: req.params.id });
         
         res.json({
             success: true,
@@ -402,44 +676,29 @@ router.delete('/:id', auth, roleCheck(['admin']), async (req, res) => {
 // @route   GET /api/templates/types/list
 // @desc    Get available template types
 // @access  Private
-router.get('/types/list', auth, (req, res) => {
-    const templateTypes = [
-        {
-            value: 'offer_letter',
-            label: 'Offer Letter',
-            description: 'Job offer letters for new hires'
-        },
-        {
-            value: 'appointment_letter',
-            label: 'Appointment Letter',
-            description: 'Official appointment confirmation letters'
-        },
-        {
-            value: 'experience_letter',
-            label: 'Experience Letter',
-            description: 'Work experience certificates'
-        },
-        {
-            value: 'completion_certificate',
-            label: 'Completion Certificate',
-            description: 'Course or project completion certificates'
-        },
-        {
-            value: 'relieving_letter',
-            label: 'Relieving Letter',
-            description: 'Employee relieving letters'
-        },
-        {
-            value: 'salary_certificate',
-            label: 'Salary Certificate',
-            description: 'Salary confirmation certificates'
-        }
-    ];
-    
-    res.json({
-        success: true,
-        data: { templateTypes }
-    });
+router.get('/types/list', auth, async (req, res) => {
+    try {
+        const types = await TemplateType.list();
+        
+        const templateTypes = types.map(type => ({
+            value: type.key,
+            label: type.label,
+            description: type.description,
+            defaultPlaceholders: type.defaultPlaceholders
+        }));
+        
+        res.json({
+            success: true,
+            data: { templateTypes }
+        });
+        
+    } catch (error) {
+        console.error('Template types fetch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching template types'
+        });
+    }
 });
 
 // @route   GET /api/templates/stats/overview
@@ -475,6 +734,113 @@ router.get('/stats/overview', auth, anyRole(['admin', 'hr']), async (req, res) =
     }
 });
 
+// Content types for template previews
+const PREVIEW_FORMATS = {
+    pdf: 'application/pdf',
+    docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    html: 'text/html; charset=utf-8'
+};
+
+// @route   POST /api/templates/:id/preview
+// @desc    Render a template in memory and stream it back; nothing is saved or counted (PDFs of uploaded
+//          Word templates are converted in a temporary directory that is removed afterwards)
+// @access  Private (staff: published version of active templates only)
+router.post('/:id/preview', auth, async (req, res) => {
+    try {
+        const { format = 'pdf', data = {}, revision, language, sampleData = true, watermark } = req.body;
+        
+        if (!PREVIEW_FORMATS[format]) {
+            return res.status(400).json({
+                success: false,
+                message: 'Format must be pdf, docx or html'
+            });
+        }
+        
+        if (typeof data !== 'object' || Array.isArray(data)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Data must be an object'
+            });
+        }
+        
+        const { watermarks, errors: watermarkErrors } = parseWatermarks(watermark);
+        if (watermarkErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid watermark',
+                errors: watermarkErrors
+            });
+        }
+        if (watermarks.length > 0 && format === 'html') {
+            return res.status(400).json({
+                success: false,
+                message: 'Watermarks are only available for PDF and DOCX previews'
+            });
+        }
+        
+        const template = await Template.findById(req.params.id);
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                message: 'Template not found'
+            });
+        }
+        
+        // Admin and HR preview the working copy or any revision; staff only what they could generate
+        let previewTemplate = template;
+        if (req.user.role === 'staff') {
+            const published = template.isActive && await template.getPublishedRevision();
+            if (!published) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied to unpublished template'
+                });
+            }
+            previewTemplate = template.forRevision(published);
+        } else if (revision !== undefined && Number(revision) !== template.version) {
+            const snapshot = await TemplateRevision.findOne({ templateId: template._id, revision: Number(revision) });
+            if (!snapshot) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Revision not found'
+                });
+            }
+            previewTemplate = template.forRevision(snapshot);
+        }
+        
+        // Unknown languages fall back to the default content
+        await previewTemplate.loadSnippets();
+        previewTemplate = previewTemplate.forLanguage(language);
+        
+        // Uploaded Word templates are only rendered as Word or PDF
+        if (format === 'html' && getDocxSourcePath(previewTemplate)) {
+            return res.status(400).json({
+                success: false,
+                message: 'HTML preview is not available for uploaded Word templates'
+            });
+        }
+        
+        const values = sampleData ? previewTemplate.buildSampleData(data, language) : data;
+        const fileName = `preview_${previewTemplate.type}_v${previewTemplate.version}.${format}`;
+        
+        const content = format === 'pdf' ? await renderPDF(previewTemplate, values, { watermarks }) :
+                        format === 'docx' ? await renderDOCX(previewTemplate, values, { watermarks }) :
+                        await renderHTML(previewTemplate, values);
+        
+        res.setHeader('Content-Type', PREVIEW_FORMATS[format]);
+        res.setHeader('Content-Disposition', `inline; filename="${fileName}"`);
+        res.setHeader('Cache-Control', 'no-store');
+        res.send(content);
+        
+    } catch (error) {
+        console.error('Template preview error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error rendering preview'
+        });
+    }
+});
+
 // @route   POST /api/templates/:id/clone
 // @desc    Clone an existing template
 // @access  Private (Admin, HR)
@@ -513,6 +879,12 @@ router.post('/:id/clone', auth, anyRole(['admin', 'hr']), async (req, res) => {
             type: originalTemplate.type,
             description: originalTemplate.description ? `Copy of ${originalTemplate.description}` : '',
             content: originalTemplate.content,
+            contentFormat: originalTemplate.contentFormat,
+            defaultLanguage: originalTemplate.defaultLanguage,
+            defaultLocale: originalTemplate.defaultLocale,
+            variants: originalTemplate.variants,
+            brandProfile: originalTemplate.brandProfile,
+            pageSetup: originalTemplate.pageSetup,
             placeholders: originalTemplate.placeholders,
             tags: [...originalTemplate.tags, 'cloned'],
             createdBy: req.user._id,
@@ -538,4 +910,829 @@ router.post('/:id/clone', auth, anyRole(['admin', 'hr']), async (req, res) => {
     }
 });
 
+// @route   GET /api/templates/:id/export
+// @desc    Download a template as a bundle (?revision=n exports an earlier revision)
+// @access  Private (Admin, HR)
+router.get('/:id/export', auth, anyRole(['admin', 'hr']), async (req, res) => {
+    try {
+        const template = await Template.findById(req.params.id);
+        
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                message: 'Template not found'
+            });
+        }
+        
+        let exported = template;
+        const { revision } = req.query;
+        if (revision !== undefined && Number(revision) !== template.version) {
+            const snapshot = await TemplateRevision.findOne({ templateId: template._id, revision: Number(revision) });
+            if (!snapshot) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Revision not found'
+                });
+            }
+            exported = template.forRevision(snapshot);
+        }
+        
+        // Snippets included through other snippets are bundled too, with the content the
+        // exported revision was saved with
+        await exported.loadSnippets();
+        const snippetContent = exported.$locals.snippets;
+        const found = await Snippet.find({ key: { $in: [...snippetContent.keys()] } });
+        const snippets = [...snippetContent.keys()].sort().map(key => {
+            const snippet = found.find(s => s.key === key);
+            return {
+                key,
+                name: snippet ? snippet.name : key,
+                description: snippet ? snippet.description : undefined,
+                content: snippetContent.get(key)
+            };
+        });
+        
+        let file = null;
+        if (exported.fileUrl) {
+            const filePath = path.join(__dirname, '..', exported.fileUrl);
+            if (!fs.existsSync(filePath)) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Template file not found'
+                });
+            }
+            file = { name: path.basename(exported.fileUrl), buffer: fs.readFileSync(filePath) };
+        }
+        
+        const bundle = await createBundle({ template: exported, snippets, file });
+        const fileName = `${exported.name.replace(/[^\w-]+/g, '_')}_v${exported.version}.zip`;
+        
+        res.setHeader('Content-Type', 'application/zip');
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+        res.send(bundle);
+        
+    } catch (error) {
+        console.error('Template export error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error exporting template'
+        });
+    }
+});
+
+// @route   POST /api/templates/import
+// @desc    Create a template from a bundle; onConflict (rename, skip or overwrite) handles name clashes
+// @access  Private (Admin, HR)
+router.post('/import', auth, anyRole(['admin', 'hr']), bundleUpload.single('bundle'), async (req, res) => {
+    let savedFilePath = null;
+    
+    try {
+        const { onConflict = 'rename' } = req.body;
+        
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'Bundle file is required'
+            });
+        }
+        
+        if (!IMPORT_CONFLICT_MODES.includes(onConflict)) {
+            return res.status(400).json({
+                success: false,
+                message: `onConflict must be one of: ${IMPORT_CONFLICT_MODES.join(', ')}`
+            });
+        }
+        
+        let bundle;
+        try {
+            bundle = await readBundle(req.file.buffer);
+        } catch (bundleError) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid template bundle: ${bundleError.message}`,
+                errors: bundleError.errors
+            });
+        }
+        
+        const { definition, placeholders, snippets, file } = bundle;
+        if (!definition.name || !definition.type || !definition.content) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid template bundle: name, type and content are required'
+            });
+        }
+        
+        // The bundled file is stored like an upload, so it must be a type uploads accept
+        if (file && !TEMPLATE_FILE_TYPES.includes(path.extname(file.name).toLowerCase())) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid template bundle: the template file must be one of ${TEMPLATE_FILE_TYPES.join(', ')}`
+            });
+        }
+        
+        let name = String(definition.name).trim();
+        const existingTemplate = await Template.findOne({ name });
+        
+        if (existingTemplate && onConflict === 'skip') {
+            return res.json({
+                success: true,
+                message: 'Template with this name already exists; import skipped',
+                data: { template: existingTemplate, action: 'skipped' }
+            });
+        }
+        
+        const overwrite = existingTemplate && onConflict === 'overwrite';
+        if (overwrite && req.user.role !== 'admin' && existingTemplate.createdBy.toString() !== req.user._id.toString()) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to update this template'
+            });
+        }
+        if (existingTemplate && onConflict === 'rename') {
+            name = await findAvailableName(name);
+        }
+        
+        // Snippets first, as saving the template checks that the ones it includes exist
+        const snippetResult = await importSnippets(snippets, req.user._id);
+        
+        let fileUrl;
+        if (file) {
+            const uploadPath = path.join(__dirname, '../uploads/templates');
+            fs.mkdirSync(uploadPath, { recursive: true });
+            const fileName = `templateFile-${Date.now()}-${Math.round(Math.random() * 1E9)}${path.extname(file.name).toLowerCase()}`;
+            savedFilePath = path.join(uploadPath, fileName);
+            fs.writeFileSync(savedFilePath, file.buffer);
+            fileUrl = `/uploads/templates/${fileName}`;
+        }
+        
+        const { version: bundleVersion, ...fields } = definition;
+        const version = Number.isInteger(bundleVersion) && bundleVersion > 0 ? bundleVersion : 1;
+        const changeNote = `Imported from bundle (revision ${version})`;
+        let template;
+        
+        if (overwrite) {
+            // The previous file is kept for earlier revisions, as with PUT
+            template = existingTemplate;
+            template.set({ ...fields, name, placeholders, fileUrl, updatedBy: req.user._id });
+            template.$locals.importedVersion = version;
+        } else {
+            // New templates keep the bundle's revision number
+            template = new Template({ ...fields, name, placeholders, fileUrl, version, createdBy: req.user._id });
+        }
+        template.$locals.changeNote = changeNote;
+        await template.save();
+        
+        await template.populate('createdBy', 'name email');
+        
+        res.status(overwrite ? 200 : 201).json({
+            success: true,
+            message: overwrite ? 'Template overwritten from bundle' : 'Template imported successfully',
+            data: {
+                template,
+                action: overwrite ? 'overwritten' : name !== String(definition.name).trim() ? 'renamed' : 'created',
+                snippets: snippetResult
+            }
+        });
+        
+    } catch (error) {
+        console.error('Template import error:', error);
+        
+        // Clean up the extracted template file if the import fails
+        if (savedFilePath) {
+            try {
+                fs.unlinkSync(savedFilePath);
+            } catch (unlinkError) {
+                console.error('Error deleting imported file:', unlinkError);
+            }
+        }
+        
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation Error',
+                errors: Object.values(error.errors).map(e => e.message)
+            });
+        }
+        
+        res.status(500).json({
+            success: false,
+            message: 'Server error importing template'
+        });
+    }
+});
+
+// Helper function to find a free template name, e.g. "Offer Letter (2)"
+async function findAvailableName(name) {
+    for (let copy = 2; ; copy++) {
+        const candidate = `${name} (${copy})`;
+        if (!(await Template.exists({ name: candidate }))) return candidate;
+    }
+}
+
+// Helper function to create the bundled snippets that do not exist yet
+// Existing snippets are kept, as other templates use them; keys whose content differs are reported
+async function importSnippets(snippets, userId) {
+    const created = [];
+    const conflicts = [];
+    let pending = [];
+    
+    for (const snippet of snippets) {
+        const existing = await Snippet.findOne({ key: snippet.key });
+        if (!existing) {
+            pending.push(snippet);
+        } else if (existing.content !== snippet.content) {
+            conflicts.push(snippet.key);
+        }
+    }
+    
+    // Snippets may include each other, so those whose included snippets exist are created first
+    while (pending.length > 0) {
+        const waiting = (snippet) => extractPartials(snippet.content).some(key => pending.some(p => p !== snippet && p.key === key));
+        const ready = pending.filter(snippet => !waiting(snippet));
+        // Circular snippets are saved anyway so validation reports them
+        const batch = ready.length > 0 ? ready : pending;
+        
+        for (const snippet of batch) {
+            await new Snippet({ ...snippet, createdBy: userId, updatedBy: userId }).save();
+            created.push(snippet.key);
+        }
+        pending = pending.filter(snippet => !batch.includes(snippet));
+    }
+    
+    return { created, conflicts };
+}
+
+// @route   GET /api/templates/:id/revisions
+// @desc    List revisions of a template, newest first
+// @access  Private (Admin, HR)
+router.get('/:id/revisions', auth, anyRole(['admin', 'hr']), async (req, res) => {
+    try {
+        const { page = 1, limit = 20 } = req.query;
+        
+        const template = await Template.findById(req.params.id).select('name version');
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                message: 'Template not found'
+            });
+        }
+        
+        const revisions = await TemplateRevision.findByTemplate(template._id, {
+            page: parseInt(page),
+            limit: parseInt(limit)
+        });
+        const total = await TemplateRevision.countDocuments({ templateId: template._id });
+        
+        res.json({
+            success: true,
+            data: {
+                currentVersion: template.version,
+                revisions: revisions.map(revision => revision.summary),
+                pagination: {
+                    current: parseInt(page),
+                    pages: Math.ceil(total / limit),
+                    total,
+                    hasNext: page * limit < total,
+                    hasPrev: page > 1
+                }
+            }
+        });
+        
+    } catch (error) {
+        console.error('Template revisions fetch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching template revisions'
+        });
+    }
+});
+
+// @route   GET /api/templates/:id/revisions/diff?from=1&to=3
+// @desc    Diff two revisions of a template (to defaults to the current version)
+// @access  Private (Admin, HR)
+router.get('/:id/revisions/diff', auth, anyRole(['admin', 'hr']), async (req, res) => {
+    try {
+        const template = await Template.findById(req.params.id);
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                message: 'Template not found'
+            });
+        }
+        
+        const from = parseInt(req.query.from);
+        const to = req.query.to ? parseInt(req.query.to) : template.version;
+        
+        if (isNaN(from) || isNaN(to)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Revision numbers "from" and "to" must be integers'
+            });
+        }
+        
+        // Make sure the current version has a snapshot to compare against
+        await template.getCurrentRevision();
+        
+        const [fromRevision, toRevision] = await Promise.all([
+            TemplateRevision.findOne({ templateId: template._id, revision: from }),
+            TemplateRevision.findOne({ templateId: template._id, revision: to })
+        ]);
+        
+        if (!fromRevision || !toRevision) {
+            return res.status(404).json({
+                success: false,
+                message: `Revision ${!fromRevision ? from : to} not found`
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: { diff: TemplateRevision.compare(fromRevision, toRevision) }
+        });
+        
+    } catch (error) {
+        console.error('Template revision diff error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error comparing template revisions'
+        });
+    }
+});
+
+// @route   GET /api/templates/:id/revisions/:revision
+// @desc    Get a single revision with its content
+// @access  Private (Admin, HR)
+router.get('/:id/revisions/:revision', auth, anyRole(['admin', 'hr']), async (req, res) => {
+    try {
+        const revision = await TemplateRevision.findOne({
+            templateId: req.params.id,
+            revision: parseInt(req.params.revision)
+        }).populate('author', 'name email');
+        
+        if (!revision) {
+            return res.status(404).json({
+                success: false,
+                message: 'Revision not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: { revision }
+        });
+        
+    } catch (error) {
+        console.error('Template revision fetch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching template revision'
+        });
+    }
+});
+
+// @route   POST /api/templates/:id/revisions/:revision/rollback
+// @desc    Restore a template to an earlier revision (recorded as a new revision)
+// @access  Private (Admin, HR)
+router.post('/:id/revisions/:revision/rollback', auth, anyRole(['admin', 'hr']), async (req, res) => {
+    try {
+        const template = await Template.findById(req.params.id);
+        
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                message: 'Template not found'
+            });
+        }
+        
+        // Only admin or template creator can roll back
+        if (req.user.role !== 'admin' && template.createdBy.toString() !== req.user._id.toString()) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to update this template'
+            });
+        }
+        
+        const revision = await TemplateRevision.findOne({
+            templateId: template._id,
+            revision: parseInt(req.params.revision)
+        });
+        
+        if (!revision) {
+            return res.status(404).json({
+                success: false,
+                message: 'Revision not found'
+            });
+        }
+        
+        if (revision.revision === template.version) {
+            return res.status(400).json({
+                success: false,
+                message: 'Template is already at this revision'
+            });
+        }
+        
+        await template.rollbackTo(revision, req.user._id);
+        await template.populate('createdBy', 'name email');
+        await template.populate('updatedBy', 'name email');
+        
+        res.json({
+            success: true,
+            message: `Template rolled back to revision ${revision.revision}`,
+            data: { template }
+        });
+        
+    } catch (error) {
+        console.error('Template rollback error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error rolling back template'
+        });
+    }
+});
+
+// Notify a user about a review workflow action; failures are logged, never fatal
+async function notifyReview(template, action, actor, recipientId, comment) {
+    try {
+        const recipient = await User.findById(recipientId).select('email isActive');
+        if (!recipient || !recipient.isActive) return;
+        
+        await sendReviewNotification(recipient.email, {
+            templateName: template.name,
+            action,
+            actorName: actor.name,
+            version: action === 'submitted' ? template.version : template.publishedVersion || template.version,
+            comment
+        });
+    } catch (error) {
+        console.error('Review notification failed:', error);
+    }
+}
+
+// Only admin or template creator can change a template's workflow state
+function canManageTemplate(user, template) {
+    return user.role === 'admin' || template.createdBy.toString() === user._id.toString();
+}
+
+// @route   GET /api/templates/workflow/policies
+// @desc    Get approval requirement for each template type
+// @access  Private (Admin only)
+router.get('/workflow/policies', auth, roleCheck(['admin']), async (req, res) => {
+    try {
+        const policies = await ApprovalPolicy.find().populate('updatedBy', 'name email');
+        const byType = new Map(policies.map(policy => [policy.templateType, policy]));
+        
+        const types = await TemplateType.list({ includeInactive: true });
+        const result = types.map(({ key: templateType }) => ({
+            templateType,
+            requireApproval: Boolean(byType.get(templateType)?.requireApproval),
+            updatedBy: byType.get(templateType)?.updatedBy || null,
+            updatedAt: byType.get(templateType)?.updatedAt || null
+        }));
+        
+        res.json({
+            success: true,
+            data: { policies: result }
+        });
+        
+    } catch (error) {
+        console.error('Approval policies fetch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching approval policies'
+        });
+    }
+});
+
+// @route   PUT /api/templates/workflow/policies/:type
+// @desc    Require (or stop requiring) approval for a template type
+// @access  Private (Admin only)
+router.put('/workflow/policies/:type', auth, roleCheck(['admin']), async (req, res) => {
+    try {
+        const { type } = req.params;
+        const { requireApproval } = req.body;
+        
+        await TemplateType.ensureDefaults();
+        if (!(await TemplateType.exists({ key: type }))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid template type'
+            });
+        }
+        
+        if (typeof requireApproval !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                message: 'requireApproval must be true or false'
+            });
+        }
+        
+        const policy = await ApprovalPolicy.setPolicy(type, requireApproval, req.user._id);
+        
+        res.json({
+            success: true,
+            message: `Approval ${requireApproval ? 'required' : 'no longer required'} for ${type}`,
+            data: { policy }
+        });
+        
+    } catch (error) {
+        console.error('Approval policy update error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error updating approval policy'
+        });
+    }
+});
+
+// @route   GET /api/templates/workflow/pending
+// @desc    Get templates waiting for review (assigned to the current user; all for admin)
+// @access  Private (Admin, HR)
+router.get('/workflow/pending', auth, anyRole(['admin', 'hr']), async (req, res) => {
+    try {
+        const query = { status: 'in_review' };
+        if (req.user.role !== 'admin') {
+            query['review.reviewer'] = req.user._id;
+        }
+        
+        const templates = await Template.find(query)
+            .populate('review.requestedBy', 'name email')
+            .populate('review.reviewer', 'name email')
+            .sort({ 'review.requestedAt': 1 });
+        
+        res.json({
+            success: true,
+            data: { templates }
+        });
+        
+    } catch (error) {
+        console.error('Pending reviews fetch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching pending reviews'
+        });
+    }
+});
+
+// @route   POST /api/templates/:id/submit-review
+// @desc    Submit the current version for review
+// @access  Private (Admin, HR)
+router.post('/:id/submit-review', auth, anyRole(['admin', 'hr']), async (req, res) => {
+    try {
+        const { reviewerId, comment } = req.body;
+        
+        const template = await Template.findById(req.params.id);
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                message: 'Template not found'
+            });
+        }
+        
+        if (!canManageTemplate(req.user, template)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to submit this template'
+            });
+        }
+        
+        // Templates from before the approval workflow are unreviewed, like drafts
+        if (!template.isLegacy() && !['draft', 'archived'].includes(template.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Only draft or archived templates can be submitted for review (current status: ${template.status})`
+            });
+        }
+        
+        if (!reviewerId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Reviewer is required'
+            });
+        }
+        
+        const reviewer = await User.findById(reviewerId);
+        if (!reviewer || !reviewer.isActive || !['admin', 'hr'].includes(reviewer.role)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Reviewer must be an active admin or HR user'
+            });
+        }
+        
+        if (reviewer._id.toString() === req.user._id.toString()) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot review your own submission'
+            });
+        }
+        
+        await template.submitForReview(reviewer._id, req.user._id, comment);
+        await notifyReview(template, 'submitted', req.user, reviewer._id, comment);
+        
+        res.json({
+            success: true,
+            message: `Version ${template.version} submitted for review`,
+            data: { template }
+        });
+        
+    } catch (error) {
+        console.error('Template review submission error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error submitting template for review'
+        });
+    }
+});
+
+// @route   POST /api/templates/:id/approve
+// @desc    Approve and publish the version under review
+// @access  Private (Admin, HR - assigned reviewer)
+router.post('/:id/approve', auth, anyRole(['admin', 'hr']), async (req, res) => {
+    try {
+        const { comment } = req.body;
+        
+        const template = await Template.findById(req.params.id);
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                message: 'Template not found'
+            });
+        }
+        
+        if (template.status !== 'in_review') {
+            return res.status(400).json({
+                success: false,
+                message: 'Template is not awaiting review'
+            });
+        }
+        
+        // Only the assigned reviewer or an admin can decide
+        if (req.user.role !== 'admin' && template.review.reviewer.toString() !== req.user._id.toString()) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the assigned reviewer can approve this template'
+            });
+        }
+        
+        const submitterId = template.review.requestedBy;
+        await template.approve(req.user._id, comment);
+        await notifyReview(template, 'approved', req.user, submitterId, comment);
+        
+        res.json({
+            success: true,
+            message: `Version ${template.publishedVersion} approved and published`,
+            data: { template }
+        });
+        
+    } catch (error) {
+        console.error('Template approval error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error approving template'
+        });
+    }
+});
+
+// @route   POST /api/templates/:id/reject
+// @desc    Reject the version under review with a comment
+// @access  Private (Admin, HR - assigned reviewer)
+router.post('/:id/reject', auth, anyRole(['admin', 'hr']), async (req, res) => {
+    try {
+        const { comment } = req.body;
+        
+        if (!comment || !comment.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'A comment explaining the rejection is required'
+            });
+        }
+        
+        const template = await Template.findById(req.params.id);
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                message: 'Template not found'
+            });
+        }
+        
+        if (template.status !== 'in_review') {
+            return res.status(400).json({
+                success: false,
+                message: 'Template is not awaiting review'
+            });
+        }
+        
+        // Only the assigned reviewer or an admin can decide
+        if (req.user.role !== 'admin' && template.review.reviewer.toString() !== req.user._id.toString()) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the assigned reviewer can reject this template'
+            });
+        }
+        
+        const submitterId = template.review.requestedBy;
+        await template.reject(req.user._id, comment.trim());
+        await notifyReview(template, 'rejected', req.user, submitterId, comment.trim());
+        
+        res.json({
+            success: true,
+            message: 'Template returned to draft',
+            data: { template }
+        });
+        
+    } catch (error) {
+        console.error('Template rejection error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error rejecting template'
+        });
+    }
+});
+
+// @route   POST /api/templates/:id/publish
+// @desc    Publish the current version directly (types that do not require approval)
+// @access  Private (Admin, HR)
+router.post('/:id/publish', auth, anyRole(['admin', 'hr']), async (req, res) => {
+    try {
+        const template = await Template.findById(req.params.id);
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                message: 'Template not found'
+            });
+        }
+        
+        if (!canManageTemplate(req.user, template)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to publish this template'
+            });
+        }
+        
+        if (await ApprovalPolicy.requiresApproval(template.type)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Templates of this type must be approved by a reviewer before publishing'
+            });
+        }
+        
+        await template.publish(req.user._id, req.body.comment);
+        
+        res.json({
+            success: true,
+            message: `Version ${template.publishedVersion} published`,
+            data: { template }
+        });
+        
+    } catch (error) {
+        console.error('Template publish error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error publishing template'
+        });
+    }
+});
+
+// @route   POST /api/templates/:id/archive
+// @desc    Archive a template so it can no longer be used for generation
+// @access  Private (Admin, HR)
+router.post('/:id/archive', auth, anyRole(['admin', 'hr']), async (req, res) => {
+    try {
+        const template = await Template.findById(req.params.id);
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                message: 'Template not found'
+            });
+        }
+        
+        if (!canManageTemplate(req.user, template)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to archive this template'
+            });
+        }
+        
+        if (template.status === 'archived') {
+            return res.status(400).json({
+                success: false,
+                message: 'Template is already archived'
+            });
+        }
+        
+        await template.archive(req.user._id, req.body.comment);
+        
+        res.json({
+            success: true,
+            message: 'Template archived',
+            data: { template }
+        });
+        
+    } catch (error) {
+        console.error('Template archive error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error archiving template'
+        });
+    }
+});
+
 module.exports = router;
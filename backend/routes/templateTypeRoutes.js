@@ -0,0 +1,214 @@
+const express = require('express');
+const Template = require('../models/Template');
+const TemplateType = require('../models/TemplateType');
+const auth = require('../middleware/auth');
+const { roleCheck } = require('../middleware/roleCheck');
+
+const router = express.Router();
+
+// Fields admins may set on a template type (the key is fixed once created)
+const EDITABLE_FIELDS = ['label', 'description', 'defaultPlaceholders', 'pageLayout', 'signing', 'retention', 'isActive'];
+
+// Copy the editable fields present in a request body
+function pickEditableFields(body) {
+    return EDITABLE_FIELDS.reduce((fields, field) => {
+        if (body[field] !== undefined) fields[field] = body[field];
+        return fields;
+    }, {});
+}
+
+// @route   GET /api/template-types
+// @desc    Get template types (admin can include inactive types)
+// @access  Private
+router.get('/', auth, async (req, res) => {
+    try {
+        const includeInactive = req.user.role === 'admin' && req.query.includeInactive === 'true';
+        const templateTypes = await TemplateType.list({ includeInactive });
+        
+        res.json({
+            success: true,
+            data: { templateTypes }
+        });
+        
+    } catch (error) {
+        console.error('Template types fetch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching template types'
+        });
+    }
+});
+
+// @route   GET /api/template-types/:key
+// @desc    Get single template type
+// @access  Private
+router.get('/:key', auth, async (req, res) => {
+    try {
+        await TemplateType.ensureDefaults();
+        const templateType = await TemplateType.findOne({ key: req.params.key })
+            .populate('createdBy', 'name email')
+            .populate('updatedBy', 'name email');
+        
+        if (!templateType || (!templateType.isActive && req.user.role !== 'admin')) {
+            return res.status(404).json({
+                success: false,
+                message: 'Template type not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: { templateType }
+        });
+        
+    } catch (error) {
+        console.error('Template type fetch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching template type'
+        });
+    }
+});
+
+// @route   POST /api/template-types
+// @desc    Create template type
+// @access  Private (Admin only)
+router.post('/', auth, roleCheck(['admin']), async (req, res) => {
+    try {
+        const { key } = req.body;
+        
+        if (!key || !req.body.label) {
+            return res.status(400).json({
+                success: false,
+                message: 'Key and label are required'
+            });
+        }
+        
+        await TemplateType.ensureDefaults();
+        const existingType = await TemplateType.findOne({ key: String(key).trim().toLowerCase() });
+        if (existingType) {
+            return res.status(400).json({
+                success: false,
+                message: 'Template type with this key already exists'
+            });
+        }
+        
+        const templateType = new TemplateType({
+            key,
+            ...pickEditableFields(req.body),
+            createdBy: req.user._id,
+            updatedBy: req.user._id
+        });
+        await templateType.save();
+        
+        res.status(201).json({
+            success: true,
+            message: 'Template type created successfully',
+            data: { templateType }
+        });
+        
+    } catch (error) {
+        console.error('Template type creation error:', error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation Error',
+                errors: Object.values(error.errors).map(e => e.message)
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error creating template type'
+        });
+    }
+});
+
+// @route   PUT /api/template-types/:key
+// @desc    Update template type
+// @access  Private (Admin only)
+router.put('/:key', auth, roleCheck(['admin']), async (req, res) => {
+    try {
+        await TemplateType.ensureDefaults();
+        const templateType = await TemplateType.findOne({ key: req.params.key });
+        
+        if (!templateType) {
+            return res.status(404).json({
+                success: false,
+                message: 'Template type not found'
+            });
+        }
+        
+        templateType.set({
+            ...pickEditableFields(req.body),
+            updatedBy: req.user._id
+        });
+        await templateType.save();
+        
+        res.json({
+            success: true,
+            message: 'Template type updated successfully',
+            data: { templateType }
+        });
+        
+    } catch (error) {
+        console.error('Template type update error:', error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation Error',
+                errors: Object.values(error.errors).map(e => e.message)
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error updating template type'
+        });
+    }
+});
+
+// @route   DELETE /api/template-types/:key
+// @desc    Delete an unused, custom template type
+// @access  Private (Admin only)
+router.delete('/:key', auth, roleCheck(['admin']), async (req, res) => {
+    try {
+        const templateType = await TemplateType.findOne({ key: req.params.key });
+        
+        if (!templateType) {
+            return res.status(404).json({
+                success: false,
+                message: 'Template type not found'
+            });
+        }
+        
+        if (TemplateType.isBuiltIn(templateType.key)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Built-in template types cannot be deleted; deactivate the type instead'
+            });
+        }
+        
+        const templateCount = await Template.countDocuments({ type: templateType.key });
+        if (templateCount > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Template type is used by ${templateCount} template(s); deactivate the type instead`
+            });
+        }
+        
+        await TemplateType.findByIdAndDelete(templateType._id);
+        
+        res.json({
+            success: true,
+            message: 'Template type deleted successfully'
+        });
+        
+    } catch (error) {
+        console.error('Template type deletion error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error deleting template type'
+        });
+    }
+});
+
+module.exports = router;
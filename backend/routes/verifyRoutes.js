@@ -0,0 +1,118 @@
+const express = require('express');
+const path = require('path');
+const fs = require('fs');
+const rateLimit = require('express-rate-limit');
+const GeneratedDoc = require('../models/GeneratedDoc');
+const TemplateType = require('../models/TemplateType');
+const { verifyPDFSignature } = require('../utils/pdfSigner');
+const {
+    normalizeVerificationCode,
+    hashContent,
+    matchContentHash,
+    maskName,
+    renderVerificationPage
+} = require('../utils/verification');
+
+const router = express.Router();
+
+// Helper function to answer JSON clients with JSON and browsers (people scanning the QR code) with a page
+function sendVerification(res, statusCode, result, message) {
+    res.status(statusCode).format({
+        json: () => res.json(result ? {
+            success: true,
+            data: { verification: result }
+        } : {
+            success: false,
+            message
+        }),
+        html: () => res.send(renderVerificationPage(result, message))
+    });
+}
+
+// Requests per IP address per window; VERIFY_RATE_LIMIT_WINDOW is in minutes
+const verifyLimiter = rateLimit({
+    windowMs: (parseInt(process.env.VERIFY_RATE_LIMIT_WINDOW, 10) || 15) * 60 * 1000,
+    limit: parseInt(process.env.VERIFY_RATE_LIMIT_MAX, 10) || 30,
+    standardHeaders: true,
+    legacyHeaders: false,
+    handler: (req, res) => sendVerification(res, 429, null, 'Too many verification requests, please try again later')
+});
+
+// Helper function to read the stored copy of a document; null when it is no longer kept
+function readStoredFile(document) {
+    if (!document.filePath) return null;
+    const filePath = path.join(__dirname, '..', document.filePath);
+    return fs.existsSync(filePath) ? fs.readFileSync(filePath) : null;
+}
+
+// Helper function to check the digital signature of a stored PDF
+function checkSignature(file, document) {
+    if (!file || path.extname(document.filePath).toLowerCase() !== '.pdf') return null;
+    
+    const { signed, valid, problems, signerName, reason, signedAt } = verifyPDFSignature(file);
+    return signed ? { signed, valid, problems, signerName, reason, signedAt } : { signed };
+}
+
+// Helper function to build the public facts about a document
+// Only these fields leave the server: recipient data (salary included) never does
+async function buildVerificationResult(document, providedHash) {
+    const templateType = await TemplateType.findOne({ key: document.templateType }).select('label');
+    const file = readStoredFile(document);
+    const storedHash = file && hashContent(file);
+    const signature = checkSignature(file, document);
+
+    // value is the hash of the original; watermarked copies issued on download each have their own
+    const contentHash = {
+        algorithm: 'sha256',
+        value: document.contentHash || null,
+        // Whether the copy kept on the server still matches the hash recorded at generation
+        storedFileMatches: storedHash && document.contentHash ? storedHash === document.contentHash : null,
+        issuedCopies: (document.issuedCopies || []).length
+    };
+    if (providedHash) {
+        const match = document.contentHash ? matchContentHash(document, providedHash) : null;
+        contentHash.providedHashMatches = Boolean(match);
+        contentHash.providedHashMatchesCopy = Boolean(match && match.copy);
+        if (match && match.copy) contentHash.providedHashIssuedAt = match.issuedAt;
+    }
+
+    return {
+        documentId: document.documentId,
+        valid: ['completed', 'sent'].includes(document.status) && contentHash.storedFileMatches !== false &&
+            !(signature && signature.signed && !signature.valid),
+        status: document.status,
+        documentType: templateType ? templateType.label : document.templateType,
+        recipient: maskName(document.recipientData && document.recipientData.name),
+        issuedAt: document.createdAt,
+        contentHash,
+        signature
+    };
+}
+
+// @route   GET /verify/:documentId
+// @desc    Verify a generated document with the code printed on it (?code=, optional ?hash= of a copy)
+// @access  Public (rate limited)
+router.get('/:documentId', verifyLimiter, async (req, res) => {
+    try {
+        const code = normalizeVerificationCode(req.query.code);
+        const document = code && await GeneratedDoc.findOne({ documentId: req.params.documentId })
+            .select('documentId verificationCode contentHash issuedCopies templateType recipientData.name status filePath createdAt');
+        
+        // Unknown IDs and wrong codes look the same, so IDs cannot be probed
+        if (!document || document.verificationCode !== code) {
+            return sendVerification(res, 404, null, 'No document matches this document ID and verification code');
+        }
+        
+        const result = await buildVerificationResult(document, req.query.hash);
+        sendVerification(res, 200, result);
+        
+    } catch (error) {
+        console.error('Document verification error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error verifying document'
+        });
+    }
+});
+
+module.exports = router;
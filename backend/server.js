@@ -8,7 +8,14 @@ require('dotenv').config();
 // Import routes
 const authRoutes = require('./routes/authRoutes');
 const templateRoutes = require('./routes/templateRoutes');
+const templateTypeRoutes = require('./routes/templateTypeRoutes');
+const snippetRoutes = require('./routes/snippetRoutes');
+const brandProfileRoutes = require('./routes/brandProfileRoutes');
 const docRoutes = require('./routes/docRoutes');
+const verifyRoutes = require('./routes/verifyRoutes');
+const browserPool = require('./utils/browserPool');
+const auth = require('./middleware/auth');
+const { roleCheck } = require('./middleware/roleCheck');
 
 const app = express();
 
@@ -42,8 +49,14 @@ connectDB();
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/templates', templateRoutes);
+app.use('/api/template-types', templateTypeRoutes);
+app.use('/api/snippets', snippetRoutes);
+app.use('/api/brand-profiles', brandProfileRoutes);
 app.use('/api/documents', docRoutes);
 
+// Public verification page linked from the QR code on generated PDFs
+app.use('/verify', verifyRoutes);
+
 // Serve static files for generated documents
 app.use('/generated', express.static(path.join(__dirname, 'generated')));
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
@@ -54,7 +67,16 @@ app.get('/api/health', (req, res) => {
         status: 'OK',
         message: 'DocGen-Mongo API is running',
         timestamp: new Date().toISOString(),
-        version: '1.0.0'
+        version: '1.0.0',
+        pdfPool: browserPool.getStats().browserConnected ? 'up' : 'down'
+    });
+});
+
+// PDF browser pool usage, for administrators
+app.get('/api/health/pdf-pool', auth, roleCheck(['admin']), (req, res) => {
+    res.json({
+        success: true,
+        data: { pdfPool: browserPool.getStats() }
     });
 });
 
@@ -114,23 +136,28 @@ app.use('*', (req, res) => {
 
 const PORT = process.env.PORT || 5000;
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
     console.log(`🚀 Server running on port ${PORT}`);
     console.log(`📊 Health check: http://localhost:${PORT}/api/health`);
     console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
+    
+    // Start the PDF browser now so the first document does not wait for it
+    browserPool.warmUp().catch(error => console.error('PDF browser pool warm-up error:', error));
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
     console.log('SIGTERM received, shutting down gracefully');
-    server.close(() => {
+    server.close(async () => {
+        await browserPool.shutdown().catch(error => console.error('PDF browser pool shutdown error:', error));
         console.log('Process terminated');
         mongoose.connection.close();
     });
 });
 
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
     console.log('SIGINT received, shutting down gracefully');
+    await browserPool.shutdown().catch(error => console.error('PDF browser pool shutdown error:', error));
     mongoose.connection.close(() => {
         console.log('MongoDB connection closed');
         process.exit(0);
@@ -0,0 +1,325 @@
+const puppeteer = require('puppeteer');
+
+/**
+ * Shared headless browser for PDF rendering
+ * One browser is kept running with up to PDF_POOL_SIZE pages open, so documents are
+ * rendered without launching Chrome each time. Pages are replaced after
+ * PDF_POOL_MAX_RENDERS renders or a failed render, and the browser is relaunched
+ * on the next render if it crashes.
+ */
+
+const LAUNCH_OPTIONS = {
+    headless: true,
+    args: [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-dev-shm-usage',
+        '--disable-gpu'
+    ]
+};
+
+// Read a positive integer from the environment
+function readLimit(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return value > 0 ? value : fallback;
+}
+
+const config = {
+    // Pages rendering at the same time
+    size: readLimit('PDF_POOL_SIZE', 2),
+    // Renders before a page is closed and replaced, which releases memory Chrome holds on to
+    maxRenders: readLimit('PDF_POOL_MAX_RENDERS', 100),
+    // Longest a render waits for a free page, in milliseconds
+    acquireTimeout: readLimit('PDF_POOL_ACQUIRE_TIMEOUT', 60000)
+};
+
+let browser = null;
+let launching = null;
+let creating = 0;
+let closing = false;
+
+// Pages are { page, browser, renders, broken }
+const idle = [];
+const busy = new Set();
+// Renders waiting for a free page: { resolve, reject, timer }
+const waiting = [];
+
+const counters = {
+    browserLaunches: 0,
+    browserCrashes: 0,
+    pagesCreated: 0,
+    pagesRecycled: 0,
+    renders: 0,
+    failedRenders: 0
+};
+
+/**
+ * Get the running browser, launching it if needed
+ * @returns {Promise<Object>} Puppeteer browser
+ */
+async function getBrowser() {
+    if (browser && browser.isConnected()) {
+        return browser;
+    }
+
+    if (!launching) {
+        launching = puppeteer.launch(LAUNCH_OPTIONS)
+            .then(instance => {
+                counters.browserLaunches += 1;
+                instance.on('disconnected', () => handleDisconnect(instance));
+                browser = instance;
+                return instance;
+            })
+            .finally(() => {
+                launching = null;
+            });
+    }
+    return launching;
+}
+
+/**
+ * Forget a browser that exited; the next render launches a new one
+ * @param {Object} instance - Browser that disconnected
+ */
+function handleDisconnect(instance) {
+    if (browser !== instance) return;
+
+    browser = null;
+    // Its pages are gone: idle ones are dropped now, busy ones when their render fails
+    idle.length = 0;
+    if (!closing) {
+        counters.browserCrashes += 1;
+        console.error('PDF browser disconnected; relaunching on the next render');
+    }
+}
+
+/**
+ * Open a page for the pool
+ * @returns {Promise<Object>} Pooled page
+ */
+async function createPage() {
+    const instance = await getBrowser();
+    const page = await instance.newPage();
+    const pooled = { page, browser: instance, renders: 0, broken: false };
+
+    // Emitted when the page's renderer process crashes
+    page.on('error', () => {
+        pooled.broken = true;
+    });
+    counters.pagesCreated += 1;
+    return pooled;
+}
+
+/**
+ * Check whether a pooled page can render again
+ * @param {Object} pooled - Pooled page
+ * @returns {boolean}
+ */
+function isUsable(pooled) {
+    return !pooled.broken && pooled.browser === browser && browser.isConnected() && !pooled.page.isClosed();
+}
+
+/**
+ * Close a pooled page, ignoring pages that are already gone
+ * @param {Object} pooled - Pooled page
+ */
+function destroyPage(pooled) {
+    if (pooled.browser.isConnected() && !pooled.page.isClosed()) {
+        pooled.page.close().catch(error => console.error('Error closing PDF page:', error));
+    }
+}
+
+/**
+ * Open a page and hand it to a waiting render
+ * @param {Object} waiter - Waiting render
+ */
+function createPageFor(waiter) {
+    creating += 1;
+    createPage()
+        .then(pooled => {
+            busy.add(pooled);
+            waiter.resolve(pooled);
+        }, waiter.reject)
+        .finally(() => {
+            creating -= 1;
+        });
+}
+
+/**
+ * Take a page from the pool, waiting for one when all are busy
+ * @returns {Promise<Object>} Pooled page
+ */
+async function acquire() {
+    if (closing) {
+        throw new Error('PDF browser pool is shut down');
+    }
+
+    while (idle.length > 0) {
+        const pooled = idle.pop();
+        if (isUsable(pooled)) {
+            busy.add(pooled);
+            return pooled;
+        }
+        destroyPage(pooled);
+    }
+
+    if (busy.size + creating < config.size) {
+        return new Promise((resolve, reject) => createPageFor({ resolve, reject }));
+    }
+
+    return new Promise((resolve, reject) => {
+        const waiter = { resolve, reject };
+        waiter.timer = setTimeout(() => {
+            waiting.splice(waiting.indexOf(waiter), 1);
+            reject(new Error(`No PDF renderer became free within ${config.acquireTimeout}ms`));
+        }, config.acquireTimeout);
+        waiting.push(waiter);
+    });
+}
+
+/**
+ * Return a page to the pool, replacing it when it failed or reached its render limit
+ * @param {Object} pooled - Pooled page
+ * @param {boolean} failed - Whether the render failed
+ */
+function release(pooled, failed) {
+    busy.delete(pooled);
+    pooled.renders += 1;
+
+    let next = pooled;
+    if (failed || !isUsable(pooled) || pooled.renders >= config.maxRenders) {
+        if (!failed && pooled.renders >= config.maxRenders) {
+            counters.pagesRecycled += 1;
+        }
+        destroyPage(pooled);
+        next = null;
+    }
+
+    const waiter = waiting.shift();
+    if (!waiter) {
+        if (next && !closing) idle.push(next);
+        return;
+    }
+
+    clearTimeout(waiter.timer);
+    if (next) {
+        busy.add(next);
+        waiter.resolve(next);
+    } else {
+        createPageFor(waiter);
+    }
+}
+
+/**
+ * Run a render on a pooled page
+ * The page is reused afterwards, so renders should only set its content and print it
+ * @param {Function} render - async (page) => result
+ * @returns {Promise<*>} Result of render
+ */
+async function withPage(render) {
+    const pooled = await acquire();
+    let failed = true;
+
+    try {
+        const result = await render(pooled.page);
+        failed = false;
+        counters.renders += 1;
+        return result;
+    } catch (error) {
+        counters.failedRenders += 1;
+        throw error;
+    } finally {
+        release(pooled, failed);
+    }
+}
+
+/**
+ * Open pages for waiting renders while the pool has room
+ */
+function serveWaiting() {
+    while (waiting.length > 0 && busy.size + creating < config.size) {
+        const waiter = waiting.shift();
+        clearTimeout(waiter.timer);
+        createPageFor(waiter);
+    }
+}
+
+/**
+ * Launch the browser and open the pool's pages ahead of the first render
+ * The pages count as being created from the start, so renders arriving meanwhile
+ * wait for them instead of opening more
+ * @returns {Promise<void>}
+ */
+async function warmUp() {
+    const missing = config.size - idle.length - busy.size - creating;
+    if (missing <= 0) return;
+
+    creating += missing;
+    for (let i = 0; i < missing; i++) {
+        let pooled;
+        try {
+            pooled = await createPage();
+        } catch (error) {
+            // Free the pages not opened; waiting renders try to open them themselves
+            creating -= missing - i;
+            serveWaiting();
+            throw error;
+        }
+        creating -= 1;
+
+        const waiter = waiting.shift();
+        if (waiter) {
+            clearTimeout(waiter.timer);
+            busy.add(pooled);
+            waiter.resolve(pooled);
+        } else if (closing) {
+            destroyPage(pooled);
+        } else {
+            idle.push(pooled);
+        }
+    }
+}
+
+/**
+ * Close the browser; renders waiting for a page fail and later renders are refused
+ * @returns {Promise<void>}
+ */
+async function shutdown() {
+    closing = true;
+    waiting.splice(0).forEach(waiter => {
+        clearTimeout(waiter.timer);
+        waiter.reject(new Error('PDF browser pool is shut down'));
+    });
+    idle.length = 0;
+
+    const instance = browser || (launching && await launching.catch(() => null));
+    if (instance) {
+        await instance.close();
+    }
+}
+
+/**
+ * Get pool usage for monitoring
+ * @returns {Object} Configuration, page counts and lifetime counters
+ */
+function getStats() {
+    return {
+        size: config.size,
+        maxRenders: config.maxRenders,
+        browserConnected: Boolean(browser && browser.isConnected()),
+        pages: {
+            idle: idle.length,
+            busy: busy.size,
+            total: idle.length + busy.size
+        },
+        waiting: waiting.length,
+        ...counters
+    };
+}
+
+module.exports = {
+    withPage,
+    warmUp,
+    shutdown,
+    getStats
+};
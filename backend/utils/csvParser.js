@@ -1,6 +1,7 @@
 const csv = require('csv-parser');
 const xlsx = require('xlsx');
 const fs = require('fs');
+const { setPath } = require('./objectPath');
 
 /**
  * Parse CSV file and return data array
@@ -137,11 +138,12 @@ const mapDataToPlaceholders = (data, mapping) => {
         const column = mapping[placeholder];
         const normalizedColumn = column.toLowerCase().replace(/\s+/g, '_');
         
+        // Dotted placeholder keys (e.g. "manager.name") produce nested objects
         if (row[normalizedColumn] !== undefined) {
-          mappedRow[placeholder] = row[normalizedColumn];
+          setPath(mappedRow, placeholder, row[normalizedColumn]);
         } else {
           console.warn(`Warning: Column '${column}' not found in row ${index + 1}`);
-          mappedRow[placeholder] = '';
+          setPath(mappedRow, placeholder, '');
         }
       });
       
@@ -0,0 +1,46 @@
+/**
+ * Line-based text diff using a longest common subsequence table
+ * Template content is short, so the O(n * m) table is acceptable
+ * @param {string} oldText - Original text
+ * @param {string} newText - Updated text
+ * @returns {Object} { changes: [{ type, line, oldLine, newLine }], stats: { added, removed, unchanged } }
+ */
+const diffLines = (oldText = '', newText = '') => {
+  const a = (oldText || '').split('\n');
+  const b = (newText || '').split('\n');
+
+  // lcs[i][j] = length of the LCS of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const changes = [];
+  const stats = { added: 0, removed: 0, unchanged: 0 };
+  let i = 0;
+  let j = 0;
+
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      stats.unchanged++;
+      i++;
+      j++;
+    } else if (i < a.length && (j >= b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      changes.push({ type: 'removed', line: a[i], oldLine: i + 1 });
+      stats.removed++;
+      i++;
+    } else {
+      changes.push({ type: 'added', line: b[j], newLine: j + 1 });
+      stats.added++;
+      j++;
+    }
+  }
+
+  return { changes, stats };
+};
+
+module.exports = {
+  diffLines
+};
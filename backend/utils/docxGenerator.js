@@ -1,6 +1,396 @@
 const fs = require('fs');
 const path = require('path');
-const { Document, Packer, Paragraph, TextRun, AlignmentType } = require('docx');
+const {
+  Document, Packer, Paragraph, TextRun, ImageRun, AlignmentType, HeadingLevel, LevelFormat,
+  Table, TableRow, TableCell, WidthType, BorderStyle, Header, Footer, PageNumber, PageOrientation,
+  HorizontalPositionRelativeFrom, VerticalPositionRelativeFrom
+} = require('docx');
+const { render } = require('./templateEngine');
+const markdown = require('./markdown');
+const { parseImageDataUrl, getImageSize, fitImage } = require('./imageData');
+const { fillDocxTemplate, addWatermarks, getDocxSourcePath, readDocxSource, escapeXml } = require('./docxTemplate');
+const { hashContent } = require('./verification');
+
+// Marks where an image placeholder sits in rendered content, e.g. "\u0000IMAGE:0\u0000"
+const IMAGE_MARKER_REGEX = /\u0000IMAGE:(\d+)\u0000/;
+
+// Largest size an image placeholder is drawn at, in pixels
+const MAX_IMAGE_WIDTH = 150;
+const MAX_IMAGE_HEIGHT = 180;
+
+// Largest size a brand logo is drawn at in the letterhead, in pixels
+const MAX_LOGO_WIDTH = 180;
+const MAX_LOGO_HEIGHT = 60;
+
+/**
+ * Build the runs for a piece of text, turning image markers into pictures
+ * @param {string} text - Text, possibly containing image markers
+ * @param {Array} images - Decoded images referenced by markers in the text
+ * @param {Object} style - TextRun options, e.g. { bold: true }
+ * @returns {Array<TextRun|ImageRun>} - Paragraph children
+ */
+const buildRuns = (text, images = [], style = {}) => {
+  // split() with a capture group alternates text and image indexes
+  return text.split(IMAGE_MARKER_REGEX).map((part, index) => {
+    if (index % 2 === 0) {
+      return new TextRun({
+        text: part,
+        size: 24, // 12pt font
+        ...style
+      });
+    }
+
+    const image = images[Number(part)];
+    if (!image) return new TextRun({ text: '' });
+
+    const size = getImageSize(image.buffer) || { width: MAX_IMAGE_WIDTH, height: MAX_IMAGE_HEIGHT };
+    return new ImageRun({
+      data: image.buffer,
+      transformation: fitImage(size, MAX_IMAGE_WIDTH, MAX_IMAGE_HEIGHT)
+    });
+  });
+};
+
+/**
+ * Build one DOCX paragraph per line of processed content
+ * @param {string} content - Content with placeholders already replaced
+ * @param {Array} images - Decoded images referenced by markers in the content
+ * @returns {Array<Paragraph>} - Document paragraphs
+ */
+const buildParagraphs = (content, images = []) => {
+  return content.split('\n').map(line => {
+    return new Paragraph({
+      children: buildRuns(line.trim(), images),
+      spacing: {
+        after: 200,
+      }
+    });
+  });
+};
+
+// Numbering definition for Markdown numbered lists, one format per nesting level
+const NUMBERED_LIST_REFERENCE = 'markdown-numbered';
+const NUMBERED_LIST_FORMATS = [LevelFormat.DECIMAL, LevelFormat.LOWER_LETTER, LevelFormat.LOWER_ROMAN, LevelFormat.DECIMAL];
+
+const numberedListConfig = (reference, start = 1) => ({
+  reference,
+  levels: NUMBERED_LIST_FORMATS.map((format, level) => ({
+    level,
+    format,
+    text: `%${level + 1}.`,
+    start: level === 0 ? start : 1,
+    alignment: AlignmentType.START,
+    style: {
+      paragraph: {
+        indent: { left: 720 * (level + 1), hanging: 360 }
+      }
+    }
+  }))
+});
+
+const TABLE_ALIGNMENT = {
+  left: AlignmentType.LEFT,
+  center: AlignmentType.CENTER,
+  right: AlignmentType.RIGHT
+};
+
+/**
+ * Build the runs for one or more lines of parsed Markdown, with line breaks between them
+ * @param {Array} lines - [runs] from markdown.parse()
+ * @param {Array} images - Decoded images referenced by markers
+ * @param {Object} style - TextRun options applied to every run
+ * @returns {Array<TextRun|ImageRun>} - Paragraph children
+ */
+const buildMarkdownRuns = (lines, images, style = {}) => lines.flatMap((runs, index) => [
+  ...(index > 0 ? [new TextRun({ break: 1 })] : []),
+  ...runs.flatMap(run => buildRuns(run.text, images, {
+    bold: run.bold || style.bold,
+    italics: run.italic,
+    strike: run.strike,
+    ...('size' in style ? { size: style.size } : {})
+  }))
+]);
+
+/**
+ * Build native DOCX headings, lists, tables and formatted runs from Markdown content
+ * @param {string} content - Markdown with placeholders already replaced
+ * @param {Array} images - Decoded images referenced by markers in the content
+ * @returns {Object} - { children, numbering } for the document section and numbering config
+ */
+const buildMarkdownContent = (content, images = []) => {
+  const numbering = [];
+
+  const children = markdown.parse(content).flatMap(block => {
+    switch (block.type) {
+      case 'heading':
+        return new Paragraph({
+          heading: HeadingLevel[`HEADING_${block.level}`],
+          // Headings take their size from the heading style
+          children: buildMarkdownRuns([block.runs], images, { size: undefined }),
+          spacing: { before: 240, after: 120 }
+        });
+
+      case 'paragraph':
+        return new Paragraph({
+          children: buildMarkdownRuns(block.lines, images),
+          spacing: { after: 200 }
+        });
+
+      case 'list': {
+        // Each list with numbered items has its own numbering definition, so numbering restarts
+        const instance = numbering.length;
+        if (block.items.some(item => item.ordered)) {
+          numbering.push(block.ordered ? block.start : 1);
+        }
+
+        return block.items.map(item => new Paragraph({
+          children: buildMarkdownRuns(item.lines, images),
+          ...(item.ordered
+            ? { numbering: { reference: `${NUMBERED_LIST_REFERENCE}-${instance}`, level: item.level } }
+            : { bullet: { level: item.level } }),
+          spacing: { after: 80 }
+        }));
+      }
+
+      case 'table': {
+        const cell = (runs, index, style = {}) => new TableCell({
+          children: [new Paragraph({
+            alignment: TABLE_ALIGNMENT[block.align[index]],
+            children: buildMarkdownRuns([runs], images, { bold: style.bold })
+          })],
+          margins: { top: 80, bottom: 80, left: 120, right: 120 },
+          shading: style.shading
+        });
+
+        return [
+          new Table({
+            width: { size: 100, type: WidthType.PERCENTAGE },
+            rows: [
+              new TableRow({
+                tableHeader: true,
+                children: block.header.map((runs, index) => cell(runs, index, {
+                  bold: true,
+                  shading: { fill: 'F2F2F2' }
+                }))
+              }),
+              ...block.rows.map(row => new TableRow({
+                children: row.map((runs, index) => cell(runs, index))
+              }))
+            ]
+          }),
+          // Keeps the next block from sticking to the table
+          new Paragraph({ spacing: { after: 200 } })
+        ];
+      }
+
+      case 'rule':
+        return new Paragraph({
+          border: { bottom: { style: BorderStyle.SINGLE, size: 6, color: 'CCCCCC', space: 1 } },
+          spacing: { after: 200 }
+        });
+
+      default:
+        return [];
+    }
+  });
+
+  return {
+    children,
+    numbering: numbering.map((start, instance) => numberedListConfig(`${NUMBERED_LIST_REFERENCE}-${instance}`, start))
+  };
+};
+
+// Portrait page sizes in twips (1/1440 inch); Word swaps them for landscape
+const PAGE_SIZES = {
+  A4: { width: 11906, height: 16838 },
+  Letter: { width: 12240, height: 15840 },
+  Legal: { width: 12240, height: 20160 }
+};
+
+// Twips per unit of the CSS lengths page margins are given in
+const TWIPS_PER_UNIT = { in: 1440, cm: 567, mm: 56.7, pt: 20, px: 15 };
+
+/**
+ * Convert a CSS length such as "1in" or "2.5cm" to twips
+ * @param {string} length - CSS length; unitless numbers are pixels, as in PDFs
+ * @returns {number} - Twips
+ */
+const toTwips = (length) => {
+  const match = /^(\d+(?:\.\d+)?)(in|cm|mm|pt|px)?$/.exec(String(length).trim());
+  if (!match) return TWIPS_PER_UNIT.in;
+  return Math.round(parseFloat(match[1]) * TWIPS_PER_UNIT[match[2] || 'px']);
+};
+
+/**
+ * Build section page properties from a template's page layout
+ * @param {Object} layout - Page layout from template.getPageLayout()
+ * @returns {Object} - Section properties
+ */
+const buildPageProperties = (layout) => {
+  const size = PAGE_SIZES[layout.format] || PAGE_SIZES.A4;
+  const { top, right, bottom, left } = layout.margins;
+
+  return {
+    page: {
+      size: {
+        ...size,
+        orientation: layout.orientation === 'landscape' ? PageOrientation.LANDSCAPE : PageOrientation.PORTRAIT
+      },
+      margin: {
+        top: toTwips(top),
+        right: toTwips(right),
+        bottom: toTwips(bottom),
+        left: toTwips(left)
+      }
+    }
+  };
+};
+
+/**
+ * Build the page background: artwork anchored to the page corner, stretched to its edges
+ * and drawn behind the text. It sits in the header so it repeats on every page
+ * @param {Object} layout - Page layout with a backgroundImage
+ * @returns {Paragraph|null} - Header paragraph, or null when there is no usable image
+ */
+const buildPageBackground = (layout) => {
+  const image = layout.backgroundImage && parseImageDataUrl(layout.backgroundImage);
+  if (!image) return null;
+
+  const size = PAGE_SIZES[layout.format] || PAGE_SIZES.A4;
+  const landscape = layout.orientation === 'landscape';
+  // ImageRun sizes are in pixels, 15 twips each
+  const width = (landscape ? size.height : size.width) / TWIPS_PER_UNIT.px;
+  const height = (landscape ? size.width : size.height) / TWIPS_PER_UNIT.px;
+
+  return new Paragraph({
+    children: [new ImageRun({
+      data: image.buffer,
+      transformation: { width, height },
+      floating: {
+        horizontalPosition: { relative: HorizontalPositionRelativeFrom.PAGE, offset: 0 },
+        verticalPosition: { relative: VerticalPositionRelativeFrom.PAGE, offset: 0 },
+        behindDocument: true,
+        allowOverlap: true
+      }
+    })]
+  });
+};
+
+// Word colours are hex values without the leading '#'
+const wordColor = (color) => color.replace(/^#/, '');
+
+/**
+ * Build the letterhead shown at the top of every page from a brand profile
+ * @param {Object} brand - Brand profile
+ * @param {Paragraph|null} background - Page background from buildPageBackground()
+ * @returns {Header} - Page header
+ */
+const buildLetterhead = (brand, background = null) => {
+  const children = background ? [background] : [];
+
+  const logo = brand.logo && parseImageDataUrl(brand.logo);
+  if (logo) {
+    const size = getImageSize(logo.buffer) || { width: MAX_LOGO_WIDTH, height: MAX_LOGO_HEIGHT };
+    children.push(new Paragraph({
+      alignment: AlignmentType.CENTER,
+      children: [new ImageRun({ data: logo.buffer, transformation: fitImage(size, MAX_LOGO_WIDTH, MAX_LOGO_HEIGHT) })]
+    }));
+  }
+
+  children.push(new Paragraph({
+    alignment: AlignmentType.CENTER,
+    children: [new TextRun({
+      text: brand.companyName,
+      bold: true,
+      size: 36,
+      font: brand.fonts.heading,
+      color: wordColor(brand.colors.primary)
+    })]
+  }));
+
+  if (brand.tagline) {
+    children.push(new Paragraph({
+      alignment: AlignmentType.CENTER,
+      children: [new TextRun({ text: brand.tagline, size: 20, color: '666666' })]
+    }));
+  }
+
+  if (brand.address) {
+    children.push(new Paragraph({
+      alignment: AlignmentType.CENTER,
+      children: brand.address.split(/\r?\n/).map((line, index) => new TextRun({
+        text: line,
+        size: 18,
+        color: '666666',
+        ...(index > 0 ? { break: 1 } : {})
+      }))
+    }));
+  }
+
+  const registrations = (brand.registrationNumbers || []).map(({ label, value }) => `${label}: ${value}`);
+  if (registrations.length > 0) {
+    children.push(new Paragraph({
+      alignment: AlignmentType.CENTER,
+      children: [new TextRun({ text: registrations.join(' \u00B7 '), size: 18, color: '666666' })]
+    }));
+  }
+
+  // Rule under the letterhead, as in the PDF
+  children.push(new Paragraph({
+    border: { bottom: { style: BorderStyle.SINGLE, size: 12, color: wordColor(brand.colors.primary), space: 4 } },
+    spacing: { after: 240 }
+  }));
+
+  return new Header({ children });
+};
+
+/**
+ * Build the page footer: the brand's footer text and page numbers
+ * @param {Object} brand - Brand profile
+ * @returns {Footer} - Page footer
+ */
+const buildBrandFooter = (brand) => {
+  const children = [];
+
+  if (brand.footerText) {
+    children.push(new Paragraph({
+      alignment: AlignmentType.CENTER,
+      children: [new TextRun({ text: brand.footerText, size: 16, color: '666666' })]
+    }));
+  }
+
+  children.push(new Paragraph({
+    alignment: AlignmentType.RIGHT,
+    children: [new TextRun({
+      children: ['Page ', PageNumber.CURRENT, ' of ', PageNumber.TOTAL_PAGES],
+      size: 16,
+      color: '666666'
+    })]
+  }));
+
+  return new Footer({ children });
+};
+
+/**
+ * Build document styles from a brand profile: body text and headings use its fonts and colours
+ * @param {Object} brand - Brand profile
+ * @returns {Object} - Document styles option
+ */
+const buildBrandStyles = (brand) => {
+  const heading = { run: { font: brand.fonts.heading, color: wordColor(brand.colors.primary) } };
+
+  return {
+    default: {
+      document: { run: { font: brand.fonts.body, color: wordColor(brand.colors.text) } },
+      heading1: heading,
+      heading2: heading,
+      heading3: heading,
+      heading4: heading,
+      heading5: heading,
+      heading6: heading
+    }
+  };
+};
 
 /**
  * Generate DOCX document from template content
@@ -10,29 +400,9 @@ const { Document, Packer, Paragraph, TextRun, AlignmentType } = require('docx');
  */
 const generateDocx = async (templateContent, data) => {
   try {
-    // Replace placeholders in template content
-    let processedContent = templateContent;
-    
-    // Replace all placeholders with actual data
-    Object.keys(data).forEach(key => {
-      const placeholder = new RegExp(`{{${key}}}`, 'g');
-      processedContent = processedContent.replace(placeholder, data[key] || '');
-    });
-
-    // Split content into paragraphs
-    const paragraphs = processedContent.split('\n').map(line => {
-      return new Paragraph({
-        children: [
-          new TextRun({
-            text: line.trim(),
-            size: 24, // 12pt font
-          })
-        ],
-        spacing: {
-          after: 200,
-        }
-      });
-    });
+    // Render placeholders and sections in template content
+    const processedContent = render(templateContent, data);
+    const paragraphs = buildParagraphs(processedContent);
 
     // Create document
     const doc = new Document({
@@ -52,6 +422,197 @@ const generateDocx = async (templateContent, data) => {
   }
 };
 
+/**
+ * Generate DOCX document from template and data
+ * @param {Object} template - Template object from database
+ * @param {Object} data - Data to replace placeholders
+ * @param {string} documentId - Unique document identifier
+ * @param {Object} options - Rendering options, see renderDOCX
+ * @returns {Object} - Generated file information
+ */
+const generateDOCX = async (template, data, documentId, options = {}) => {
+  try {
+    // Create output directory if it doesn't exist
+    const outputDir = path.join(__dirname, '../generated/docx');
+    if (!fs.existsSync(outputDir)) {
+      fs.mkdirSync(outputDir, { recursive: true });
+    }
+
+    // Generate filename
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const fileName = `${template.type}_${documentId}_${timestamp}.docx`;
+    const filePath = path.join(outputDir, fileName);
+
+    const buffer = await renderDOCX(template, data, options);
+    fs.writeFileSync(filePath, buffer);
+
+    return {
+      filePath: `generated/docx/${fileName}`,
+      fileName,
+      fileSize: buffer.length,
+      contentHash: hashContent(buffer),
+      success: true
+    };
+
+  } catch (error) {
+    console.error('DOCX generation error:', error);
+    throw new Error(`DOCX generation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Render a template to a DOCX in memory, without writing anything to disk
+ * @param {Object} template - Template object from database
+ * @param {Object} data - Data to replace placeholders
+ * @param {Object} options - Rendering options
+ * @param {Object} options.verification - { documentId, code, url, qrCode } appended to uploaded
+ *   Word files that are converted to PDF
+ * @param {Array} options.watermarks - Watermark rules from utils/watermark
+ * @returns {Buffer} - DOCX content
+ */
+const renderDOCX = async (template, data, options = {}) => {
+  // Uploaded Word templates are filled in place, keeping their own layout
+  const buffer = getDocxSourcePath(template)
+    ? await renderUploadedDOCX(template, data, options)
+    : await renderContentDOCX(template, data);
+
+  return watermarkDOCX(buffer, options.watermarks);
+};
+
+/**
+ * Add watermarks to every page of a DOCX; works on stored documents too
+ * @param {Buffer} buffer - DOCX content
+ * @param {Array} watermarks - Watermark rules from utils/watermark
+ * @returns {Promise<Buffer>} - DOCX content
+ */
+const watermarkDOCX = async (buffer, watermarks = []) => (
+  watermarks.length > 0 ? addWatermarks(buffer, watermarks) : buffer
+);
+
+/**
+ * Lay out a template's own content on its brand letterhead
+ * @param {Object} template - Template object from database
+ * @param {Object} data - Data to replace placeholders
+ * @returns {Buffer} - DOCX content
+ */
+const renderContentDOCX = async (template, data) => {
+  // Built-in content is laid out on the template's brand letterhead and page setup;
+  // pages with background artwork have no running footer, as in the PDF
+  const brand = await template.getBrand();
+  const layout = await template.getPageLayout();
+  const background = buildPageBackground(layout);
+  const section = (children) => ({
+    properties: buildPageProperties(layout),
+    headers: { default: buildLetterhead(brand, background) },
+    ...(background ? {} : { footers: { default: buildBrandFooter(brand) } }),
+    children
+  });
+
+  // Replace placeholders using the template's own formatting rules,
+  // leaving markers where images go
+  const images = [];
+  const processedContent = template.replacePlaceholders(data, {
+    formatImage: (value) => {
+      const image = parseImageDataUrl(value);
+      if (!image) return '';
+      images.push(image);
+      return `\u0000IMAGE:${images.length - 1}\u0000`;
+    }
+  });
+
+  if (template.contentFormat === 'markdown') {
+    const { children, numbering } = buildMarkdownContent(processedContent, images);
+    return Packer.toBuffer(new Document({
+      styles: buildBrandStyles(brand),
+      numbering: { config: numbering },
+      sections: [section(children)]
+    }));
+  }
+
+  const doc = new Document({
+    styles: buildBrandStyles(brand),
+    sections: [section(buildParagraphs(processedContent, images))]
+  });
+
+  return Packer.toBuffer(doc);
+};
+
+/**
+ * Fill a template's uploaded .docx with data
+ * @param {Object} template - Template object from database, with a .docx fileUrl
+ * @param {Object} data - Data to replace placeholders
+ * @returns {Buffer} - DOCX content
+ */
+const renderUploadedDOCX = async (template, data, options = {}) => {
+  const images = [];
+  const formatImage = (value, placeholder) => {
+    const image = parseImageDataUrl(value);
+    if (!image) return '';
+    const size = getImageSize(image.buffer) || { width: MAX_IMAGE_WIDTH, height: MAX_IMAGE_HEIGHT };
+    images.push({
+      ...image,
+      size: fitImage(size, MAX_IMAGE_WIDTH, MAX_IMAGE_HEIGHT),
+      name: placeholder.label
+    });
+    return `\u0000IMAGE:${images.length - 1}\u0000`;
+  };
+
+  const verification = options.verification && buildVerificationXml(options.verification, images);
+
+  return fillDocxTemplate(
+    readDocxSource(template),
+    (xml) => {
+      const rendered = template.replacePlaceholders(data, { content: xml, escape: escapeXml, formatImage });
+      return verification ? appendToBody(rendered, verification) : rendered;
+    },
+    images
+  );
+};
+
+// Size the verification QR code is drawn at, in pixels
+const QR_CODE_SIZE = 80;
+
+/**
+ * Build the verification paragraphs added to the end of an uploaded Word document:
+ * the QR code, then the link, document ID and code for people who type the address
+ * @param {Object} verification - { documentId, code, url, qrCode }
+ * @param {Array} images - Images embedded by fillDocxTemplate; the QR code is added to them
+ * @returns {string} - Paragraph XML, with an image marker where the QR code goes
+ */
+const buildVerificationXml = (verification, images) => {
+  const qrCode = parseImageDataUrl(verification.qrCode);
+  images.push({
+    ...qrCode,
+    size: { width: QR_CODE_SIZE, height: QR_CODE_SIZE },
+    name: 'Verification QR code'
+  });
+
+  const runProperties = '<w:rPr><w:color w:val="666666"/><w:sz w:val="16"/></w:rPr>';
+  const line = (text) => `<w:p><w:r>${runProperties}<w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r></w:p>`;
+  return `<w:p><w:pPr><w:spacing w:before="480"/></w:pPr><w:r><w:t>\u0000IMAGE:${images.length - 1}\u0000</w:t></w:r></w:p>` +
+    line('Verify this document by scanning the QR code or opening') +
+    line(verification.url) +
+    line(`Document ID: ${verification.documentId} \u00B7 Verification code: ${verification.code}`);
+};
+
+/**
+ * Add paragraphs to the end of a document body, before its final section properties
+ * Parts without a body (headers, footers, notes) are returned unchanged
+ * @param {string} xml - Part XML
+ * @param {string} paragraphs - Paragraph XML
+ * @returns {string} - Part XML
+ */
+const appendToBody = (xml, paragraphs) => {
+  const end = xml.lastIndexOf('</w:body>');
+  if (end === -1) return xml;
+
+  // The body's own <w:sectPr> follows its last paragraph or table
+  const sectionStart = xml.lastIndexOf('<w:sectPr', end);
+  const lastBlockEnd = Math.max(xml.lastIndexOf('</w:p>', end), xml.lastIndexOf('</w:tbl>', end));
+  const at = sectionStart > lastBlockEnd ? sectionStart : end;
+  return xml.slice(0, at) + paragraphs + xml.slice(at);
+};
+
 /**
  * Generate DOCX from template file
  * @param {string} templatePath - Path to template file
@@ -123,6 +684,9 @@ const createSampleTemplate = async (type, title, content) => {
 
 module.exports = {
   generateDocx,
+  generateDOCX,
+  renderDOCX,
+  watermarkDOCX,
   generateFromTemplate,
   createSampleTemplate
 };
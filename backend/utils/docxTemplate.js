@@ -0,0 +1,575 @@
+const fs = require('fs');
+const path = require('path');
+const JSZip = require('jszip');
+const { layoutWatermark } = require('./watermark');
+
+/**
+ * Fill uploaded Word templates in place
+ * Only the text of placeholders is rewritten, so tables, headers, footers, styles and
+ * images in the uploaded file are kept as they are
+ */
+
+// Parts of the package that can contain placeholders
+const CONTENT_PART_REGEX = /^word\/(document|header\d*|footer\d*|footnotes|endnotes)\.xml$/;
+
+// A text node: <w:t>...</w:t> or <w:t xml:space="preserve">...</w:t> (not <w:tab/>, <w:tbl>, ...)
+const TEXT_NODE_REGEX = /(<w:t(?:\s[^>]*)?>)([^<]*)(<\/w:t>)/g;
+const PARAGRAPH_REGEX = /<w:p(?:\s[^>]*)?>[\s\S]*?<\/w:p>/g;
+const TABLE_ROW_REGEX = /<w:tr(?:\s[^>]*)?>[\s\S]*?<\/w:tr>/g;
+
+// {{#if ...}}, {{/each}}, {{else}}: when alone in a paragraph or table row they repeat or hide all of it
+const BLOCK_TAG_REGEX = /^\{\{\s*(?:[#/][^{}]*|else)\s*\}\}$/;
+
+// Marks where an image placeholder sits in rendered text, e.g. "\u0000IMAGE:0\u0000"
+const IMAGE_MARKER_REGEX = /\u0000IMAGE:(\d+)\u0000/g;
+
+const IMAGE_RELATIONSHIP_TYPE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/image';
+const EMUS_PER_PIXEL = 9525;
+
+const XML_ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&apos;': "'" };
+
+/**
+ * Escape a rendered value for use inside a <w:t> text node
+ * Line breaks become Word line breaks within the same run
+ * @param {string} value - Rendered value
+ * @returns {string} XML
+ */
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/\r?\n/g, '</w:t><w:br/><w:t xml:space="preserve">');
+
+/**
+ * Decode the entities Word uses in text nodes
+ * @param {string} text - Text as stored in the XML
+ * @returns {string}
+ */
+const unescapeXml = (text) => text.replace(/&(amp|lt|gt|quot|apos);/g, entity => XML_ENTITIES[entity]);
+
+/**
+ * Turn escaped tag text back into template syntax, undoing Word's smart quotes
+ * @param {string} tag - Tag text as stored in the XML
+ * @returns {string} Tag text the template engine can parse
+ */
+const cleanTag = (tag) => unescapeXml(tag)
+  .replace(/[“”]/g, '"')
+  .replace(/[‘’]/g, "'");
+
+/**
+ * Get the visible text of an XML fragment
+ * @param {string} xml - Paragraph or table row XML
+ * @returns {string}
+ */
+const getText = (xml) => Array.from(xml.matchAll(TEXT_NODE_REGEX), match => match[2]).join('');
+
+/**
+ * Move each {{ ... }} tag into a single text node
+ * Word often splits what the author typed across runs (spell checking, formatting changes,
+ * revision marks), e.g. <w:t>{{candidate_</w:t></w:r><w:r><w:t>name}}</w:t>. The whole tag is
+ * moved into the run where it starts, so it keeps that run's formatting.
+ * @param {string} paragraph - Paragraph XML
+ * @returns {string} Paragraph XML
+ */
+const mergeSplitTags = (paragraph) => {
+  const nodes = Array.from(paragraph.matchAll(TEXT_NODE_REGEX));
+  if (nodes.length === 0) return paragraph;
+
+  const text = nodes.map(node => node[2]).join('');
+  if (!text.includes('{{')) return paragraph;
+
+  // Which node each character of the paragraph text belongs to
+  const owners = [];
+  nodes.forEach((node, index) => {
+    for (let i = 0; i < node[2].length; i++) owners.push(index);
+  });
+
+  const tagStarts = new Map();
+  for (const match of text.matchAll(/\{\{[\s\S]*?\}\}/g)) {
+    const owner = owners[match.index];
+    tagStarts.set(match.index, { end: match.index + match[0].length, text: cleanTag(match[0]) });
+    for (let i = match.index; i < match.index + match[0].length; i++) owners[i] = owner;
+  }
+
+  const texts = nodes.map(() => '');
+  const hasTag = new Set();
+  for (let i = 0; i < text.length;) {
+    const tag = tagStarts.get(i);
+    if (tag) {
+      texts[owners[i]] += tag.text;
+      hasTag.add(owners[i]);
+      i = tag.end;
+    } else {
+      texts[owners[i]] += text[i];
+      i++;
+    }
+  }
+
+  let cursor = 0;
+  let result = '';
+  nodes.forEach((node, index) => {
+    // Rendered values may start or end with spaces, which Word drops unless preserved
+    const open = hasTag.has(index) && !node[1].includes('xml:space')
+      ? node[1].replace('<w:t', '<w:t xml:space="preserve"')
+      : node[1];
+    result += paragraph.slice(cursor, node.index) + open + texts[index] + node[3];
+    cursor = node.index + node[0].length;
+  });
+  return result + paragraph.slice(cursor);
+};
+
+/**
+ * Replace paragraphs and table rows that hold nothing but a block tag with the bare tag,
+ * so {{#each}} / {{#if}} repeat or remove whole paragraphs and rows instead of leaving empty ones
+ * @param {string} xml - Part XML
+ * @returns {string} Part XML
+ */
+const expandBlockTags = (xml) => {
+  const expand = (openTag) => (fragment) => {
+    const text = getText(fragment).trim();
+    // Nested paragraphs (text boxes) or tables cannot be cut out safely
+    const nested = fragment.slice(1).search(openTag) !== -1;
+    return BLOCK_TAG_REGEX.test(text) && !nested ? cleanTag(text) : fragment;
+  };
+
+  return xml
+    .replace(TABLE_ROW_REGEX, expand(/<w:tr[\s>]/))
+    .replace(PARAGRAPH_REGEX, expand(/<w:p[\s>]/));
+};
+
+/**
+ * Build the XML for an inline picture
+ * @param {string} relationshipId - Relationship of the image part
+ * @param {number} id - Drawing id, unique within the document
+ * @param {Object} size - { width, height } in pixels
+ * @param {string} name - Description shown to screen readers
+ * @returns {string} <w:drawing> XML
+ */
+const buildDrawing = (relationshipId, id, size, name) => {
+  const cx = size.width * EMUS_PER_PIXEL;
+  const cy = size.height * EMUS_PER_PIXEL;
+  return '<w:drawing>' +
+    '<wp:inline xmlns:wp="http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing" distT="0" distB="0" distL="0" distR="0">' +
+    `<wp:extent cx="${cx}" cy="${cy}"/>` +
+    `<wp:docPr id="${id}" name="${escapeXml(name)}"/>` +
+    '<a:graphic xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main">' +
+    '<a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/picture">' +
+    '<pic:pic xmlns:pic="http://schemas.openxmlformats.org/drawingml/2006/picture">' +
+    `<pic:nvPicPr><pic:cNvPr id="${id}" name="${escapeXml(name)}"/><pic:cNvPicPr/></pic:nvPicPr>` +
+    `<pic:blipFill><a:blip xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" r:embed="${relationshipId}"/>` +
+    '<a:stretch><a:fillRect/></a:stretch></pic:blipFill>' +
+    `<pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom></pic:spPr>` +
+    '</pic:pic></a:graphicData></a:graphic></wp:inline></w:drawing>';
+};
+
+/**
+ * Get the relationships part for a content part, e.g. word/_rels/document.xml.rels
+ * @param {string} partName - Content part name
+ * @returns {string}
+ */
+const getRelationshipsPath = (partName) => path.posix.join(
+  path.posix.dirname(partName), '_rels', `${path.posix.basename(partName)}.rels`
+);
+
+/**
+ * Add images to the package and replace their markers with inline pictures
+ * @param {JSZip} zip - Package
+ * @param {string} partName - Part the markers are in
+ * @param {string} xml - Rendered part XML
+ * @param {Array} images - [{ buffer, mimeType, size, name }] referenced by markers
+ * @param {Object} counter - { next } drawing/media number shared by all parts
+ * @returns {Promise<string>} Part XML
+ */
+const embedImages = async (zip, partName, xml, images, counter) => {
+  if (!xml.includes('\u0000IMAGE:')) return xml;
+
+  const relsPath = getRelationshipsPath(partName);
+  const relsFile = zip.file(relsPath);
+  let rels = relsFile
+    ? await relsFile.async('string')
+    : '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"></Relationships>';
+
+  const result = xml.replace(IMAGE_MARKER_REGEX, (marker, index) => {
+    const image = images[Number(index)];
+    if (!image) return '';
+
+    const number = counter.next++;
+    const extension = image.mimeType.split('/')[1].replace('jpeg', 'jpg');
+    const relationshipId = `rIdDocGenImage${number}`;
+    zip.file(`word/media/docgen-image${number}.${extension}`, image.buffer);
+    rels = rels.replace('</Relationships>',
+      `<Relationship Id="${relationshipId}" Type="${IMAGE_RELATIONSHIP_TYPE}" Target="media/docgen-image${number}.${extension}"/></Relationships>`);
+
+    // Markers sit inside a <w:t>; a drawing is a sibling of the text within the same run
+    return `</w:t>${buildDrawing(relationshipId, 10000 + number, image.size, image.name)}<w:t xml:space="preserve">`;
+  });
+
+  zip.file(relsPath, rels);
+  return result;
+};
+
+/**
+ * Make sure the package declares content types for every embedded image format
+ * @param {JSZip} zip - Package
+ * @param {Array} images - Embedded images
+ */
+const registerImageTypes = async (zip, images) => {
+  if (images.length === 0) return;
+
+  let contentTypes = await zip.file('[Content_Types].xml').async('string');
+  new Set(images.map(image => image.mimeType)).forEach(mimeType => {
+    const extension = mimeType.split('/')[1].replace('jpeg', 'jpg');
+    if (!new RegExp(`Extension="${extension}"`, 'i').test(contentTypes)) {
+      contentTypes = contentTypes.replace('</Types>', `<Default Extension="${extension}" ContentType="${mimeType}"/></Types>`);
+    }
+  });
+  zip.file('[Content_Types].xml', contentTypes);
+};
+
+/**
+ * Fill the placeholders of a Word document
+ * @param {Buffer} source - Uploaded .docx file
+ * @param {Function} renderPart - (xml) => rendered xml; must escape inserted values with escapeXml
+ * @param {Array} images - Images referenced by markers in the rendered XML, filled in by renderPart
+ * @returns {Promise<Buffer>} Filled .docx
+ */
+const fillDocxTemplate = async (source, renderPart, images = []) => {
+  const zip = await JSZip.loadAsync(source);
+  const partNames = Object.keys(zip.files).filter(name => CONTENT_PART_REGEX.test(name));
+  const counter = { next: 1 };
+
+  for (const partName of partNames) {
+    const xml = await zip.file(partName).async('string');
+    const prepared = expandBlockTags(xml.replace(PARAGRAPH_REGEX, mergeSplitTags));
+
+    let rendered;
+    try {
+      rendered = renderPart(prepared);
+    } catch (error) {
+      error.message = `${partName}: ${error.message}`;
+      throw error;
+    }
+
+    // Sections that removed every paragraph of a table cell leave it invalid; Word needs one
+    rendered = rendered.replace(/(<w:tc>(?:<w:tcPr>[\s\S]*?<\/w:tcPr>)?)(<\/w:tc>)/g, '$1<w:p/>$2');
+    zip.file(partName, await embedImages(zip, partName, rendered, images, counter));
+  }
+
+  await registerImageTypes(zip, images);
+
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
+
+// Watermarks are drawn from the page headers, which Word repeats on every page
+const HEADER_PART_REGEX = /^word\/header\d*\.xml$/;
+const HEADER_RELATIONSHIP_TYPE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/header';
+const HEADER_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.header+xml';
+const WATERMARK_HEADER_PART = 'word/header-docgen-watermark.xml';
+const EMUS_PER_POINT = 12700;
+// A4 with 1in margins, in twips, for documents that do not say
+const DEFAULT_PAGE = { width: 11906, height: 16838, top: 1440, right: 1440, bottom: 1440, left: 1440 };
+
+const VML_NAMESPACES = 'xmlns:v="urn:schemas-microsoft-com:vml" xmlns:o="urn:schemas-microsoft-com:office:office" ' +
+  'xmlns:w10="urn:schemas-microsoft-com:office:word"';
+
+// Word's text watermark ("PowerPlusWaterMarkObject") shape type, defined once per header
+const TEXT_WATERMARK_SHAPE_TYPE = '<v:shapetype id="_x0000_t136" coordsize="21600,21600" o:spt="136" adj="10800" path="m@7,l@8,m@5,21600l@6,21600e">' +
+  '<v:formulas><v:f eqn="sum #0 0 10800"/><v:f eqn="prod #0 2 1"/><v:f eqn="sum 21600 0 @1"/><v:f eqn="sum 0 0 @2"/>' +
+  '<v:f eqn="sum 21600 0 @3"/><v:f eqn="if @0 @3 0"/><v:f eqn="if @0 21600 @1"/><v:f eqn="if @0 0 @2"/>' +
+  '<v:f eqn="if @0 @4 21600"/><v:f eqn="mid @5 @6"/><v:f eqn="mid @8 @5"/><v:f eqn="mid @7 @8"/>' +
+  '<v:f eqn="mid @6 @7"/><v:f eqn="sum @6 0 @5"/></v:formulas>' +
+  '<v:path textpathok="t" o:connecttype="custom" o:connectlocs="@9,0;@10,10800;@11,21600;@12,10800" o:connectangles="270,180,90,0"/>' +
+  '<v:textpath on="t" fitshape="t"/><v:handles><v:h position="#0,bottomRight" xrange="6629,14971"/></v:handles>' +
+  '<o:lock v:ext="edit" text="t" shapetype="t"/></v:shapetype>';
+
+/**
+ * Read the text area of the first section: page size less margins
+ * @param {string} documentXml - word/document.xml
+ * @returns {Object} { width, height } in points
+ */
+const getTextArea = (documentXml) => {
+  const read = (element, attribute) => {
+    const match = new RegExp(`<w:${element}\\s[^>]*w:${attribute}="(\\d+)"`).exec(documentXml);
+    return match ? Number(match[1]) : DEFAULT_PAGE[attribute === 'w' ? 'width' : attribute === 'h' ? 'height' : attribute];
+  };
+  return {
+    width: (read('pgSz', 'w') - read('pgMar', 'left') - read('pgMar', 'right')) / 20,
+    height: (read('pgSz', 'h') - read('pgMar', 'top') - read('pgMar', 'bottom')) / 20
+  };
+};
+
+/**
+ * Build a text watermark as a VML shape, the way Word's own watermarks are stored
+ * @param {Object} watermark - Rule from utils/watermark
+ * @param {Object} box - { width, height } in points
+ * @param {number} id - Shape number, unique within the document
+ * @returns {string} Run XML
+ */
+const buildTextWatermark = (watermark, box, id) => {
+  // VML turns shapes clockwise
+  const rotation = (360 - watermark.angle) % 360;
+  const style = [
+    'position:absolute', 'margin-left:0', 'margin-top:0',
+    `width:${box.width.toFixed(1)}pt`, `height:${box.height.toFixed(1)}pt`, `rotation:${rotation}`,
+    'z-index:-251650000', 'mso-position-horizontal:center', 'mso-position-horizontal-relative:margin',
+    `mso-position-vertical:${watermark.position}`, 'mso-position-vertical-relative:margin'
+  ].join(';');
+
+  return `<w:r><w:rPr><w:noProof/></w:rPr><w:pict ${VML_NAMESPACES}>` +
+    `<v:shape id="DocGenWatermark${id}" o:spid="_x0000_s${2048 + id}" type="#_x0000_t136" style="${style}" ` +
+    `o:allowincell="f" fillcolor="${watermark.color}" stroked="f">` +
+    `<v:fill opacity="${watermark.opacity}"/>` +
+    `<v:textpath style="font-family:&quot;Arial&quot;;font-size:1pt;font-weight:bold" string="${escapeXml(watermark.text)}"/>` +
+    '<w10:wrap anchorx="margin" anchory="margin"/></v:shape></w:pict></w:r>';
+};
+
+/**
+ * Build an image watermark as a picture behind the text
+ * @param {Object} watermark - Rule from utils/watermark
+ * @param {Object} box - { width, height } in points
+ * @param {string} relationshipId - Relationship of the image part
+ * @param {number} id - Drawing id, unique within the document
+ * @returns {string} Run XML
+ */
+const buildImageWatermark = (watermark, box, relationshipId, id) => {
+  const cx = Math.round(box.width * EMUS_PER_POINT);
+  const cy = Math.round(box.height * EMUS_PER_POINT);
+  // DrawingML turns shapes clockwise, in 60000ths of a degree
+  const rotation = Math.round(((360 - watermark.angle) % 360) * 60000);
+
+  return '<w:r><w:drawing>' +
+    '<wp:anchor xmlns:wp="http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing" distT="0" distB="0" distL="0" distR="0" ' +
+    'simplePos="0" relativeHeight="0" behindDoc="1" locked="0" layoutInCell="0" allowOverlap="1">' +
+    '<wp:simplePos x="0" y="0"/>' +
+    '<wp:positionH relativeFrom="margin"><wp:align>center</wp:align></wp:positionH>' +
+    `<wp:positionV relativeFrom="margin"><wp:align>${watermark.position}</wp:align></wp:positionV>` +
+    `<wp:extent cx="${cx}" cy="${cy}"/><wp:effectExtent l="0" t="0" r="0" b="0"/><wp:wrapNone/>` +
+    `<wp:docPr id="${id}" name="Watermark"/><wp:cNvGraphicFramePr/>` +
+    '<a:graphic xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main">' +
+    '<a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/picture">' +
+    '<pic:pic xmlns:pic="http://schemas.openxmlformats.org/drawingml/2006/picture">' +
+    `<pic:nvPicPr><pic:cNvPr id="${id}" name="Watermark"/><pic:cNvPicPr/></pic:nvPicPr>` +
+    `<pic:blipFill><a:blip xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" r:embed="${relationshipId}">` +
+    `<a:alphaModFix amt="${Math.round(watermark.opacity * 100000)}"/></a:blip>` +
+    '<a:stretch><a:fillRect/></a:stretch></pic:blipFill>' +
+    `<pic:spPr><a:xfrm rot="${rotation}"><a:off x="0" y="0"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm>` +
+    '<a:prstGeom prst="rect"><a:avLst/></a:prstGeom></pic:spPr>' +
+    '</pic:pic></a:graphicData></a:graphic></wp:anchor></w:drawing></w:r>';
+};
+
+/**
+ * Give the first section a header if it has none, so every page can carry the watermark
+ * Later sections without a header of their own reuse the previous section's
+ * @param {JSZip} zip - Package
+ * @param {string} documentXml - word/document.xml
+ * @returns {Promise<string>} word/document.xml
+ */
+const addMissingHeader = async (zip, documentXml) => {
+  const section = /<w:sectPr(\s[^>]*)?(?:\/>|>([\s\S]*?)<\/w:sectPr>)/.exec(documentXml);
+  if (!section || /<w:headerReference\b[^>]*w:type="default"/.test(section[2] || '')) return documentXml;
+
+  const [xml, attributes = '', content = ''] = section;
+  const result = documentXml.slice(0, section.index) +
+    `<w:sectPr${attributes}><w:headerReference xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" ` +
+    `w:type="default" r:id="rIdDocGenWatermarkHeader"/>${content}</w:sectPr>` +
+    documentXml.slice(section.index + xml.length);
+
+  zip.file(WATERMARK_HEADER_PART, '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<w:hdr xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:p/></w:hdr>');
+
+  const relsPath = getRelationshipsPath('word/document.xml');
+  const rels = await zip.file(relsPath).async('string');
+  zip.file(relsPath, rels.replace('</Relationships>',
+    `<Relationship Id="rIdDocGenWatermarkHeader" Type="${HEADER_RELATIONSHIP_TYPE}" Target="${path.posix.basename(WATERMARK_HEADER_PART)}"/></Relationships>`));
+
+  const contentTypes = await zip.file('[Content_Types].xml').async('string');
+  zip.file('[Content_Types].xml', contentTypes.replace('</Types>',
+    `<Override PartName="/${WATERMARK_HEADER_PART}" ContentType="${HEADER_CONTENT_TYPE}"/></Types>`));
+
+  return result;
+};
+
+/**
+ * Add watermarks to every page of a Word document
+ * They are drawn behind the text from each page header, as Word does, so the body is not changed
+ * @param {Buffer} source - .docx file
+ * @param {Array} watermarks - Rules from utils/watermark
+ * @returns {Promise<Buffer>} Watermarked .docx
+ */
+const addWatermarks = async (source, watermarks) => {
+  const zip = await JSZip.loadAsync(source);
+  const documentXml = await zip.file('word/document.xml').async('string');
+  zip.file('word/document.xml', await addMissingHeader(zip, documentXml));
+
+  const area = getTextArea(documentXml);
+  const images = watermarks.filter(watermark => watermark.image).map(watermark => watermark.image);
+  const imageTargets = new Map(images.map((image, index) => {
+    const target = `media/docgen-watermark${index + 1}.${image.mimeType.split('/')[1].replace('jpeg', 'jpg')}`;
+    zip.file(`word/${target}`, image.buffer);
+    return [image, { target, relationshipId: `rIdDocGenWatermark${index + 1}` }];
+  }));
+
+  const headerParts = Object.keys(zip.files).filter(name => HEADER_PART_REGEX.test(name) || name === WATERMARK_HEADER_PART);
+  let shapeId = 1;
+  for (const partName of headerParts) {
+    const relsPath = getRelationshipsPath(partName);
+    const relsFile = zip.file(relsPath);
+    let rels = relsFile
+      ? await relsFile.async('string')
+      : '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"></Relationships>';
+
+    const runs = watermarks.map(watermark => {
+      const id = shapeId++;
+      if (watermark.text) {
+        // Word stretches watermark text to fill its shape, so the shape has the text's proportions
+        const box = layoutWatermark(watermark, area, watermark.text.length * 0.65);
+        return buildTextWatermark(watermark, box, id);
+      }
+
+      const { target, relationshipId } = imageTargets.get(watermark.image);
+      if (!rels.includes(`Id="${relationshipId}"`)) {
+        // Parts without relationships may have an empty, self-closing <Relationships/>
+        rels = rels.replace(/<Relationships([^>]*?)\s*\/>/, '<Relationships$1></Relationships>');
+        rels = rels.replace('</Relationships>',
+          `<Relationship Id="${relationshipId}" Type="${IMAGE_RELATIONSHIP_TYPE}" Target="${target}"/></Relationships>`);
+      }
+      const box = layoutWatermark(watermark, area, watermark.image.size.width / watermark.image.size.height);
+      return buildImageWatermark(watermark, box, relationshipId, 20000 + id);
+    });
+
+    if (watermarks.some(watermark => watermark.text)) {
+      runs.unshift(`<w:r><w:pict ${VML_NAMESPACES}>${TEXT_WATERMARK_SHAPE_TYPE}</w:pict></w:r>`);
+    }
+
+    // A tiny paragraph of its own, so the header's text and height stay as they were
+    const paragraph = '<w:p><w:pPr><w:spacing w:before="0" w:after="0" w:line="240" w:lineRule="auto"/>' +
+      `<w:rPr><w:sz w:val="2"/></w:rPr></w:pPr>${runs.join('')}</w:p>`;
+    const xml = await zip.file(partName).async('string');
+    zip.file(partName, xml.replace(/<\/w:hdr>\s*$/, `${paragraph}</w:hdr>`));
+    zip.file(relsPath, rels);
+  }
+
+  await registerImageTypes(zip, images);
+
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
+
+/**
+ * Order parts the way they read: headers, body, notes, footers
+ * @param {string} partName - Content part name
+ * @returns {number}
+ */
+const readingOrder = (partName) => ['header', 'document', 'footnotes', 'endnotes', 'footer']
+  .findIndex(prefix => partName.startsWith(`word/${prefix}`));
+
+/**
+ * Extract the plain text of a Word document, one line per paragraph
+ * Also reports tags that Word split across runs; they are still filled, but are
+ * easier to maintain retyped in one go
+ * @param {Buffer} source - .docx file
+ * @returns {Promise<Object>} { text, splitTags: [{ raw, index, length, runs, part }] } with index into text
+ */
+const extractDocxText = async (source) => {
+  const zip = await JSZip.loadAsync(source);
+  const partNames = Object.keys(zip.files)
+    .filter(name => CONTENT_PART_REGEX.test(name))
+    .sort((a, b) => (readingOrder(a) - readingOrder(b)) || a.localeCompare(b, undefined, { numeric: true }));
+
+  const sections = [];
+  const splitTags = [];
+  let offset = 0;
+
+  for (const partName of partNames) {
+    const xml = await zip.file(partName).async('string');
+    const lines = [];
+    const partTags = [];
+
+    for (const [paragraph] of xml.matchAll(PARAGRAPH_REGEX)) {
+      const nodes = Array.from(paragraph.matchAll(TEXT_NODE_REGEX), match => match[2]);
+      const escaped = nodes.join('');
+
+      // Node boundaries inside a tag mean Word split it
+      const boundaries = [];
+      nodes.reduce((end, node) => {
+        boundaries.push(end + node.length);
+        return end + node.length;
+      }, 0);
+
+      let line = '';
+      let cursor = 0;
+      for (const match of escaped.matchAll(/\{\{[\s\S]*?\}\}/g)) {
+        line += unescapeXml(escaped.slice(cursor, match.index));
+        const raw = cleanTag(match[0]);
+        const runs = 1 + boundaries.filter(end => end > match.index && end < match.index + match[0].length).length;
+        if (runs > 1) {
+          partTags.push({ raw, line: lines.length, column: line.length, runs, part: partName });
+        }
+        line += raw;
+        cursor = match.index + match[0].length;
+      }
+      lines.push(line + unescapeXml(escaped.slice(cursor)));
+    }
+
+    // Leading and trailing empty paragraphs (e.g. footnote separators) are dropped
+    const first = lines.findIndex(line => line.trim());
+    if (first === -1) continue;
+    const last = lines.length - 1 - [...lines].reverse().findIndex(line => line.trim());
+    const kept = lines.slice(first, last + 1);
+
+    if (sections.length > 0) offset += 2;
+    const lineStarts = [];
+    kept.reduce((start, line) => {
+      lineStarts.push(start);
+      return start + line.length + 1;
+    }, offset);
+
+    partTags
+      .filter(tag => tag.line >= first && tag.line <= last)
+      .forEach(({ raw, line, column, runs, part }) => {
+        splitTags.push({ raw, index: lineStarts[line - first] + column, length: raw.length, runs, part });
+      });
+
+    const section = kept.join('\n');
+    sections.push(section);
+    offset += section.length;
+  }
+
+  return { text: sections.join('\n\n'), splitTags };
+};
+
+/**
+ * Get the uploaded Word file a template is rendered from
+ * @param {Object} template - Template object from database
+ * @returns {string|null} Absolute path, or null when the template has no .docx upload
+ */
+const getDocxSourcePath = (template) => {
+  if (!template.fileUrl || path.extname(template.fileUrl).toLowerCase() !== '.docx') {
+    return null;
+  }
+  return path.join(__dirname, '..', template.fileUrl);
+};
+
+/**
+ * Read the uploaded Word file of a template
+ * @param {Object} template - Template object from database
+ * @returns {Buffer}
+ */
+const readDocxSource = (template) => {
+  const sourcePath = getDocxSourcePath(template);
+  if (!fs.existsSync(sourcePath)) {
+    throw new Error(`Template file ${template.fileUrl} not found`);
+  }
+  return fs.readFileSync(sourcePath);
+};
+
+module.exports = {
+  fillDocxTemplate,
+  addWatermarks,
+  extractDocxText,
+  getDocxSourcePath,
+  readDocxSource,
+  mergeSplitTags,
+  escapeXml,
+  getText
+};
@@ -136,6 +136,72 @@ const sendBulkNotification = async (to, count, templateType) => {
   }
 };
 
+/**
+ * Send template review workflow notification
+ * @param {string} to - Recipient email
+ * @param {Object} details - Notification details
+ * @param {string} details.templateName - Template name
+ * @param {string} details.action - 'submitted', 'approved' or 'rejected'
+ * @param {string} details.actorName - User who performed the action
+ * @param {number} details.version - Template version concerned
+ * @param {string} details.comment - Optional reviewer/submitter comment
+ * @returns {Promise} - Email send result
+ */
+const sendReviewNotification = async (to, { templateName, action, actorName, version, comment }) => {
+  try {
+    const headlines = {
+      submitted: `Review requested: ${templateName}`,
+      approved: `Template approved: ${templateName}`,
+      rejected: `Changes requested: ${templateName}`
+    };
+    const subject = headlines[action] || `Template update: ${templateName}`;
+
+    const mailOptions = {
+      from: process.env.SMTP_FROM || 'noreply@docgen.com',
+      to: to,
+      subject: subject,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #333; border-bottom: 2px solid #007bff; padding-bottom: 10px;">
+            ${subject}
+          </h2>
+          <p style="color: #555; line-height: 1.6;">
+            <strong>${actorName}</strong> ${action === 'submitted' ? 'submitted' : action} version ${version} of
+            the template <strong>${templateName}</strong>${action === 'submitted' ? ' for your review' : ''}.
+          </p>
+          ${comment ? `
+          <div style="background-color: #f8f9fa; border-left: 4px solid #007bff; padding: 10px 15px; margin: 20px 0;">
+            <p style="margin: 0; color: #555;">${comment}</p>
+          </div>` : ''}
+          <div style="margin-top: 30px; padding: 20px; background-color: #f8f9fa; border-radius: 5px;">
+            <p style="margin: 0; color: #666; font-size: 12px;">
+              This is an automated email from DocGen Mongo system. Please do not reply to this email.
+            </p>
+          </div>
+        </div>
+      `
+    };
+
+    // In development, just log the email instead of sending
+    if (process.env.NODE_ENV === 'development') {
+      console.log('📧 Review notification email would be sent:', {
+        to,
+        subject,
+        action
+      });
+      return { messageId: 'dev-mode-review-' + Date.now() };
+    }
+
+    const result = await transporter.sendMail(mailOptions);
+    console.log('📧 Review notification sent:', result.messageId);
+    return result;
+
+  } catch (error) {
+    console.error('❌ Review notification failed:', error);
+    throw new Error('Failed to send review notification: ' + error.message);
+  }
+};
+
 /**
  * Verify email configuration
  * @returns {Promise<boolean>} - Configuration validity
@@ -159,5 +225,6 @@ const verifyEmailConfig = async () => {
 module.exports = {
   sendDocumentEmail,
   sendBulkNotification,
+  sendReviewNotification,
   verifyEmailConfig
 };
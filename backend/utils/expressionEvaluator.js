@@ -0,0 +1,414 @@
+const moment = require('moment');
+const { getPath } = require('./objectPath');
+const { toMoment } = require('./formatters');
+
+/**
+ * Sandboxed expression evaluator for computed placeholders
+ * Expressions are parsed by hand and can only read placeholder values and call whitelisted functions.
+ *
+ * Example expressions:
+ *   monthly_salary * 12
+ *   diff(relieving_date, joining_date, "years")
+ *   addDays(today(), 15)
+ *   if(probation, "Yes", "No")
+ */
+
+const DATE_FORMAT = 'YYYY-MM-DD';
+const DIFF_UNITS = ['days', 'weeks', 'months', 'years'];
+
+// Longest operators first so "<=" wins over "<"
+const OPERATORS = ['==', '!=', '<=', '>=', '&&', '||', '<', '>', '+', '-', '*', '/', '%', '!', '(', ')', ','];
+
+const BINARY_PRECEDENCE = [
+    ['||'],
+    ['&&'],
+    ['==', '!='],
+    ['<', '<=', '>', '>='],
+    ['+', '-'],
+    ['*', '/', '%']
+];
+
+/**
+ * Split an expression into tokens
+ * @param {string} expression - Expression source
+ * @returns {Array} [{ type, value, position }]
+ */
+function tokenize(expression) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < expression.length) {
+        const char = expression[i];
+
+        if (/\s/.test(char)) {
+            i++;
+            continue;
+        }
+
+        const rest = expression.slice(i);
+        let match;
+
+        if ((match = rest.match(/^\d+(\.\d+)?/))) {
+            tokens.push({ type: 'number', value: Number(match[0]), position: i });
+            i += match[0].length;
+            continue;
+        }
+
+        if ((match = rest.match(/^[A-Za-z_]\w*(\.\w+)*/))) {
+            tokens.push({ type: 'identifier', value: match[0], position: i });
+            i += match[0].length;
+            continue;
+        }
+
+        if (char === '"' || char === "'") {
+            let value = '';
+            let j = i + 1;
+            while (j < expression.length && expression[j] !== char) {
+                if (expression[j] === '\\' && j + 1 < expression.length) j++;
+                value += expression[j];
+                j++;
+            }
+            if (j >= expression.length) {
+                throw new Error(`Unterminated string at position ${i + 1}`);
+            }
+            tokens.push({ type: 'string', value, position: i });
+            i = j + 1;
+            continue;
+        }
+
+        const operator = OPERATORS.find(op => rest.startsWith(op));
+        if (operator) {
+            tokens.push({ type: 'operator', value: operator, position: i });
+            i += operator.length;
+            continue;
+        }
+
+        throw new Error(`Unexpected character '${char}' at position ${i + 1}`);
+    }
+
+    return tokens;
+}
+
+/**
+ * Recursive-descent parser producing a small AST
+ * @param {Array} tokens - Tokens from tokenize()
+ * @returns {Object} AST root
+ */
+function parseTokens(tokens) {
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const isOperator = (value) => peek() && peek().type === 'operator' && peek().value === value;
+    const expect = (value) => {
+        if (!isOperator(value)) {
+            const token = peek();
+            throw new Error(token
+                ? `Expected '${value}' at position ${token.position + 1}`
+                : `Expected '${value}' at end of expression`);
+        }
+        index++;
+    };
+
+    const parseBinary = (level) => {
+        if (level === BINARY_PRECEDENCE.length) return parseUnary();
+
+        let left = parseBinary(level + 1);
+        while (peek() && peek().type === 'operator' && BINARY_PRECEDENCE[level].includes(peek().value)) {
+            const operator = tokens[index++].value;
+            const right = parseBinary(level + 1);
+            left = { type: 'binary', operator, left, right };
+        }
+        return left;
+    };
+
+    const parseUnary = () => {
+        if (isOperator('-') || isOperator('!')) {
+            const operator = tokens[index++].value;
+            return { type: 'unary', operator, argument: parseUnary() };
+        }
+        return parsePrimary();
+    };
+
+    const parsePrimary = () => {
+        const token = tokens[index++];
+
+        if (!token) {
+            throw new Error('Unexpected end of expression');
+        }
+
+        if (token.type === 'number' || token.type === 'string') {
+            return { type: 'literal', value: token.value };
+        }
+
+        if (token.type === 'identifier') {
+            if (['true', 'false', 'null'].includes(token.value)) {
+                return { type: 'literal', value: JSON.parse(token.value) };
+            }
+
+            if (isOperator('(')) {
+                if (!Object.prototype.hasOwnProperty.call(FUNCTIONS, token.value)) {
+                    throw new Error(`Unknown function '${token.value}'`);
+                }
+                index++;
+                const args = [];
+                if (!isOperator(')')) {
+                    args.push(parseBinary(0));
+                    while (isOperator(',')) {
+                        index++;
+                        args.push(parseBinary(0));
+                    }
+                }
+                expect(')');
+                return { type: 'call', name: token.value, args };
+            }
+
+            return { type: 'identifier', name: token.value };
+        }
+
+        if (token.type === 'operator' && token.value === '(') {
+            const inner = parseBinary(0);
+            expect(')');
+            return inner;
+        }
+
+        throw new Error(`Unexpected '${token.value}' at position ${token.position + 1}`);
+    };
+
+    const ast = parseBinary(0);
+
+    if (index < tokens.length) {
+        throw new Error(`Unexpected '${tokens[index].value}' at position ${tokens[index].position + 1}`);
+    }
+
+    return ast;
+}
+
+// --- Value helpers ---
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+const toNumber = (value) => {
+    if (typeof value === 'number') return value;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (isEmpty(value)) return NaN;
+    return Number(String(value).replace(/,/g, '').trim());
+};
+
+const toDate = (value, name) => {
+    if (isEmpty(value)) return null;
+    const parsed = toMoment(value);
+    if (!parsed) {
+        throw new Error(`${name}() received an invalid date '${value}'`);
+    }
+    return parsed;
+};
+
+const toBoolean = (value) => {
+    if (typeof value === 'string') {
+        return !['', 'false', 'no', 'n', '0'].includes(value.trim().toLowerCase());
+    }
+    return Boolean(value);
+};
+
+// Empty inputs propagate as null so a computed value stays blank until its inputs are provided
+const numeric = (fn) => (...args) => {
+    const numbers = args.map(toNumber);
+    return numbers.some(isNaN) ? null : fn(...numbers);
+};
+
+const addPeriod = (unit) => (date, amount) => {
+    const parsed = toDate(date, `add${unit[0].toUpperCase()}${unit.slice(1)}`);
+    const count = toNumber(amount);
+    return parsed && !isNaN(count) ? parsed.clone().add(count, unit).format(DATE_FORMAT) : null;
+};
+
+/**
+ * Whitelisted functions callable from expressions
+ * Dates are exchanged as YYYY-MM-DD strings so results format and validate like user input
+ */
+const FUNCTIONS = {
+    today: () => moment().format(DATE_FORMAT),
+    date: (value) => {
+        const parsed = toDate(value, 'date');
+        return parsed ? parsed.format(DATE_FORMAT) : null;
+    },
+    diff: (end, start, unit = 'days') => {
+        if (!DIFF_UNITS.includes(unit)) {
+            throw new Error(`diff() unit must be one of ${DIFF_UNITS.join(', ')}`);
+        }
+        const endDate = toDate(end, 'diff');
+        const startDate = toDate(start, 'diff');
+        return endDate && startDate ? endDate.diff(startDate, unit) : null;
+    },
+    addDays: addPeriod('days'),
+    addMonths: addPeriod('months'),
+    addYears: addPeriod('years'),
+    round: numeric((value, digits = 0) => {
+        const factor = Math.pow(10, digits);
+        return Math.round(value * factor) / factor;
+    }),
+    floor: numeric(Math.floor),
+    ceil: numeric(Math.ceil),
+    abs: numeric(Math.abs),
+    min: numeric(Math.min),
+    max: numeric(Math.max),
+    if: (condition, whenTrue, whenFalse = '') => toBoolean(condition) ? whenTrue : whenFalse,
+    coalesce: (...values) => values.find(value => !isEmpty(value)) ?? null,
+    concat: (...values) => values.map(value => (isEmpty(value) ? '' : String(value))).join(''),
+    upper: (value) => (isEmpty(value) ? value : String(value).toUpperCase()),
+    lower: (value) => (isEmpty(value) ? value : String(value).toLowerCase())
+};
+
+// --- Evaluation ---
+
+function evaluateBinary(operator, left, right) {
+    switch (operator) {
+        case '+': {
+            const a = toNumber(left);
+            const b = toNumber(right);
+            if (!isNaN(a) && !isNaN(b)) return a + b;
+            // Fall back to string concatenation when either side is text
+            if (isEmpty(left) || isEmpty(right)) return null;
+            return `${left}${right}`;
+        }
+        case '-':
+        case '*':
+        case '/':
+        case '%': {
+            const a = toNumber(left);
+            const b = toNumber(right);
+            if (isNaN(a) || isNaN(b)) return null;
+            if ((operator === '/' || operator === '%') && b === 0) {
+                throw new Error('Division by zero');
+            }
+            return operator === '-' ? a - b : operator === '*' ? a * b : operator === '/' ? a / b : a % b;
+        }
+        case '==':
+            return String(left ?? '') === String(right ?? '');
+        case '!=':
+            return String(left ?? '') !== String(right ?? '');
+        case '<':
+        case '<=':
+        case '>':
+        case '>=': {
+            let a = toNumber(left);
+            let b = toNumber(right);
+            // Compare dates when both sides are not plain numbers
+            if (isNaN(a) || isNaN(b)) {
+                const dateA = toMoment(left);
+                const dateB = toMoment(right);
+                if (!dateA || !dateB) return null;
+                a = dateA.valueOf();
+                b = dateB.valueOf();
+            }
+            return operator === '<' ? a < b : operator === '<=' ? a <= b : operator === '>' ? a > b : a >= b;
+        }
+        case '&&':
+            return toBoolean(left) && toBoolean(right);
+        case '||':
+            return toBoolean(left) || toBoolean(right);
+        default:
+            throw new Error(`Unsupported operator '${operator}'`);
+    }
+}
+
+function evaluateNode(node, data) {
+    switch (node.type) {
+        case 'literal':
+            return node.value;
+        case 'identifier':
+            return getPath(data, node.name);
+        case 'unary': {
+            const value = evaluateNode(node.argument, data);
+            if (node.operator === '!') return !toBoolean(value);
+            const number = toNumber(value);
+            return isNaN(number) ? null : -number;
+        }
+        case 'binary':
+            return evaluateBinary(node.operator, evaluateNode(node.left, data), evaluateNode(node.right, data));
+        case 'call':
+            return FUNCTIONS[node.name](...node.args.map(arg => evaluateNode(arg, data)));
+        default:
+            throw new Error(`Unsupported expression node '${node.type}'`);
+    }
+}
+
+/**
+ * Parse an expression and collect the placeholder keys it reads
+ * @param {string} expression - Expression source
+ * @returns {Object} { ast, dependencies }
+ * @throws {Error} On syntax errors or unknown functions
+ */
+function compile(expression) {
+    const ast = parseTokens(tokenize(expression || ''));
+    const dependencies = new Set();
+
+    const collect = (node) => {
+        if (node.type === 'identifier') dependencies.add(node.name);
+        if (node.type === 'unary') collect(node.argument);
+        if (node.type === 'binary') {
+            collect(node.left);
+            collect(node.right);
+        }
+        if (node.type === 'call') node.args.forEach(collect);
+    };
+    collect(ast);
+
+    return { ast, dependencies: [...dependencies] };
+}
+
+/**
+ * Evaluate an expression against placeholder data
+ * @param {string|Object} expression - Expression source or result of compile()
+ * @param {Object} data - Placeholder values
+ * @returns {*} Result (null when inputs are missing)
+ */
+function evaluate(expression, data = {}) {
+    const compiled = typeof expression === 'string' ? compile(expression) : expression;
+    const result = evaluateNode(compiled.ast, data);
+    return typeof result === 'number' && !isFinite(result) ? null : result;
+}
+
+/**
+ * Order computed placeholders so each is evaluated after the computed values it reads
+ * @param {Array} placeholders - [{ key, expression }]
+ * @returns {Array} [{ key, compiled }] in evaluation order
+ * @throws {Error} On invalid expressions or circular references
+ */
+function orderComputed(placeholders) {
+    const computed = new Map();
+    placeholders.filter(p => p.expression).forEach(p => {
+        try {
+            computed.set(p.key, compile(p.expression));
+        } catch (error) {
+            throw new Error(`Invalid expression for '${p.key}': ${error.message}`);
+        }
+    });
+
+    const ordered = [];
+    const state = new Map(); // key -> 'visiting' | 'done'
+
+    const visit = (key, trail) => {
+        if (state.get(key) === 'done') return;
+        if (state.get(key) === 'visiting') {
+            throw new Error(`Circular reference in computed placeholders: ${[...trail, key].join(' -> ')}`);
+        }
+        state.set(key, 'visiting');
+        computed.get(key).dependencies
+            .filter(dependency => computed.has(dependency))
+            .forEach(dependency => visit(dependency, [...trail, key]));
+        state.set(key, 'done');
+        ordered.push({ key, compiled: computed.get(key) });
+    };
+
+    [...computed.keys()].forEach(key => visit(key, []));
+
+    return ordered;
+}
+
+module.exports = {
+    compile,
+    evaluate,
+    orderComputed,
+    FUNCTIONS
+};
@@ -0,0 +1,211 @@
+const moment = require('moment');
+
+/**
+ * Named formatters available to template pipes, e.g. {{joining_date | date:"DD MMM YYYY"}}
+ * Each formatter receives (value, args, context) and returns the formatted value.
+ * Values that cannot be formatted (empty, not a number, invalid date) are returned unchanged.
+ */
+const registry = new Map();
+
+const DEFAULT_DATE_FORMAT = 'MMMM D, YYYY';
+const DEFAULT_CURRENCY = 'INR';
+
+/**
+ * Register a named formatter
+ * @param {string} name - Name used in templates
+ * @param {Function} fn - (value, args, context) => formatted value
+ */
+const registerFormatter = (name, fn) => {
+    if (!/^\w+$/.test(name)) {
+        throw new Error(`Invalid formatter name '${name}'`);
+    }
+    registry.set(name, fn);
+};
+
+/**
+ * Check whether a formatter is registered
+ * @param {string} name - Formatter name
+ * @returns {boolean}
+ */
+const hasFormatter = (name) => registry.has(name);
+
+/**
+ * List registered formatter names
+ * @returns {string[]}
+ */
+const listFormatters = () => [...registry.keys()];
+
+/**
+ * Apply a chain of formatters to a value
+ * @param {*} value - Raw value
+ * @param {Array} filters - [{ name, args }] in application order
+ * @param {Object} context - Render context passed to each formatter
+ * @returns {*} Formatted value
+ */
+const applyFormatters = (value, filters = [], context = {}) => {
+    return filters.reduce((current, { name, args }) => {
+        const fn = registry.get(name);
+        if (!fn) {
+            throw new Error(`Unknown formatter '${name}'`);
+        }
+        return fn(current, args || [], context);
+    }, value);
+};
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+const toNumber = (value) => {
+    if (typeof value === 'number') return value;
+    if (typeof value !== 'string') return NaN;
+    // Allow thousands separators as typed in spreadsheets ("12,50,000")
+    return Number(value.replace(/,/g, '').trim());
+};
+
+/**
+ * Parse a date value, preferring strict ISO parsing before falling back to Date
+ * @param {*} value - Date, timestamp or date string
+ * @returns {moment.Moment|null}
+ */
+const toMoment = (value) => {
+    if (value instanceof Date || typeof value === 'number') {
+        const parsed = moment(value);
+        return parsed.isValid() ? parsed : null;
+    }
+    const iso = moment(String(value), moment.ISO_8601, true);
+    if (iso.isValid()) return iso;
+
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : moment(date);
+};
+
+// --- Amount in words ---
+
+const ONES = ['', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+    'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'];
+const TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+
+// Scale words from largest to smallest divisor
+const INDIAN_SCALES = [[1e7, 'crore'], [1e5, 'lakh'], [1e3, 'thousand'], [1e2, 'hundred']];
+const INTERNATIONAL_SCALES = [[1e12, 'trillion'], [1e9, 'billion'], [1e6, 'million'], [1e3, 'thousand'], [1e2, 'hundred']];
+
+const underHundredToWords = (n) => {
+    if (n < 20) return ONES[n];
+    return TENS[Math.floor(n / 10)] + (n % 10 ? `-${ONES[n % 10]}` : '');
+};
+
+/**
+ * Convert a non-negative integer to English words
+ * @param {number} n - Integer to convert
+ * @param {Array} scales - Scale table (Indian or international)
+ * @returns {string}
+ */
+const integerToWords = (n, scales) => {
+    if (n === 0) return 'zero';
+
+    const parts = [];
+    let remainder = n;
+
+    scales.forEach(([divisor, word]) => {
+        if (remainder >= divisor) {
+            const count = Math.floor(remainder / divisor);
+            // Crore can exceed 99 (e.g. "one hundred crore"), so recurse for the multiplier
+            parts.push(`${integerToWords(count, scales)} ${word}`);
+            remainder %= divisor;
+        }
+    });
+
+    if (remainder > 0) {
+        parts.push(underHundredToWords(remainder));
+    }
+
+    return parts.join(' ');
+};
+
+/**
+ * Spell out an amount, e.g. 1250000 -> "twelve lakh fifty thousand" (en-IN)
+ * @param {number} amount - Amount to convert
+ * @param {string} locale - 'en-IN' for lakh/crore, anything else for million/billion
+ * @returns {string}
+ */
+const amountToWords = (amount, locale = 'en-IN') => {
+    const scales = locale === 'en-IN' ? INDIAN_SCALES : INTERNATIONAL_SCALES;
+    // Rounded to cents first, so 0.999 is "one" rather than "zero and 100/100"
+    const cents = Math.round(Math.abs(amount) * 100);
+    const negative = amount < 0 && cents > 0;
+    const whole = Math.floor(cents / 100);
+    const fraction = cents % 100;
+
+    let words = integerToWords(whole, scales);
+    if (fraction > 0) {
+        words += ` and ${String(fraction).padStart(2, '0')}/100`;
+    }
+
+    return negative ? `minus ${words}` : words;
+};
+
+// --- Built-in formatters ---
+
+// {{joining_date | date}} or {{joining_date | date:"DD MMM YYYY"}}
+// With a context locale, month names follow it and the default format is the locale's
+// long date (e.g. "15. Januar 2026" for "de")
+registerFormatter('date', (value, [format], context) => {
+    if (isEmpty(value)) return value;
+    const parsed = toMoment(value);
+    if (!parsed) return value;
+    if (!context.locale) return parsed.format(format || DEFAULT_DATE_FORMAT);
+    return parsed.locale(context.locale).format(format || 'LL');
+});
+
+// {{ctc | currency}}, {{ctc | currency:"USD"}} or {{ctc | currency:"EUR":"de-DE"}}
+registerFormatter('currency', (value, [currency = DEFAULT_CURRENCY, locale], context) => {
+    const amount = toNumber(value);
+    if (isEmpty(value) || isNaN(amount)) return value;
+    const code = currency.toUpperCase();
+    return new Intl.NumberFormat(locale || context.locale || (code === 'INR' ? 'en-IN' : 'en-US'), {
+        style: 'currency',
+        currency: code
+    }).format(amount);
+});
+
+// {{headcount | number}} or {{rating | number:2}}
+registerFormatter('number', (value, [decimals, locale], context) => {
+    const amount = toNumber(value);
+    if (isEmpty(value) || isNaN(amount)) return value;
+    const options = decimals === undefined ? {} : {
+        minimumFractionDigits: Number(decimals),
+        maximumFractionDigits: Number(decimals)
+    };
+    return new Intl.NumberFormat(locale || context.locale || 'en-IN', options).format(amount);
+});
+
+// {{ctc | words}} or {{ctc | words:"en-US"}}
+registerFormatter('words', (value, [locale], context) => {
+    const amount = toNumber(value);
+    if (isEmpty(value) || isNaN(amount)) return value;
+    return amountToWords(amount, locale || context.locale || 'en-IN');
+});
+
+registerFormatter('upper', (value) => isEmpty(value) ? value : String(value).toUpperCase());
+
+registerFormatter('lower', (value) => isEmpty(value) ? value : String(value).toLowerCase());
+
+registerFormatter('title', (value) => {
+    if (isEmpty(value)) return value;
+    return String(value).toLowerCase().replace(/\b\w/g, l => l.toUpperCase());
+});
+
+registerFormatter('trim', (value) => isEmpty(value) ? value : String(value).trim());
+
+// {{manager | default:"To be assigned"}}
+registerFormatter('default', (value, [fallback = '']) => isEmpty(value) ? fallback : value);
+
+module.exports = {
+    registerFormatter,
+    hasFormatter,
+    listFormatters,
+    applyFormatters,
+    amountToWords,
+    toMoment,
+    DEFAULT_DATE_FORMAT,
+    DEFAULT_CURRENCY
+};
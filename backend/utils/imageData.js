@@ -0,0 +1,83 @@
+/**
+ * Helpers for image placeholder values
+ * Images are supplied as base64 data URLs (e.g. from a file input), so rendering
+ * never fetches remote content
+ */
+
+// Formats both the PDF (browser) and DOCX renderers can embed
+const DATA_URL_REGEX = /^data:(image\/(?:png|jpeg|gif));base64,([A-Za-z0-9+/=\s]+)$/;
+const MAX_IMAGE_BYTES = 2 * 1024 * 1024;
+
+/**
+ * Decode an image data URL
+ * @param {*} value - Placeholder value
+ * @returns {Object|null} { mimeType, buffer, dataUrl } or null if the value is not a supported image
+ */
+const parseImageDataUrl = (value) => {
+  if (typeof value !== 'string') return null;
+
+  const match = value.trim().match(DATA_URL_REGEX);
+  if (!match) return null;
+
+  const base64 = match[2].replace(/\s/g, '');
+  return {
+    mimeType: match[1],
+    buffer: Buffer.from(base64, 'base64'),
+    dataUrl: `data:${match[1]};base64,${base64}`
+  };
+};
+
+/**
+ * Read the pixel dimensions of a PNG, JPEG or GIF image
+ * @param {Buffer} buffer - Image bytes
+ * @returns {Object|null} { width, height } or null if the header is not recognised
+ */
+const getImageSize = (buffer) => {
+  // PNG: width and height are stored in the IHDR chunk
+  if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504e47) {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+
+  // GIF: little-endian logical screen size
+  if (buffer.length >= 10 && buffer.toString('ascii', 0, 3) === 'GIF') {
+    return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+
+  // JPEG: walk the segments to the first start-of-frame marker
+  if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+      if (buffer[offset] !== 0xff) return null;
+      const marker = buffer[offset + 1];
+      const isStartOfFrame = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+      if (isStartOfFrame) {
+        return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Scale dimensions to fit a box, keeping the aspect ratio and never enlarging
+ * @param {Object} size - { width, height }
+ * @param {number} maxWidth - Box width
+ * @param {number} maxHeight - Box height
+ * @returns {Object} { width, height }
+ */
+const fitImage = (size, maxWidth, maxHeight) => {
+  const scale = Math.min(1, maxWidth / size.width, maxHeight / size.height);
+  return {
+    width: Math.round(size.width * scale),
+    height: Math.round(size.height * scale)
+  };
+};
+
+module.exports = {
+  parseImageDataUrl,
+  getImageSize,
+  fitImage,
+  MAX_IMAGE_BYTES
+};
@@ -0,0 +1,293 @@
+/**
+ * Restricted Markdown for template content
+ * Parses the subset letters need into blocks that both the HTML (PDF) and DOCX
+ * renderers understand, so the two outputs match:
+ *
+ *   # Heading (levels 1-6)
+ *   **bold**, __bold__, *italic*, _italic_, ~~strikethrough~~
+ *   - bullet / 1. numbered list items, nested by indenting two spaces
+ *   | Header | Header |      tables, with a separator row such as |---|:---:|
+ *   ---                      horizontal rule
+ *   \*                       backslash escapes any punctuation character
+ *
+ * Raw HTML is not supported; it is rendered as text. Single line breaks inside a
+ * paragraph are kept, as in plain-text content.
+ */
+
+// Escaped punctuation is swapped for private-use characters while parsing, so it
+// never acts as syntax, and swapped back when text runs are produced
+const ESCAPE_OFFSET = 0xE000;
+const ESCAPE_REGEX = /\\([!-/:-@[-`{-~])/g;
+const ESCAPED_REGEX = /[\uE000-\uE07F]/g;
+
+const HEADING_REGEX = /^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const RULE_REGEX = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const LIST_ITEM_REGEX = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const TABLE_SEPARATOR_REGEX = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+// Bold, strikethrough and italic spans; "_" only counts at word boundaries so snake_case stays text
+const EMPHASIS_REGEX = /(\*\*|__)(?=\S)([\s\S]*?\S)\1|~~(?=\S)([\s\S]*?\S)~~|\*(?=\S)([\s\S]*?\S)\*|(?<![A-Za-z0-9])_(?=\S)([\s\S]*?\S)_(?![A-Za-z0-9])/;
+
+const MAX_LIST_LEVEL = 3;
+
+/**
+ * Escape text so it renders literally inside Markdown, e.g. a placeholder value
+ * @param {string} value - Text
+ * @returns {string} Markdown
+ */
+function escapeMarkdown(value) {
+    return String(value).replace(/[\\`*_[\]()#+\-.!|~>]/g, '\\$&');
+}
+
+/**
+ * Restore escaped punctuation in parsed text
+ * @param {string} text - Parsed text
+ * @returns {string}
+ */
+function unescapeText(text) {
+    return text.replace(ESCAPED_REGEX, char => String.fromCharCode(char.charCodeAt(0) - ESCAPE_OFFSET));
+}
+
+/**
+ * Parse inline formatting into text runs
+ * @param {string} text - Inline Markdown, with escapes already swapped out
+ * @param {Object} style - Style inherited from enclosing spans
+ * @returns {Array} [{ text, bold, italic, strike }]
+ */
+function parseInline(text, style = {}) {
+    const match = EMPHASIS_REGEX.exec(text);
+    if (!match) {
+        return text ? [{ text: unescapeText(text), ...style }] : [];
+    }
+
+    let inner;
+    let innerStyle;
+    if (match[2] !== undefined) {
+        inner = match[2];
+        innerStyle = { ...style, bold: true };
+    } else if (match[3] !== undefined) {
+        inner = match[3];
+        innerStyle = { ...style, strike: true };
+    } else {
+        inner = match[4] !== undefined ? match[4] : match[5];
+        innerStyle = { ...style, italic: true };
+    }
+
+    return [
+        ...parseInline(text.slice(0, match.index), style),
+        ...parseInline(inner, innerStyle),
+        ...parseInline(text.slice(match.index + match[0].length), style)
+    ];
+}
+
+/**
+ * Split a table row into cells
+ * @param {string} line - Table row
+ * @returns {Array<string>} Cell text
+ */
+function splitRow(line) {
+    return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+}
+
+/**
+ * Read column alignment from a table separator row
+ * @param {string} line - Separator row, e.g. "|:---|:---:|---:|"
+ * @returns {Array<string|null>} 'left', 'center', 'right' or null per column
+ */
+function parseAlignment(line) {
+    return splitRow(line).map(cell => {
+        const left = cell.startsWith(':');
+        const right = cell.endsWith(':');
+        if (left && right) return 'center';
+        if (right) return 'right';
+        if (left) return 'left';
+        return null;
+    });
+}
+
+/**
+ * Parse Markdown into blocks
+ * @param {string} content - Markdown
+ * @returns {Array} Blocks:
+ *   { type: 'heading', level, runs }
+ *   { type: 'paragraph', lines: [runs] }
+ *   { type: 'list', ordered, start, items: [{ level, lines: [runs] }] }
+ *   { type: 'table', align, header: [runs], rows: [[runs]] }
+ *   { type: 'rule' }
+ */
+function parse(content) {
+    const lines = content
+        .replace(/\r\n?/g, '\n')
+        .replace(ESCAPE_REGEX, (escape, char) => String.fromCharCode(char.charCodeAt(0) + ESCAPE_OFFSET))
+        .split('\n');
+
+    const blocks = [];
+    let current = null;
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        if (!line.trim()) {
+            current = null;
+            continue;
+        }
+
+        const heading = line.match(HEADING_REGEX);
+        if (heading) {
+            blocks.push({ type: 'heading', level: heading[1].length, runs: parseInline(heading[2]) });
+            current = null;
+            continue;
+        }
+
+        if (RULE_REGEX.test(line)) {
+            blocks.push({ type: 'rule' });
+            current = null;
+            continue;
+        }
+
+        const item = line.match(LIST_ITEM_REGEX);
+        if (item) {
+            const ordered = /\d/.test(item[2]);
+            const level = Math.min(Math.floor(item[1].replace(/\t/g, '  ').length / 2), MAX_LIST_LEVEL);
+
+            // A new top-level list starts when the kind of list changes
+            if (!current || current.type !== 'list' || (level === 0 && current.ordered !== ordered)) {
+                current = { type: 'list', ordered, start: ordered ? parseInt(item[2], 10) : 1, items: [] };
+                blocks.push(current);
+            }
+            current.items.push({ level, ordered, lines: [parseInline(item[3])] });
+            continue;
+        }
+
+        if (current && current.type === 'table' && line.includes('|')) {
+            const cells = splitRow(line);
+            // Rows are padded or cut to the header's width
+            current.rows.push(current.header.map((cell, index) => parseInline(cells[index] || '')));
+            continue;
+        }
+
+        if (line.includes('|') && i + 1 < lines.length && TABLE_SEPARATOR_REGEX.test(lines[i + 1]) &&
+            lines[i + 1].includes('|')) {
+            const header = splitRow(line);
+            const align = parseAlignment(lines[i + 1]);
+            current = { type: 'table', align, header: header.map(cell => parseInline(cell)), rows: [] };
+            blocks.push(current);
+            i++;
+            continue;
+        }
+
+        // Lines without a marker continue the previous list item or paragraph
+        if (current && current.type === 'list') {
+            current.items[current.items.length - 1].lines.push(parseInline(line.trim()));
+            continue;
+        }
+        if (current && current.type === 'paragraph') {
+            current.lines.push(parseInline(line.trim()));
+            continue;
+        }
+
+        current = { type: 'paragraph', lines: [parseInline(line.trim())] };
+        blocks.push(current);
+    }
+
+    return blocks;
+}
+
+/**
+ * Escape text for HTML
+ * @param {string} text - Text
+ * @returns {string} HTML
+ */
+function escapeHTML(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function runsToHTML(runs) {
+    return runs.map(run => {
+        let html = escapeHTML(run.text);
+        if (run.strike) html = `<s>${html}</s>`;
+        if (run.italic) html = `<em>${html}</em>`;
+        if (run.bold) html = `<strong>${html}</strong>`;
+        return html;
+    }).join('');
+}
+
+function linesToHTML(lines) {
+    return lines.map(runsToHTML).join('<br>');
+}
+
+function listToHTML(block) {
+    let html = '';
+    const open = [];
+
+    block.items.forEach(item => {
+        // Close deeper lists, then open lists down to this item's level
+        while (open.length > item.level + 1) {
+            html += `</li></${open.pop()}>`;
+        }
+        if (open.length === item.level + 1) {
+            html += '</li>';
+        }
+        while (open.length < item.level + 1) {
+            const tag = (open.length === 0 ? block.ordered : item.ordered) ? 'ol' : 'ul';
+            const start = open.length === 0 && block.ordered && block.start !== 1 ? ` start="${block.start}"` : '';
+            html += `<${tag}${start}>`;
+            open.push(tag);
+        }
+        html += `<li>${linesToHTML(item.lines)}`;
+    });
+
+    while (open.length > 0) {
+        html += `</li></${open.pop()}>`;
+    }
+    return html;
+}
+
+function tableToHTML(block) {
+    const cell = (tag, runs, index) => {
+        const align = block.align[index] ? ` style="text-align: ${block.align[index]};"` : '';
+        return `<${tag}${align}>${runsToHTML(runs)}</${tag}>`;
+    };
+
+    return '<table class="table">' +
+        `<thead><tr>${block.header.map((runs, index) => cell('th', runs, index)).join('')}</tr></thead>` +
+        `<tbody>${block.rows.map(row => `<tr>${row.map((runs, index) => cell('td', runs, index)).join('')}</tr>`).join('')}</tbody>` +
+        '</table>';
+}
+
+/**
+ * Render Markdown to HTML
+ * Output has no whitespace between blocks, so it can sit inside pre-wrap containers
+ * @param {string|Array} content - Markdown or blocks returned by parse()
+ * @returns {string} HTML
+ */
+function toHTML(content) {
+    const blocks = Array.isArray(content) ? content : parse(content);
+
+    return blocks.map(block => {
+        switch (block.type) {
+            case 'heading':
+                return `<h${block.level}>${runsToHTML(block.runs)}</h${block.level}>`;
+            case 'paragraph':
+                return `<p>${linesToHTML(block.lines)}</p>`;
+            case 'list':
+                return listToHTML(block);
+            case 'table':
+                return tableToHTML(block);
+            case 'rule':
+                return '<hr>';
+            default:
+                return '';
+        }
+    }).join('');
+}
+
+module.exports = {
+    parse,
+    toHTML,
+    escapeMarkdown
+};
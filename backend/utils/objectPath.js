@@ -0,0 +1,73 @@
+/**
+ * Helpers for dotted placeholder paths such as "candidate.address.city"
+ */
+
+// Path segments that must never be written to (prototype pollution)
+const FORBIDDEN_SEGMENTS = ['__proto__', 'prototype', 'constructor'];
+
+const isObject = (value) => value !== null && typeof value === 'object';
+
+/**
+ * Read a value by dotted path
+ * A flat key containing dots (e.g. a "candidate.name" CSV column) takes precedence over nesting
+ * @param {Object} obj - Source object
+ * @param {string} path - Dotted path
+ * @returns {*} Value, or undefined if any segment is missing
+ */
+const getPath = (obj, path) => {
+  if (!isObject(obj)) return undefined;
+  if (Object.prototype.hasOwnProperty.call(obj, path)) return obj[path];
+
+  return path.split('.').reduce((current, segment) => {
+    if (!isObject(current) || !Object.prototype.hasOwnProperty.call(current, segment)) {
+      return undefined;
+    }
+    return current[segment];
+  }, obj);
+};
+
+/**
+ * Write a value by dotted path, creating intermediate objects as needed
+ * @param {Object} obj - Target object (mutated)
+ * @param {string} path - Dotted path
+ * @param {*} value - Value to set
+ * @returns {Object} The target object
+ */
+const setPath = (obj, path, value) => {
+  const segments = path.split('.');
+
+  if (segments.some(segment => FORBIDDEN_SEGMENTS.includes(segment))) {
+    throw new Error(`Invalid path '${path}'`);
+  }
+
+  let current = obj;
+  segments.slice(0, -1).forEach(segment => {
+    if (!isObject(current[segment])) {
+      current[segment] = {};
+    }
+    current = current[segment];
+  });
+  current[segments[segments.length - 1]] = value;
+
+  return obj;
+};
+
+/**
+ * Expand flat dotted keys into nested objects
+ * e.g. { "manager.name": "A" } -> { manager: { name: "A" } }
+ * @param {Object} flat - Object with dotted keys
+ * @returns {Object} Nested object
+ */
+const expandPaths = (flat) => {
+  const nested = {};
+  Object.keys(flat || {}).forEach(key => {
+    setPath(nested, key, flat[key]);
+  });
+  return nested;
+};
+
+module.exports = {
+  getPath,
+  setPath,
+  expandPaths
+};
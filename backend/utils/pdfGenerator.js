@@ -1,17 +1,35 @@
-const puppeteer = require('puppeteer');
 const fs = require('fs');
 const path = require('path');
+const os = require('os');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { PDFDocument, PDFSignature, PDFName, PDFRef, StandardFonts, degrees, rgb } = require('pdf-lib');
+const { parseImageDataUrl } = require('./imageData');
+const { withPage } = require('./browserPool');
+const { createQRCode, hashContent } = require('./verification');
+const { signPDF, verifyPDFSignature } = require('./pdfSigner');
+const { layoutWatermark } = require('./watermark');
+const { renderDOCX } = require('./docxGenerator');
+const { getDocxSourcePath } = require('./docxTemplate');
+const markdown = require('./markdown');
+
+const execFileAsync = promisify(execFile);
+
+// Longest a single LibreOffice conversion may take, in milliseconds
+const DOCX_CONVERSION_TIMEOUT = 60000;
+
+const FULL_BLEED_MARGINS = { top: '0', right: '0', bottom: '0', left: '0' };
 
 /**
  * Generate PDF document from template and data
+ * PDFs of template types with signing enabled are signed with the organization certificate
  * @param {Object} template - Template object from database
  * @param {Object} data - Data to replace placeholders
  * @param {string} documentId - Unique document identifier
+ * @param {Object} options - Rendering options, see renderPDF
  * @returns {Object} Generated file information
  */
-async function generatePDF(template, data, documentId) {
-    let browser = null;
-    
+async function generatePDF(template, data, documentId, options = {}) {
     try {
         // Create output directory if it doesn't exist
         const outputDir = path.join(__dirname, '../generated/pdf');
@@ -24,88 +42,373 @@ async function generatePDF(template, data, documentId) {
         const fileName = `${template.type}_${documentId}_${timestamp}.pdf`;
         const filePath = path.join(outputDir, fileName);
         
-        // Replace placeholders in template content
-        const processedContent = template.replacePlaceholders(data);
-        
-        // Create HTML content with styling
-        const htmlContent = createStyledHTML(processedContent, template, data);
+        let buffer = await renderPDF(template, data, options);
         
-        // Launch puppeteer
-        browser = await puppeteer.launch({
-            headless: true,
-            args: [
-                '--no-sandbox',
-                '--disable-setuid-sandbox',
-                '--disable-dev-shm-usage',
-                '--disable-gpu'
-            ]
-        });
+        // Signed before hashing, so the recorded hash is that of the file recipients get
+        const signing = await template.getSigning();
+        if (signing.enabled) {
+            buffer = await signPDF(buffer, { reason: signing.reason });
+        }
+        fs.writeFileSync(filePath, buffer);
         
-        const page = await browser.newPage();
+        return {
+            filePath: `generated/pdf/${fileName}`,
+            fileName,
+            fileSize: buffer.length,
+            contentHash: hashContent(buffer),
+            success: true
+        };
         
-        // Set content
+    } catch (error) {
+        console.error('PDF generation error:', error);
+        throw new Error(`PDF generation failed: ${error.message}`);
+    }
+}
+
+/**
+ * Render a template to a PDF in memory, without storing it
+ * Uploaded Word templates are the exception to rendering fully in memory: LibreOffice converts
+ * files, so the filled .docx and its PDF pass through a temporary directory that is always removed
+ * @param {Object} template - Template object from database
+ * @param {Object} data - Data to replace placeholders
+ * @param {Object} options - Rendering options
+ * @param {Object} options.verification - { documentId, code, url } to print a verification QR code
+ * @param {Array} options.watermarks - Watermark rules from utils/watermark
+ * @returns {Buffer} PDF content
+ */
+async function renderPDF(template, data, options = {}) {
+    const verification = options.verification && {
+        ...options.verification,
+        qrCode: await createQRCode(options.verification.url)
+    };
+    
+    // Uploaded Word templates keep their own layout, so the filled .docx is converted as-is
+    if (getDocxSourcePath(template)) {
+        const pdf = await convertDocxToPDF(await renderDOCX(template, data, { verification }));
+        return watermarkPDF(pdf, options.watermarks);
+    }
+    
+    // Create HTML content with styling
+    const hasOwnLayout = Boolean(getHtmlSourcePath(template));
+    const brand = hasOwnLayout ? null : await template.getBrand();
+    const layout = await template.getPageLayout();
+    const htmlContent = await renderHTML(template, data, { brand, layout, verification });
+    
+    // Render on a page of the shared browser
+    const pdf = await withPage(async (page) => {
         await page.setContent(htmlContent, { 
             waitUntil: 'networkidle0',
             timeout: 30000
         });
         
-        // Generate PDF
-        await page.pdf({
-            path: filePath,
-            format: 'A4',
-            printBackground: true,
-            margin: {
-                top: '1in',
-                right: '1in',
-                bottom: '1in',
-                left: '1in'
-            },
-            displayHeaderFooter: true,
-            headerTemplate: getHeaderTemplate(template, data),
-            footerTemplate: getFooterTemplate(template, data)
+        // Generate PDF; uploaded HTML controls its own page size, margins and running headers
+        // through CSS @page rules, and the type's layout only applies where it sets none
+        // Pages with background artwork print edge to edge, with the margins applied inside
+        // the page by createStyledHTML and no running header or footer
+        return page.pdf(hasOwnLayout ? {
+            format: layout.format,
+            landscape: layout.orientation === 'landscape',
+            printBackground: layout.printBackground,
+            preferCSSPageSize: true
+        } : {
+            format: layout.format,
+            landscape: layout.orientation === 'landscape',
+            printBackground: layout.printBackground,
+            margin: layout.backgroundImage ? FULL_BLEED_MARGINS : layout.margins,
+            displayHeaderFooter: !layout.backgroundImage,
+            headerTemplate: getHeaderTemplate(template, data, brand),
+            footerTemplate: getFooterTemplate(template, data, brand)
+        });
+    });
+    
+    return watermarkPDF(Buffer.from(pdf), options.watermarks);
+}
+
+/**
+ * Remove the signature fields of a PDF, with their signature values
+ * Signature widgets have no appearance, which form.removeField() cannot handle
+ * @param {PDFDocument} pdf - pdf-lib document
+ */
+function removeSignatures(pdf) {
+    const form = pdf.getForm();
+    form.getFields()
+        .filter(field => field instanceof PDFSignature)
+        .forEach(field => {
+            pdf.getPages().forEach(page => page.node.removeAnnot(field.ref));
+            form.acroForm.removeField(field.acroField);
+            const value = field.acroField.dict.get(PDFName.of('V'));
+            if (value instanceof PDFRef) pdf.context.delete(value);
+            pdf.context.delete(field.ref);
         });
+}
+
+/**
+ * Draw watermarks on every page of a PDF
+ * Works on any PDF, so stored documents can be watermarked when they are downloaded.
+ * The PDF is rewritten, which breaks a digital signature on it: the old signature is
+ * removed and the watermarked PDF is signed again, with the same reason.
+ * @param {Buffer} buffer - PDF content
+ * @param {Array} watermarks - Watermark rules from utils/watermark
+ * @returns {Promise<Buffer>} PDF content
+ */
+async function watermarkPDF(buffer, watermarks = []) {
+    if (watermarks.length === 0) return buffer;
+    
+    const { signed, reason } = verifyPDFSignature(buffer);
+    const pdf = await PDFDocument.load(buffer);
+    if (signed) removeSignatures(pdf);
+    const font = await pdf.embedFont(StandardFonts.HelveticaBold);
+    const images = await Promise.all(watermarks.map(watermark => watermark.image && (
+        watermark.image.mimeType === 'image/png' ? pdf.embedPng(watermark.image.buffer) : pdf.embedJpg(watermark.image.buffer)
+    )));
+    
+    pdf.getPages().forEach(page => {
+        const { width, height } = page.getSize();
         
-        await browser.close();
-        browser = null;
+        watermarks.forEach((watermark, index) => {
+            const aspectRatio = watermark.image
+                ? watermark.image.size.width / watermark.image.size.height
+                : font.widthOfTextAtSize(watermark.text, 1) / font.heightAtSize(1, { descender: false });
+            const box = layoutWatermark(watermark, { width, height }, aspectRatio);
+            
+            // PDF coordinates start at the bottom left, and pdf-lib turns drawings around
+            // their bottom left corner, so that corner is placed to keep the centre in place
+            const radians = watermark.angle * Math.PI / 180;
+            const options = {
+                x: box.centerX - (box.width / 2) * Math.cos(radians) + (box.height / 2) * Math.sin(radians),
+                y: height - box.centerY - (box.width / 2) * Math.sin(radians) - (box.height / 2) * Math.cos(radians),
+                rotate: degrees(watermark.angle),
+                opacity: watermark.opacity
+            };
+            
+            if (watermark.image) {
+                page.drawImage(images[index], { ...options, width: box.width, height: box.height });
+            } else {
+                const color = parseInt(watermark.color.slice(1), 16);
+                page.drawText(watermark.text, {
+                    ...options,
+                    font,
+                    size: font.sizeAtHeight(box.height),
+                    color: rgb((color >> 16) / 255, ((color >> 8) & 0xff) / 255, (color & 0xff) / 255)
+                });
+            }
+        });
+    });
+    
+    // Without object streams, so signPDF can read the cross-reference table
+    const watermarked = Buffer.from(await pdf.save({ useObjectStreams: false }));
+    return signed ? signPDF(watermarked, { reason }) : watermarked;
+}
+
+/**
+ * Convert a Word document to PDF with LibreOffice
+ * The files are written to a temporary directory, removed whether or not the conversion succeeds
+ * Set SOFFICE_PATH when the soffice binary is not on the PATH
+ * @param {Buffer} docx - DOCX content
+ * @returns {Buffer} PDF content
+ */
+async function convertDocxToPDF(docx) {
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'docgen-'));
+    const inputPath = path.join(workDir, 'document.docx');
+    
+    try {
+        fs.writeFileSync(inputPath, docx);
         
-        // Get file size
-        const stats = fs.statSync(filePath);
-        const fileSize = stats.size;
+        // A private profile lets conversions run while another LibreOffice instance is open
+        await execFileAsync(process.env.SOFFICE_PATH || 'soffice', [
+            `-env:UserInstallation=file://${path.join(workDir, 'profile')}`,
+            '--headless',
+            '--convert-to', 'pdf',
+            '--outdir', workDir,
+            inputPath
+        ], { timeout: DOCX_CONVERSION_TIMEOUT });
         
-        return {
-            filePath: `generated/pdf/${fileName}`,
-            fileName,
-            fileSize,
-            success: true
-        };
+        return fs.readFileSync(path.join(workDir, 'document.pdf'));
         
     } catch (error) {
-        console.error('PDF generation error:', error);
+        if (error.code === 'ENOENT' && String(error.syscall).startsWith('spawn')) {
+            throw new Error('LibreOffice (soffice) is required to create PDFs from uploaded Word templates');
+        }
+        throw error;
         
-        // Clean up browser if it's still running
-        if (browser) {
-            try {
-                await browser.close();
-            } catch (closeError) {
-                console.error('Error closing browser:', closeError);
-            }
+    } finally {
+        // A failed clean-up is logged rather than thrown, so it never hides the conversion's result
+        try {
+            fs.rmSync(workDir, { recursive: true, force: true, maxRetries: 3 });
+        } catch (cleanupError) {
+            console.error('Error removing DOCX conversion directory:', cleanupError);
         }
+    }
+}
+
+/**
+ * Render a template to the complete HTML page used for its PDF
+ * @param {Object} template - Template object from database
+ * @param {Object} data - Data to replace placeholders
+ * @param {Object} options
+ * @param {Object} options.brand - Brand profile for the letterhead; loaded from the template when omitted
+ * @param {Object} options.layout - Page layout; loaded from the template when omitted
+ * @param {Object} options.verification - { documentId, code, url, qrCode } printed at the end of the document
+ * @returns {Promise<string>} HTML document
+ */
+async function renderHTML(template, data, options = {}) {
+    const { brand, layout, verification } = options;
+    
+    // Uploaded HTML is the complete page, used instead of the built-in letterhead and styles
+    const htmlSourcePath = getHtmlSourcePath(template);
+    if (htmlSourcePath) {
+        const html = renderUploadedHTML(template, data, htmlSourcePath);
+        if (!verification) return html;
         
-        throw new Error(`PDF generation failed: ${error.message}`);
+        const block = createVerificationBlock(verification);
+        return /<\/body>/i.test(html) ? html.replace(/<\/body>/i, `${block}</body>`) : html + block;
+    }
+    
+    const letterhead = brand || await template.getBrand();
+    const pageLayout = layout || await template.getPageLayout();
+    
+    // Replace placeholders in template content; images are embedded as data URLs
+    if (template.contentFormat === 'markdown') {
+        // Markdown escapes HTML, so images go in after conversion, in place of markers
+        const images = [];
+        const processedContent = template.replacePlaceholders(data, {
+            formatImage: (value, placeholder) => {
+                const image = formatImageTag(value, placeholder);
+                if (!image) return '';
+                images.push(image);
+                return `\u0000IMAGE:${images.length - 1}\u0000`;
+            }
+        });
+        const htmlContent = markdown.toHTML(processedContent)
+            .replace(/\u0000IMAGE:(\d+)\u0000/g, (marker, index) => images[Number(index)]);
+        return createStyledHTML(htmlContent, template, data, letterhead, pageLayout, verification);
+    }
+    
+    const processedContent = template.replacePlaceholders(data, { formatImage: formatImageTag });
+    return createStyledHTML(processedContent.replace(/\n/g, '<br>'), template, data, letterhead, pageLayout, verification);
+}
+
+/**
+ * Build the verification block: a QR code linking to the public verification page,
+ * with the document ID and code for people who type the address instead
+ * Styles are inline so the block also renders inside uploaded HTML
+ * @param {Object} verification - { documentId, code, url, qrCode }
+ * @returns {string} HTML
+ */
+function createVerificationBlock(verification) {
+    return `
+            <div class="document-verification" style="display: flex; align-items: center; margin-top: 30px; padding-top: 10px; border-top: 1px solid #dee2e6; font-family: Arial, sans-serif; font-size: 8pt; line-height: 1.4; color: #666; page-break-inside: avoid;">
+                <img src="${verification.qrCode}" alt="Verification QR code" style="width: 80px; height: 80px; margin-right: 12px;">
+                <div>
+                    <div><strong>Verify this document</strong> by scanning the QR code or opening</div>
+                    <div style="word-break: break-all;">${escapeHTML(verification.url)}</div>
+                    <div>Document ID: ${escapeHTML(verification.documentId)} &middot; Verification code: ${escapeHTML(verification.code)}</div>
+                </div>
+            </div>`;
+}
+
+/**
+ * Build the <img> element for an image placeholder value
+ * @param {string} value - Image data URL
+ * @param {Object} placeholder - Placeholder configuration
+ * @returns {string} HTML, or '' when the value is not a supported image
+ */
+function formatImageTag(value, placeholder) {
+    const image = parseImageDataUrl(value);
+    return image ? `<img class="placeholder-image" src="${image.dataUrl}" alt="${escapeHTML(placeholder.label)}">` : '';
+}
+
+/**
+ * Fill a template's uploaded HTML file with data
+ * Values are HTML-escaped, as the file's markup is trusted but recipient data is not
+ * @param {Object} template - Template object from database, with an .html fileUrl
+ * @param {Object} data - Data to replace placeholders
+ * @param {string} sourcePath - Path of the uploaded file
+ * @returns {string} HTML document
+ */
+function renderUploadedHTML(template, data, sourcePath) {
+    if (!fs.existsSync(sourcePath)) {
+        throw new Error(`Template file ${template.fileUrl} not found`);
+    }
+    
+    // Images are inserted after escaping, in place of markers
+    const images = [];
+    const html = template.replacePlaceholders(data, {
+        content: fs.readFileSync(sourcePath, 'utf8'),
+        escape: escapeHTML,
+        formatImage: (value, placeholder) => {
+            const image = parseImageDataUrl(value);
+            if (!image) return '';
+            images.push(`<img class="placeholder-image" src="${image.dataUrl}" alt="${escapeHTML(placeholder.label)}">`);
+            return `\u0000IMAGE:${images.length - 1}\u0000`;
+        }
+    });
+    
+    return html.replace(/\u0000IMAGE:(\d+)\u0000/g, (marker, index) => images[Number(index)]);
+}
+
+/**
+ * Escape a value for HTML text or attributes, keeping its line breaks
+ * @param {string} value - Rendered value
+ * @returns {string} HTML
+ */
+function escapeHTML(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;')
+        .replace(/\r?\n/g, '<br>');
+}
+
+/**
+ * Get the uploaded HTML file a template is rendered from
+ * @param {Object} template - Template object from database
+ * @returns {string|null} Absolute path, or null when the template has no .html upload
+ */
+function getHtmlSourcePath(template) {
+    if (!template.fileUrl || path.extname(template.fileUrl).toLowerCase() !== '.html') {
+        return null;
     }
+    return path.join(__dirname, '..', template.fileUrl);
+}
+
+/**
+ * Build the letterhead from a brand profile
+ * @param {Object} brand - Brand profile
+ * @returns {string} Letterhead HTML
+ */
+function createLetterhead(brand) {
+    const logo = brand.logo && parseImageDataUrl(brand.logo);
+    const registrations = (brand.registrationNumbers || [])
+        .map(({ label, value }) => `${escapeHTML(label)}: ${escapeHTML(value)}`)
+        .join(' &middot; ');
+    
+    return `
+            <div class="letterhead">
+                ${logo ? `<img class="brand-logo" src="${logo.dataUrl}" alt="${escapeHTML(brand.companyName)}">` : ''}
+                <div class="company-logo">${escapeHTML(brand.companyName)}</div>
+                ${brand.tagline ? `<div class="company-tagline">${escapeHTML(brand.tagline)}</div>` : ''}
+                ${brand.address ? `<div class="company-address">${escapeHTML(brand.address)}</div>` : ''}
+                ${registrations ? `<div class="company-registration">${registrations}</div>` : ''}
+            </div>`;
 }
 
 /**
  * Create styled HTML content for PDF generation
- * @param {string} content - Processed template content
+ * @param {string} htmlContent - Processed template content, as HTML
  * @param {Object} template - Template object
  * @param {Object} data - User data
+ * @param {Object} brand - Brand profile for the letterhead, colours and fonts
+ * @param {Object} layout - Page layout; a background image is drawn behind every page
+ * @param {Object} verification - Verification details printed at the end, if any
  * @returns {string} Styled HTML content
  */
-function createStyledHTML(content, template, data) {
-    // Convert line breaks to HTML
-    const htmlContent = content.replace(/\n/g, '<br>');
-    
+function createStyledHTML(htmlContent, template, data, brand, layout, verification = null) {
+    const { colors, fonts } = brand;
+    const background = layout.backgroundImage && parseImageDataUrl(layout.backgroundImage);
+    const { top, right, bottom, left } = layout.margins;
     return `
     <!DOCTYPE html>
     <html lang="en">
@@ -121,10 +424,10 @@ function createStyledHTML(content, template, data) {
             }
             
             body {
-                font-family: 'Times New Roman', serif;
+                font-family: '${fonts.body}', serif;
                 font-size: 12pt;
                 line-height: 1.6;
-                color: #333;
+                color: ${colors.text};
                 background: white;
                 padding: 0;
                 margin: 0;
@@ -136,25 +439,75 @@ function createStyledHTML(content, template, data) {
                 padding: 0;
                 background: white;
             }
+            ${background ? `
+            /* Full-bleed artwork: the page has no margins, so they are applied as padding on every page */
+            @page {
+                margin: 0;
+            }
+            
+            .page-background {
+                position: fixed;
+                top: 0;
+                left: 0;
+                width: 100%;
+                height: 100%;
+                z-index: -1;
+            }
             
+            .page-background img {
+                width: 100%;
+                height: 100%;
+            }
+            
+            body,
+            .document {
+                background: transparent;
+            }
+            
+            .document {
+                padding: ${top} ${right} ${bottom} ${left};
+                -webkit-box-decoration-break: clone;
+                box-decoration-break: clone;
+            }
+            ` : ''}            
             .header {
                 text-align: center;
                 margin-bottom: 30px;
-                border-bottom: 2px solid #333;
+                border-bottom: 2px solid ${colors.primary};
                 padding-bottom: 20px;
             }
             
             .company-logo {
+                font-family: '${fonts.heading}', serif;
                 font-size: 24pt;
                 font-weight: bold;
-                color: #2c3e50;
+                color: ${colors.primary};
+                margin-bottom: 10px;
+            }
+            
+            .brand-logo {
+                max-width: 200px;
+                max-height: 70px;
                 margin-bottom: 10px;
             }
             
+            .company-tagline {
+                font-size: 10pt;
+                color: #666;
+            }
+            
+            .company-address,
+            .company-registration {
+                font-size: 9pt;
+                color: #666;
+                margin-top: 5px;
+            }
+            
             .document-title {
+                font-family: '${fonts.heading}', serif;
                 font-size: 18pt;
                 font-weight: bold;
-                color: #34495e;
+                color: ${colors.secondary};
                 margin-bottom: 5px;
                 text-transform: uppercase;
                 letter-spacing: 1px;
@@ -176,6 +529,33 @@ function createStyledHTML(content, template, data) {
                 margin-bottom: 15px;
             }
             
+            /* Markdown content is already laid out in blocks */
+            .content.markdown {
+                white-space: normal;
+            }
+            
+            .content h1,
+            .content h2,
+            .content h3,
+            .content h4,
+            .content h5,
+            .content h6 {
+                font-family: '${fonts.heading}', serif;
+                color: ${colors.primary};
+                margin: 20px 0 10px;
+            }
+            
+            .content ul,
+            .content ol {
+                margin: 0 0 15px 25px;
+            }
+            
+            .content hr {
+                border: none;
+                border-top: 1px solid #ccc;
+                margin: 20px 0;
+            }
+            
             .signature-section {
                 margin-top: 50px;
                 display: flex;
@@ -255,6 +635,12 @@ function createStyledHTML(content, template, data) {
                 padding: 2px 4px;
             }
             
+            .placeholder-image {
+                max-width: 150px;
+                max-height: 180px;
+                vertical-align: top;
+            }
+            
             .important {
                 font-weight: bold;
                 color: #d63384;
@@ -273,15 +659,11 @@ function createStyledHTML(content, template, data) {
         </style>
     </head>
     <body>
+        ${background ? `<div class="page-background"><img src="${background.dataUrl}" alt=""></div>` : ''}
         <div class="document">
             <div class="document-id">Doc ID: ${data.documentId || 'N/A'}</div>
             
-            <div class="letterhead">
-                <div class="company-logo">DocGen-Mongo</div>
-                <div style="font-size: 10pt; color: #666;">
-                    Document Automation System
-                </div>
-            </div>
+            ${createLetterhead(brand)}
             
             <div class="header">
                 <div class="document-title">${template.name}</div>
@@ -296,7 +678,7 @@ function createStyledHTML(content, template, data) {
                 })}
             </div>
             
-            <div class="content">
+            <div class="content${template.contentFormat === 'markdown' ? ' markdown' : ''}">
                 ${htmlContent}
             </div>
             
@@ -305,7 +687,7 @@ function createStyledHTML(content, template, data) {
                     <div class="signature-line"></div>
                     <div class="signature-label">Authorized Signatory</div>
                     <div style="font-size: 9pt; margin-top: 5px;">
-                        ${data.company || 'Organization Name'}
+                        ${escapeHTML(data.company || brand.companyName)}
                     </div>
                 </div>
                 
@@ -317,6 +699,7 @@ function createStyledHTML(content, template, data) {
                     </div>
                 </div>
             </div>
+            ${verification ? createVerificationBlock(verification) : ''}
         </div>
     </body>
     </html>
@@ -327,12 +710,13 @@ function createStyledHTML(content, template, data) {
  * Get header template for PDF
  * @param {Object} template - Template object
  * @param {Object} data - User data
+ * @param {Object} brand - Brand profile
  * @returns {string} Header HTML
  */
-function getHeaderTemplate(template, data) {
+function getHeaderTemplate(template, data, brand) {
     return `
         <div style="font-size: 8pt; color: #666; width: 100%; text-align: center; margin: 0 1in;">
-            <span style="float: left;">${data.company || 'DocGen-Mongo'}</span>
+            <span style="float: left;">${escapeHTML(data.company || brand.companyName)}</span>
             <span style="float: right;">${template.name}</span>
         </div>
     `;
@@ -342,12 +726,14 @@ function getHeaderTemplate(template, data) {
  * Get footer template for PDF
  * @param {Object} template - Template object
  * @param {Object} data - User data
+ * @param {Object} brand - Brand profile; its footer text is centred
  * @returns {string} Footer HTML
  */
-function getFooterTemplate(template, data) {
+function getFooterTemplate(template, data, brand) {
     return `
         <div style="font-size: 8pt; color: #666; width: 100%; text-align: center; margin: 0 1in;">
             <span style="float: left;">Generated on ${new Date().toLocaleDateString()}</span>
+            ${brand.footerText ? `<span>${escapeHTML(brand.footerText)}</span>` : ''}
             <span style="float: right;">Page <span class="pageNumber"></span> of <span class="totalPages"></span></span>
         </div>
     `;
@@ -360,8 +746,6 @@ function getFooterTemplate(template, data) {
  * @returns {Object} Generated file information
  */
 async function generatePDFFromHTML(htmlContent, fileName) {
-    let browser = null;
-    
     try {
         const outputDir = path.join(__dirname, '../generated/pdf');
         if (!fs.existsSync(outputDir)) {
@@ -370,33 +754,22 @@ async function generatePDFFromHTML(htmlContent, fileName) {
         
         const filePath = path.join(outputDir, fileName);
         
-        browser = await puppeteer.launch({
-            headless: true,
-            args: [
-                '--no-sandbox',
-                '--disable-setuid-sandbox',
-                '--disable-dev-shm-usage',
-                '--disable-gpu'
-            ]
-        });
-        
-        const page = await browser.newPage();
-        await page.setContent(htmlContent, { waitUntil: 'networkidle0' });
-        
-        await page.pdf({
-            path: filePath,
-            format: 'A4',
-            printBackground: true,
-            margin: {
-                top: '1in',
-                right: '1in',
-                bottom: '1in',
-                left: '1in'
-            }
+        await withPage(async (page) => {
+            await page.setContent(htmlContent, { waitUntil: 'networkidle0' });
+            
+            await page.pdf({
+                path: filePath,
+                format: 'A4',
+                printBackground: true,
+                margin: {
+                    top: '1in',
+                    right: '1in',
+                    bottom: '1in',
+                    left: '1in'
+                }
+            });
         });
         
-        await browser.close();
-        
         const stats = fs.statSync(filePath);
         
         return {
@@ -407,19 +780,15 @@ async function generatePDFFromHTML(htmlContent, fileName) {
         };
         
     } catch (error) {
-        if (browser) {
-            try {
-                await browser.close();
-            } catch (closeError) {
-                console.error('Error closing browser:', closeError);
-            }
-        }
-        
         throw new Error(`PDF generation failed: ${error.message}`);
     }
 }
 
 module.exports = {
     generatePDF,
+    renderPDF,
+    renderHTML,
+    watermarkPDF,
+    convertDocxToPDF,
     generatePDFFromHTML
 };
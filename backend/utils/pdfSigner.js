@@ -0,0 +1,290 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const forge = require('node-forge');
+const signpdf = require('@signpdf/signpdf').default;
+const { P12Signer } = require('@signpdf/signer-p12');
+const { plainAddPlaceholder } = require('@signpdf/placeholder-plain');
+const { extractSignature } = require('@signpdf/utils');
+
+/**
+ * Digital signatures for generated PDFs
+ * PDFs of template types with signing enabled are signed with the organization
+ * certificate from the PKCS#12 keystore at PDF_SIGNING_KEYSTORE, as a detached PKCS#7
+ * signature (adbe.pkcs7.detached, which PAdES readers accept). Any change made to a
+ * signed PDF afterwards invalidates its signature.
+ */
+
+const DEFAULT_REASON = 'Issued by the organization';
+
+// Keystore read on first use: { p12, passphrase, certificate, fingerprint, name }
+let keystore = null;
+
+/**
+ * Get the common name of a certificate subject or issuer
+ * @param {Object} attributes - forge subject or issuer
+ * @returns {string|null} Common name
+ */
+function getCommonName(attributes) {
+    const field = attributes.getField('CN');
+    return field ? field.value : null;
+}
+
+/**
+ * Get the SHA-256 fingerprint of a certificate
+ * @param {Object} certificate - forge certificate
+ * @returns {string} Fingerprint, hex encoded
+ */
+function getFingerprint(certificate) {
+    const der = forge.asn1.toDer(forge.pki.certificateToAsn1(certificate)).getBytes();
+    return crypto.createHash('sha256').update(Buffer.from(der, 'binary')).digest('hex');
+}
+
+/**
+ * Check whether PDF signing is configured
+ * @returns {boolean}
+ */
+function isSigningConfigured() {
+    return Boolean(process.env.PDF_SIGNING_KEYSTORE);
+}
+
+/**
+ * Read the organization keystore, once per process
+ * @returns {Object} Keystore
+ */
+function loadKeystore() {
+    if (keystore) return keystore;
+
+    if (!isSigningConfigured()) {
+        throw new Error('PDF signing is not configured: set PDF_SIGNING_KEYSTORE to a PKCS#12 (.p12/.pfx) file');
+    }
+
+    const keystorePath = path.resolve(process.env.PDF_SIGNING_KEYSTORE);
+    const passphrase = process.env.PDF_SIGNING_PASSPHRASE || '';
+    const p12 = fs.readFileSync(keystorePath);
+
+    let certificate;
+    try {
+        const store = forge.pkcs12.pkcs12FromAsn1(forge.asn1.fromDer(p12.toString('binary')), passphrase);
+        const keyBag = [forge.pki.oids.pkcs8ShroudedKeyBag, forge.pki.oids.keyBag]
+            .flatMap(bagType => store.getBags({ bagType })[bagType] || [])[0];
+        const certBags = store.getBags({ bagType: forge.pki.oids.certBag })[forge.pki.oids.certBag] || [];
+
+        // The organization certificate is the one issued for the keystore's private key
+        const certificateBag = keyBag && certBags.find(bag => bag.cert.publicKey.n.equals(keyBag.key.n));
+        certificate = certificateBag && certificateBag.cert;
+    } catch (error) {
+        throw new Error(`PDF signing keystore ${keystorePath} could not be read: ${error.message}`);
+    }
+    if (!certificate) {
+        throw new Error(`PDF signing keystore ${keystorePath} has no private key with a matching certificate`);
+    }
+
+    keystore = {
+        p12,
+        passphrase,
+        certificate,
+        fingerprint: getFingerprint(certificate),
+        // Shown as the signer in PDF readers
+        name: process.env.PDF_SIGNING_NAME || getCommonName(certificate.subject) || 'Organization'
+    };
+    return keystore;
+}
+
+/**
+ * Reduce text for the signature dictionary to printable ASCII: accents are dropped and
+ * other characters become "?", as the signing library cannot write other text correctly
+ * @param {string} text - Text
+ * @returns {string} ASCII text
+ */
+function toAscii(text) {
+    return String(text || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^\x20-\x7e]/g, '?');
+}
+
+/**
+ * Sign a PDF with the organization certificate
+ * The signer name, reason, location, contact and signing time go in the signature dictionary
+ * @param {Buffer} buffer - PDF content
+ * @param {Object} options - Signing options
+ * @param {string} options.reason - Reason for signing, e.g. "Experience letter issued by HR"
+ * @returns {Promise<Buffer>} Signed PDF content
+ */
+async function signPDF(buffer, options = {}) {
+    const { p12, passphrase, name } = loadKeystore();
+    const signingTime = new Date();
+
+    const pdfWithPlaceholder = plainAddPlaceholder({
+        pdfBuffer: buffer,
+        reason: toAscii(options.reason || DEFAULT_REASON),
+        name: toAscii(name),
+        location: toAscii(process.env.PDF_SIGNING_LOCATION),
+        contactInfo: toAscii(process.env.PDF_SIGNING_CONTACT),
+        signingTime
+    });
+    return signpdf.sign(pdfWithPlaceholder, new P12Signer(p12, { passphrase }), signingTime);
+}
+
+/**
+ * Read a string entry of a PDF dictionary, e.g. /Reason (Issued by HR)
+ * @param {string} dictionary - Dictionary source, latin1 decoded
+ * @param {string} key - Entry name without the slash
+ * @returns {string|null} Value
+ */
+function readPdfString(dictionary, key) {
+    const match = new RegExp(`/${key}\\s*\\(((?:\\\\[\\s\\S]|[^\\\\)])*)\\)`).exec(dictionary);
+    if (!match) return null;
+
+    const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+    const value = match[1].replace(/\\([0-7]{1,3}|[\s\S])/g, (escaped, char) => {
+        if (/^[0-7]+$/.test(char)) return String.fromCharCode(parseInt(char, 8));
+        return escapes[char] || char;
+    });
+
+    // Text outside ASCII is written as UTF-16BE with a byte order mark
+    if (value.startsWith('\u00fe\u00ff')) {
+        return Buffer.from(value.slice(2), 'latin1').swap16().toString('utf16le');
+    }
+    return value;
+}
+
+/**
+ * Parse a PDF date, e.g. "D:20240115103000Z" or "D:20240115160000+05'30'"
+ * @param {string} value - PDF date
+ * @returns {Date|null} Date
+ */
+function parsePdfDate(value) {
+    const match = /^D:(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(Z|([+-])(\d{2})'?(\d{2})'?)?/.exec(value || '');
+    if (!match) return null;
+
+    const [, year, month, day, hours, minutes, seconds, zone, sign, offsetHours, offsetMinutes] = match;
+    const offset = zone && zone !== 'Z' ? (sign === '-' ? -1 : 1) * (Number(offsetHours) * 60 + Number(offsetMinutes)) : 0;
+    return new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds) - offset * 60 * 1000);
+}
+
+/**
+ * Check the PKCS#7 signature over the signed byte ranges of a PDF
+ * @param {string} signature - DER encoded PKCS#7, binary string
+ * @param {Buffer} signedData - Signed byte ranges
+ * @returns {Object} { digestMatches, signatureMatches, certificate }
+ */
+function checkSignedData(signature, signedData) {
+    const message = forge.pkcs7.messageFromAsn1(forge.asn1.fromDer(signature, { parseAllBytes: false }));
+    const { digestAlgorithm, authenticatedAttributes, signature: signatureValue } = message.rawCapture;
+    const hashAlgorithm = forge.pki.oids[forge.asn1.derToOid(digestAlgorithm)];
+
+    // The signed attributes hold the digest of the document, and the signature covers those attributes
+    const digestAttribute = authenticatedAttributes.find(attribute =>
+        forge.asn1.derToOid(attribute.value[0].value) === forge.pki.oids.messageDigest);
+    const documentDigest = crypto.createHash(hashAlgorithm).update(signedData).digest('binary');
+    const digestMatches = Boolean(digestAttribute) && digestAttribute.value[1].value[0].value === documentDigest;
+
+    const attributeSet = forge.asn1.create(forge.asn1.Class.UNIVERSAL, forge.asn1.Type.SET, true, authenticatedAttributes);
+    const signedAttributes = Buffer.from(forge.asn1.toDer(attributeSet).getBytes(), 'binary');
+
+    // The signer's certificate is the one whose key verifies the signature
+    const certificate = message.certificates.find(candidate => crypto.createVerify(hashAlgorithm)
+        .update(signedAttributes)
+        .verify(forge.pki.certificateToPem(candidate), Buffer.from(signatureValue, 'binary')));
+
+    return {
+        digestMatches,
+        signatureMatches: Boolean(certificate),
+        certificate: certificate || message.certificates[0] || null
+    };
+}
+
+/**
+ * Check the digital signature of a PDF
+ * Reports on the last signature, which must cover the whole file: content added after
+ * signing (an incremental update) makes the signature invalid for the document as a whole
+ * @param {Buffer} buffer - PDF content
+ * @returns {Object} { signed, valid, problems, signerName, reason, location, contactInfo, signedAt, certificate }
+ */
+function verifyPDFSignature(buffer) {
+    const signatureCount = buffer.toString('latin1').split('/ByteRange [').length - 1;
+    if (signatureCount === 0) {
+        return { signed: false, valid: false, problems: ['The PDF is not signed'] };
+    }
+
+    const problems = [];
+    let extracted;
+    try {
+        extracted = extractSignature(buffer, signatureCount);
+    } catch (error) {
+        return { signed: true, valid: false, problems: [`The signature could not be read: ${error.message}`] };
+    }
+    const { ByteRange: byteRange, signature, signedData } = extracted;
+
+    // Entries of the signature dictionary on either side of /Contents
+    const dictionaryStart = buffer.lastIndexOf('<<', buffer.lastIndexOf('/ByteRange ['));
+    const objectEnd = buffer.indexOf('endobj', byteRange[2]);
+    const dictionary = buffer.slice(dictionaryStart, byteRange[1]).toString('latin1') +
+        buffer.slice(byteRange[2], objectEnd === -1 ? undefined : objectEnd).toString('latin1');
+
+    if (byteRange[0] !== 0 || byteRange[2] + byteRange[3] !== buffer.length) {
+        problems.push('The PDF was changed after it was signed');
+    }
+
+    let check;
+    try {
+        check = checkSignedData(signature, signedData);
+    } catch (error) {
+        return { signed: true, valid: false, problems: [`The signature could not be read: ${error.message}`] };
+    }
+    if (!check.digestMatches) problems.push('The signed content has been modified');
+    if (!check.signatureMatches) problems.push('The signature does not match the certificate');
+
+    const signedAt = parsePdfDate(readPdfString(dictionary, 'M'));
+    const { certificate } = check;
+    let certificateInfo = null;
+    if (certificate) {
+        const fingerprint = getFingerprint(certificate);
+        const signingDate = signedAt || new Date();
+        if (signingDate < certificate.validity.notBefore || signingDate > certificate.validity.notAfter) {
+            problems.push('The certificate was not valid when the PDF was signed');
+        }
+
+        let isOrganizationCertificate = null;
+        if (isSigningConfigured()) {
+            try {
+                isOrganizationCertificate = loadKeystore().fingerprint === fingerprint;
+            } catch (error) {
+                console.error('PDF signing keystore error:', error);
+            }
+        }
+        if (isOrganizationCertificate === false) {
+            problems.push('The PDF was not signed with the organization certificate');
+        }
+
+        certificateInfo = {
+            subject: getCommonName(certificate.subject),
+            issuer: getCommonName(certificate.issuer),
+            serialNumber: certificate.serialNumber,
+            validFrom: certificate.validity.notBefore,
+            validTo: certificate.validity.notAfter,
+            fingerprint,
+            isOrganizationCertificate
+        };
+    }
+
+    return {
+        signed: true,
+        valid: problems.length === 0,
+        problems,
+        signerName: readPdfString(dictionary, 'Name'),
+        reason: readPdfString(dictionary, 'Reason'),
+        location: readPdfString(dictionary, 'Location'),
+        contactInfo: readPdfString(dictionary, 'ContactInfo'),
+        signedAt,
+        certificate: certificateInfo
+    };
+}
+
+module.exports = {
+    isSigningConfigured,
+    signPDF,
+    verifyPDFSignature
+};
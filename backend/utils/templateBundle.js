@@ -0,0 +1,161 @@
+const path = require('path');
+const JSZip = require('jszip');
+
+/**
+ * Template bundles: a zip archive that moves a template between environments
+ *
+ *   template.json      definition (name, type, content, variants, page setup, tags, version, ...)
+ *   placeholders.json  placeholder configuration
+ *   snippets.json      snippets the template includes, directly or through other snippets
+ *   assets/<file>      the uploaded template file, when the template has one
+ */
+
+const BUNDLE_FORMAT = 'docgen-template-bundle';
+const BUNDLE_VERSION = 1;
+
+// Template fields stored in template.json
+const DEFINITION_FIELDS = [
+    'name', 'type', 'description', 'content', 'contentFormat', 'defaultLanguage', 'defaultLocale',
+    'variants', 'pageSetup', 'tags', 'version'
+];
+
+// Snippet fields stored in snippets.json
+const SNIPPET_FIELDS = ['key', 'name', 'description', 'content'];
+
+/**
+ * Copy the listed fields of a document or plain object
+ * @param {Object} source - Mongoose document or plain object
+ * @param {string[]} fields - Fields to copy
+ * @returns {Object} Plain object
+ */
+function pickFields(source, fields) {
+    const plain = typeof source.toObject === 'function' ? source.toObject({ flattenMaps: true }) : source;
+    return fields.reduce((picked, field) => {
+        if (plain[field] !== undefined) picked[field] = plain[field];
+        return picked;
+    }, {});
+}
+
+/**
+ * Build a template bundle
+ * @param {Object} options
+ * @param {Object} options.template - Template (or template at a revision) to export
+ * @param {Array} options.snippets - Snippets it includes
+ * @param {Object|null} options.file - Uploaded template file { name, buffer }
+ * @returns {Promise<Buffer>} Zip archive
+ */
+async function createBundle({ template, snippets = [], file = null }) {
+    const zip = new JSZip();
+    const assetPath = file ? `assets/${path.basename(file.name)}` : null;
+
+    zip.file('template.json', JSON.stringify({
+        format: BUNDLE_FORMAT,
+        bundleVersion: BUNDLE_VERSION,
+        exportedAt: new Date().toISOString(),
+        template: pickFields(template, DEFINITION_FIELDS),
+        file: assetPath
+    }, null, 2));
+    zip.file('placeholders.json', JSON.stringify(
+        template.placeholders.map(p => {
+            const { _id, ...config } = typeof p.toObject === 'function' ? p.toObject() : p;
+            return config;
+        }), null, 2));
+    zip.file('snippets.json', JSON.stringify(snippets.map(s => pickFields(s, SNIPPET_FIELDS)), null, 2));
+    if (file) {
+        zip.file(assetPath, file.buffer);
+    }
+
+    return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+/**
+ * Check whether a parsed JSON value is an object (not null or an array)
+ * @param {*} value - Value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Read a JSON entry of a bundle
+ * @param {JSZip} zip - Bundle
+ * @param {string} name - Entry name
+ * @returns {Promise<*>} Parsed JSON
+ * @throws {Error} When the entry is missing or not valid JSON
+ */
+async function readJson(zip, name) {
+    const entry = zip.file(name);
+    if (!entry) {
+        throw new Error(`${name} is missing`);
+    }
+    try {
+        return JSON.parse(await entry.async('string'));
+    } catch (error) {
+        throw new Error(`${name} is not valid JSON`);
+    }
+}
+
+/**
+ * Read a template bundle
+ * @param {Buffer} buffer - Zip archive
+ * @returns {Promise<Object>} { definition, placeholders, snippets, file } where file is { name, buffer } or null
+ * @throws {Error} When the archive is not a template bundle; error.errors lists bad placeholder and snippet entries
+ */
+async function readBundle(buffer) {
+    let zip;
+    try {
+        zip = await JSZip.loadAsync(buffer);
+    } catch (error) {
+        throw new Error('file is not a zip archive');
+    }
+
+    const manifest = await readJson(zip, 'template.json');
+    if (!manifest || manifest.format !== BUNDLE_FORMAT || !manifest.template) {
+        throw new Error('template.json is not a template bundle');
+    }
+    if (manifest.bundleVersion > BUNDLE_VERSION) {
+        throw new Error(`bundle version ${manifest.bundleVersion} is newer than this server supports`);
+    }
+
+    const placeholders = await readJson(zip, 'placeholders.json');
+    const snippets = await readJson(zip, 'snippets.json');
+    if (!Array.isArray(placeholders) || !Array.isArray(snippets)) {
+        throw new Error('placeholders.json and snippets.json must contain arrays');
+    }
+
+    const errors = [
+        ...placeholders
+            .map((placeholder, index) => isPlainObject(placeholder) ? null : `placeholders.json entry ${index + 1} must be an object`),
+        ...snippets
+            .map((snippet, index) => isPlainObject(snippet) && typeof snippet.key === 'string' && typeof snippet.content === 'string'
+                ? null
+                : `snippets.json entry ${index + 1} must be an object with a key and content`)
+    ].filter(Boolean);
+    if (errors.length > 0) {
+        const error = new Error('bundle entries are not valid');
+        error.errors = errors;
+        throw error;
+    }
+
+    let file = null;
+    if (manifest.file) {
+        const entry = zip.file(manifest.file);
+        if (!entry) {
+            throw new Error(`${manifest.file} is missing`);
+        }
+        file = { name: path.basename(manifest.file), buffer: await entry.async('nodebuffer') };
+    }
+
+    return {
+        definition: pickFields(manifest.template, DEFINITION_FIELDS),
+        placeholders,
+        snippets: snippets.map(s => pickFields(s, SNIPPET_FIELDS)),
+        file
+    };
+}
+
+module.exports = {
+    createBundle,
+    readBundle
+};
@@ -0,0 +1,492 @@
+/**
+ * Template engine for document content
+ * Supports {{key}} substitution, formatter pipes, {{#if}}, {{#unless}}, {{#each}} sections
+ * and {{> snippet_key}} partials
+ *
+ * Example:
+ *   {{#if probation}}You will be on probation for {{probation_period}} months.{{else}}...{{/if}}
+ *   {{#each allowances}}- {{name}}: {{amount | currency}}{{/each}}
+ *   {{joining_date | date:"DD MMM YYYY"}}, {{ctc | words:"en-IN" | title}}
+ *   {{> confidentiality_clause}}
+ */
+
+const { applyFormatters, hasFormatter } = require('./formatters');
+const { getPath } = require('./objectPath');
+
+// Matches any {{ ... }} tag; the body is classified by parseTag
+const TAG_REGEX = /\{\{([^{}]*)\}\}/g;
+
+// Keys may be dotted paths into nested data, e.g. candidate.address.city
+const KEY_PATTERN = '\\w+(?:\\.\\w+)*';
+const VARIABLE_REGEX = new RegExp(`^(${KEY_PATTERN}|@\\w+)$`);
+const FILTER_NAME_REGEX = /^\w+$/;
+// A formatter argument: double- or single-quoted string, or a bare token such as 2
+const FILTER_ARG_REGEX = /^:\s*(?:"([^"]*)"|'([^']*)'|([^\s:"']+))\s*/;
+const BLOCK_OPEN_REGEX = new RegExp(`^#(if|unless|each)\\s+(${KEY_PATTERN})$`);
+const BLOCK_CLOSE_REGEX = /^\/(if|unless|each)$/;
+const PARTIAL_REGEX = /^>\s*(\w+)$/;
+
+// Loop helpers available inside {{#each}} sections
+const LOOP_LOCALS = ['this', '@index', '@number', '@first', '@last'];
+
+/**
+ * Split a tag body on pipes that are not inside quotes
+ * @param {string} body - Tag body
+ * @returns {string[]} Segments
+ */
+function splitPipes(body) {
+    const segments = [''];
+    let quote = null;
+
+    for (const char of body) {
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === '|') {
+            segments.push('');
+            continue;
+        }
+        segments[segments.length - 1] += char;
+    }
+
+    return segments.map(segment => segment.trim());
+}
+
+/**
+ * Parse a formatter segment such as date:"DD MMM YYYY" or currency:"EUR":"de-DE"
+ * @param {string} segment - Text between pipes
+ * @returns {Object|null} { name, args } or null if malformed
+ */
+function parseFilter(segment) {
+    const nameMatch = segment.match(/^(\w+)\s*/);
+    if (!nameMatch || !FILTER_NAME_REGEX.test(nameMatch[1])) return null;
+
+    const args = [];
+    let rest = segment.slice(nameMatch[0].length);
+
+    while (rest) {
+        const argMatch = rest.match(FILTER_ARG_REGEX);
+        if (!argMatch) return null;
+        args.push(argMatch[1] ?? argMatch[2] ?? argMatch[3]);
+        rest = rest.slice(argMatch[0].length);
+    }
+
+    return { name: nameMatch[1], args };
+}
+
+/**
+ * Parse a variable tag body: a key followed by optional formatter pipes
+ * @param {string} body - Trimmed tag body
+ * @returns {Object|null} { key, filters } or null if the body is not a variable
+ */
+function parseVariable(body) {
+    const [head, ...pipes] = splitPipes(body);
+    const keyMatch = head.match(VARIABLE_REGEX);
+
+    if (!keyMatch || (keyMatch[1].startsWith('@') && !LOOP_LOCALS.includes(keyMatch[1]))) {
+        return null;
+    }
+
+    const filters = [];
+    for (const pipe of pipes) {
+        const filter = parseFilter(pipe);
+        if (!filter) return null;
+        filters.push(filter);
+    }
+
+    return { key: keyMatch[1], filters };
+}
+
+/**
+ * Classify the body of a {{ ... }} tag
+ * @param {string} body - Text between the braces
+ * @returns {Object|null} Tag descriptor, or null if the tag is not template syntax
+ */
+function parseTag(body) {
+    const trimmed = body.trim();
+    let match;
+
+    if ((match = trimmed.match(BLOCK_OPEN_REGEX))) {
+        return { kind: 'open', block: match[1], key: match[2] };
+    }
+    if ((match = trimmed.match(BLOCK_CLOSE_REGEX))) {
+        return { kind: 'close', block: match[1] };
+    }
+    if (trimmed === 'else') {
+        return { kind: 'else' };
+    }
+    if ((match = trimmed.match(PARTIAL_REGEX))) {
+        return { kind: 'partial', key: match[1] };
+    }
+    const variable = parseVariable(trimmed);
+    if (variable) {
+        return { kind: 'variable', ...variable };
+    }
+
+    return null;
+}
+
+/**
+ * Find every {{ ... }} tag in content
+ * @param {string} content - Template content
+ * @returns {Array} [{ raw, body, index, tag }] where tag is the parseTag() result (null if not template syntax)
+ */
+function scanTags(content) {
+    return [...(content || '').matchAll(TAG_REGEX)].map(match => ({
+        raw: match[0],
+        body: match[1],
+        index: match.index,
+        tag: parseTag(match[1])
+    }));
+}
+
+/**
+ * Create a syntax error that records where in the content it occurred
+ * @param {string} message - Error message
+ * @param {number} index - Offset of the offending tag
+ * @param {string} raw - Offending tag text
+ * @returns {Error} Error with index and length properties
+ */
+function syntaxError(message, index, raw) {
+    const error = new Error(message);
+    error.index = index;
+    error.length = raw.length;
+    return error;
+}
+
+/**
+ * Parse template content into a node tree
+ * @param {string} content - Template content
+ * @returns {Array} Parsed nodes
+ * @throws {Error} When block tags are unbalanced or a formatter is unknown;
+ *   the error's index and length locate the offending tag
+ */
+function parse(content) {
+    const root = { children: [] };
+    const stack = [root];
+    let cursor = 0;
+
+    const current = () => stack[stack.length - 1];
+    const target = () => (current().inElse ? current().inverse : current().children);
+    const pushText = (text) => {
+        if (text) target().push({ type: 'text', value: text });
+    };
+
+    for (const { raw, index, tag } of scanTags(content)) {
+        pushText(content.slice(cursor, index));
+        cursor = index + raw.length;
+
+        if (!tag) {
+            // Not template syntax: keep the text as written
+            pushText(raw);
+            continue;
+        }
+
+        switch (tag.kind) {
+            case 'variable': {
+                const unknown = tag.filters.find(filter => !hasFormatter(filter.name));
+                if (unknown) {
+                    throw syntaxError(`Unknown formatter '${unknown.name}' in ${raw}`, index, raw);
+                }
+                target().push({ type: 'variable', key: tag.key, filters: tag.filters, raw });
+                break;
+            }
+
+            case 'partial':
+                target().push({ type: 'partial', key: tag.key, raw });
+                break;
+
+            case 'open': {
+                const node = {
+                    type: tag.block,
+                    key: tag.key,
+                    children: [],
+                    inverse: [],
+                    inElse: false,
+                    raw,
+                    index
+                };
+                target().push(node);
+                stack.push(node);
+                break;
+            }
+
+            case 'else':
+                if (stack.length === 1 || current().inElse) {
+                    throw syntaxError('Unexpected {{else}} outside of an if/unless/each block', index, raw);
+                }
+                current().inElse = true;
+                break;
+
+            case 'close':
+                if (stack.length === 1) {
+                    throw syntaxError(`Unexpected {{/${tag.block}}} without a matching {{#${tag.block}}}`, index, raw);
+                }
+                if (current().type !== tag.block) {
+                    throw syntaxError(`Expected {{/${current().type}}} to close ${current().raw} but found {{/${tag.block}}}`, index, raw);
+                }
+                delete stack.pop().inElse;
+                break;
+        }
+    }
+
+    pushText((content || '').slice(cursor));
+
+    if (stack.length > 1) {
+        throw syntaxError(`Unclosed ${current().raw} block`, current().index, current().raw);
+    }
+
+    return root.children;
+}
+
+/**
+ * Create a lookup scope for rendering
+ * @param {*} data - Values visible in this scope
+ * @param {Object|null} parent - Enclosing scope
+ * @param {Object} locals - Loop helpers (this, @index, ...)
+ * @returns {Object} Scope
+ */
+function createScope(data, parent = null, locals = {}) {
+    return { data, parent, locals };
+}
+
+/**
+ * Resolve a key or dotted path against a scope chain
+ * The first path segment decides which scope the value comes from
+ * @param {Object} scope - Scope to start from
+ * @param {string} key - Placeholder key, e.g. "name" or "manager.name"
+ * @returns {Object} { value, isRoot }
+ */
+function lookup(scope, key) {
+    const [head] = key.split('.');
+
+    for (let s = scope; s; s = s.parent) {
+        if (Object.prototype.hasOwnProperty.call(s.locals, head)) {
+            return { value: getPath(s.locals, key), isRoot: false };
+        }
+        if (s.data && typeof s.data === 'object' &&
+            (Object.prototype.hasOwnProperty.call(s.data, key) || Object.prototype.hasOwnProperty.call(s.data, head))) {
+            return { value: getPath(s.data, key), isRoot: !s.parent };
+        }
+    }
+    return { value: undefined, isRoot: true };
+}
+
+/**
+ * Decide whether a value counts as "true" for {{#if}} / {{#unless}}
+ * Spreadsheet values arrive as strings, so "false", "no" and "0" are falsy too
+ * @param {*} value - Value to test
+ * @returns {boolean}
+ */
+function isTruthy(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    if (typeof value === 'string') {
+        return !['', 'false', 'no', 'n', '0'].includes(value.trim().toLowerCase());
+    }
+    return Boolean(value);
+}
+
+/**
+ * Normalise a value used by {{#each}} into an array
+ * Accepts arrays and JSON array strings (e.g. from a CSV cell)
+ * @param {*} value - Value to convert
+ * @returns {Array}
+ */
+function toList(value) {
+    if (Array.isArray(value)) return value;
+    if (value === undefined || value === null || value === '') return [];
+
+    if (typeof value === 'string' && value.trim().startsWith('[')) {
+        try {
+            const parsed = JSON.parse(value);
+            if (Array.isArray(parsed)) return parsed;
+        } catch (error) {
+            // Fall through and treat the string as a single item
+        }
+    }
+
+    return [value];
+}
+
+/**
+ * Default value formatter: plain string conversion
+ * @param {string} key - Placeholder key
+ * @param {*} value - Resolved value
+ * @returns {string}
+ */
+function defaultFormatValue(key, value) {
+    return value === undefined || value === null ? '' : String(value);
+}
+
+function renderNodes(nodes, scope, options) {
+    return nodes.map(node => renderNode(node, scope, options)).join('');
+}
+
+function renderNode(node, scope, options) {
+    const formatValue = options.formatValue || defaultFormatValue;
+
+    switch (node.type) {
+        case 'text':
+            // Snippet text is literal in the content it is inserted into
+            return options.partialPath && options.escapeSnippet ? options.escapeSnippet(node.value) : node.value;
+
+        case 'partial': {
+            const partialPath = options.partialPath || [];
+            if (partialPath.includes(node.key)) {
+                throw new Error(`Snippet '${node.key}' includes itself`);
+            }
+            const partial = options.partials && options.partials.get(node.key);
+            if (partial === undefined) {
+                throw new Error(`Unknown snippet '${node.key}'`);
+            }
+            // Rendered in the including scope, so snippets inside {{#each}} see the item's keys
+            return renderNodes(parse(partial), scope, { ...options, partialPath: [...partialPath, node.key] });
+        }
+
+        case 'variable': {
+            const { value, isRoot } = lookup(scope, node.key);
+            // Explicit pipes replace the default, type-based formatting
+            const formatted = node.filters.length > 0
+                ? applyFormatters(value, node.filters, options)
+                : formatValue(node.key, value, isRoot);
+            const output = formatted === undefined || formatted === null ? '' : String(formatted);
+            return options.escape ? options.escape(output) : output;
+        }
+
+        case 'if':
+        case 'unless': {
+            const truthy = isTruthy(lookup(scope, node.key).value);
+            const branch = truthy === (node.type === 'if') ? node.children : node.inverse;
+            return renderNodes(branch, scope, options);
+        }
+
+        case 'each': {
+            const items = toList(lookup(scope, node.key).value);
+            if (items.length === 0) {
+                return renderNodes(node.inverse, scope, options);
+            }
+            return items.map((item, index) => renderNodes(node.children, createScope(item, scope, {
+                'this': item,
+                '@index': index,
+                '@number': index + 1,
+                '@first': index === 0,
+                '@last': index === items.length - 1
+            }), options)).join('');
+        }
+
+        default:
+            return '';
+    }
+}
+
+/**
+ * Render template content with data
+ * @param {string|Array} content - Template content or nodes returned by parse()
+ * @param {Object} data - Placeholder values
+ * @param {Object} options - Render options
+ * @param {Function} options.formatValue - (key, value, isRoot) => string, formats values without pipes
+ * @param {string} options.locale - Locale passed to formatters as their context
+ * @param {Function} options.escape - (output) => string, applied to every rendered value, e.g. XML escaping
+ * @param {Map} options.partials - Snippet content by key, for {{> key}} tags
+ * @param {Function} options.escapeSnippet - (text) => string, applied to snippet text when content is markup
+ * @returns {string} Rendered content
+ * @throws {Error} When a snippet is unknown or includes itself
+ */
+function render(content, data = {}, options = {}) {
+    const nodes = Array.isArray(content) ? content : parse(content);
+    return renderNodes(nodes, createScope(data), options);
+}
+
+/**
+ * Extract the top-level placeholders referenced by template content
+ * Variables inside {{#each}} refer to list items, unless the key (or the first segment of its path)
+ * is known at the top level: used outside any loop, or given in outerKeys. Those resolve to the
+ * outer data when rendering and are reported, as conditional since an empty list hides them.
+ * @param {string} content - Template content
+ * @param {Map} partials - Snippet content by key; placeholders of included snippets are extracted too
+ * @param {string[]} outerKeys - Keys known to be top-level data, e.g. the configured placeholders
+ * @returns {Array} [{ key, kind, conditional }] where kind is 'variable', 'condition' or 'list',
+ *   and conditional is true when the key only appears inside {{#if}}/{{#unless}}/{{else}}/{{#each}} sections
+ */
+function extractPlaceholders(content, partials = new Map(), outerKeys = []) {
+    const found = new Map();
+    // Keys used inside loops, resolved once every top-level key is known
+    const loopUses = [];
+
+    const record = (key, kind, conditional) => {
+        const existing = found.get(key);
+        if (!existing) {
+            found.set(key, { key, kind, conditional });
+            return;
+        }
+        // A key used as a block argument takes precedence over plain usage
+        if (existing.kind === 'variable' && kind !== 'variable') existing.kind = kind;
+        // One unconditional use is enough to make the key always needed
+        existing.conditional = existing.conditional && conditional;
+    };
+
+    const visit = (nodes, conditional, partialPath = [], inLoop = false) => {
+        nodes.forEach(node => {
+            if (node.type === 'variable') {
+                if (LOOP_LOCALS.includes(node.key)) return;
+                if (inLoop) {
+                    loopUses.push({ key: node.key, kind: 'variable' });
+                } else {
+                    record(node.key, 'variable', conditional);
+                }
+                return;
+            }
+            if (node.type === 'text') return;
+            if (node.type === 'partial') {
+                // Unknown and self-including snippets are reported when validating or rendering
+                if (partials.has(node.key) && !partialPath.includes(node.key)) {
+                    visit(parse(partials.get(node.key)), conditional, [...partialPath, node.key], inLoop);
+                }
+                return;
+            }
+
+            const kind = node.type === 'each' ? 'list' : 'condition';
+            if (inLoop) {
+                loopUses.push({ key: node.key, kind });
+            } else {
+                record(node.key, kind, conditional);
+            }
+
+            visit(node.children, true, partialPath, inLoop || node.type === 'each');
+            visit(node.inverse, true, partialPath, inLoop);
+        });
+    };
+
+    visit(parse(content), false);
+
+    const knownKeys = new Set([...found.keys(), ...outerKeys]);
+    const knownHeads = new Set([...knownKeys].map(key => key.split('.')[0]));
+    loopUses
+        .filter(({ key }) => knownKeys.has(key) || knownHeads.has(key.split('.')[0]))
+        .forEach(({ key, kind }) => record(key, kind, true));
+
+    return [...found.values()];
+}
+
+/**
+ * Extract the keys of the snippets content includes directly
+ * @param {string} content - Template content
+ * @returns {string[]} Snippet keys, in order of first use
+ */
+function extractPartials(content) {
+    const keys = scanTags(content)
+        .filter(({ tag }) => tag && tag.kind === 'partial')
+        .map(({ tag }) => tag.key);
+    return [...new Set(keys)];
+}
+
+module.exports = {
+    scanTags,
+    parse,
+    render,
+    extractPlaceholders,
+    extractPartials,
+    isTruthy,
+    toList
+};
@@ -0,0 +1,112 @@
+const fs = require('fs');
+const path = require('path');
+const { extractDocxText } = require('./docxTemplate');
+const { createIssue } = require('./templateLinter');
+
+/**
+ * Read the text of uploaded template files (.docx, .html) so their content and
+ * placeholders don't have to be retyped
+ */
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+// Elements whose end starts a new line of text
+const BLOCK_ELEMENTS = 'p|div|h[1-6]|li|tr|table|section|article|header|footer|blockquote|pre|ul|ol';
+
+/**
+ * Decode HTML character references
+ * @param {string} text - HTML text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+        if (name[0] === '#') {
+            const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+            return String.fromCodePoint(code);
+        }
+        return HTML_ENTITIES[name.toLowerCase()] ?? entity;
+    });
+}
+
+/**
+ * Convert HTML to plain text, one line per block element
+ * @param {string} html - HTML document or fragment
+ * @returns {string}
+ */
+function htmlToText(html) {
+    const body = html.match(/<body[^>]*>([\s\S]*)<\/body>/i);
+
+    return decodeEntities((body ? body[1] : html)
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<(script|style|head|title)[^>]*>[\s\S]*?<\/\1>/gi, '')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(new RegExp(`</(${BLOCK_ELEMENTS})>`, 'gi'), '\n')
+        .replace(/<\/t[dh]>/gi, ' ')
+        .replace(/<[^>]+>/g, ''))
+        .split('\n')
+        .map(line => line.replace(/[ \t]+/g, ' ').trim())
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Find tags interrupted by markup, e.g. {{first_<b>name</b>}}
+ * @param {string} html - HTML source
+ * @param {string} text - Plain text of the HTML
+ * @returns {Array} [{ raw, index, length }] with index into text
+ */
+function findSplitHtmlTags(html, text) {
+    const splitTags = [];
+    let searchFrom = 0;
+
+    for (const match of html.matchAll(/\{\{((?:(?!\}\})[\s\S])*?)\}\}/g)) {
+        if (!match[1].includes('<')) continue;
+
+        const raw = decodeEntities(match[0].replace(/<[^>]+>/g, ''));
+        const index = text.indexOf(raw, searchFrom);
+        if (index !== -1) {
+            splitTags.push({ raw, index, length: raw.length });
+            searchFrom = index + raw.length;
+        }
+    }
+
+    return splitTags;
+}
+
+/**
+ * Extract the content of an uploaded template file
+ * @param {string} filePath - Uploaded file
+ * @param {string} originalName - Name the file was uploaded with
+ * @returns {Promise<Object|null>} { content, issues } where issues are lint-style warnings for split tags,
+ *   or null for files text cannot be read from (.doc)
+ */
+async function extractTemplateFile(filePath, originalName) {
+    const fileExt = path.extname(originalName).toLowerCase();
+    let content;
+    let splitTags;
+
+    if (fileExt === '.docx') {
+        ({ text: content, splitTags } = await extractDocxText(fs.readFileSync(filePath)));
+    } else if (fileExt === '.html') {
+        const html = fs.readFileSync(filePath, 'utf8');
+        content = htmlToText(html);
+        splitTags = findSplitHtmlTags(html, content);
+    } else {
+        return null;
+    }
+
+    const issues = splitTags.map(tag => {
+        const where = tag.part ? ` across ${tag.runs} runs in ${tag.part}` : ' by formatting markup';
+        return createIssue('warning', 'split_placeholder',
+            `Placeholder ${tag.raw} is split${where}; retype it without changing formatting midway`,
+            content, tag.index, tag.length);
+    });
+
+    return { content, issues };
+}
+
+module.exports = {
+    extractTemplateFile,
+    htmlToText
+};
@@ -0,0 +1,170 @@
+/**
+ * Template content linter
+ * Reports syntax problems with 1-based line/column positions so editors can underline them
+ *
+ * Each issue has the shape:
+ *   { severity: 'error'|'warning', code, message, line, column, endLine, endColumn }
+ */
+
+const templateEngine = require('./templateEngine');
+const { hasFormatter } = require('./formatters');
+
+/**
+ * Convert a character offset into a 1-based line and column
+ * @param {string} content - Template content
+ * @param {number} index - Character offset
+ * @returns {Object} { line, column }
+ */
+function positionAt(content, index) {
+    const before = content.slice(0, index);
+    const lines = before.split('\n');
+    return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+}
+
+/**
+ * Build an issue for a span of content
+ * @param {string} severity - 'error' or 'warning'
+ * @param {string} code - Machine-readable issue code
+ * @param {string} message - Human-readable description
+ * @param {string} content - Template content (omit for issues without a position)
+ * @param {number} index - Start offset of the span
+ * @param {number} length - Length of the span
+ * @param {Object} extra - Additional fields, e.g. { placeholder }
+ * @returns {Object} Issue
+ */
+function createIssue(severity, code, message, content, index, length, extra = {}) {
+    if (content === undefined || index === undefined || index === null) {
+        return { severity, code, message, line: null, column: null, endLine: null, endColumn: null, ...extra };
+    }
+
+    const start = positionAt(content, index);
+    const end = positionAt(content, index + length);
+    return {
+        severity,
+        code,
+        message,
+        line: start.line,
+        column: start.column,
+        endLine: end.line,
+        endColumn: end.column,
+        ...extra
+    };
+}
+
+/**
+ * Find braces that do not form a {{ ... }} tag, e.g. "{{name}", "{{name" or a stray "}}"
+ * @param {string} content - Template content
+ * @returns {Array} Issues
+ */
+function findBraceProblems(content) {
+    const issues = [];
+    let cursor = 0;
+
+    while (cursor < content.length) {
+        const open = content.indexOf('{{', cursor);
+        const close = content.indexOf('}}', cursor);
+        if (open === -1 && close === -1) break;
+
+        if (open === -1 || (close !== -1 && close < open)) {
+            issues.push(createIssue('error', 'unmatched_close', "Unexpected '}}' without a matching '{{'", content, close, 2));
+            cursor = close + 2;
+            continue;
+        }
+
+        let end = open + 2;
+        while (end < content.length && content[end] !== '{' && content[end] !== '}') end++;
+
+        if (content.startsWith('}}', end)) {
+            // Well-formed tag; its body is checked separately
+            cursor = end + 2;
+        } else if (content[end] === '}') {
+            const raw = content.slice(open, end + 1);
+            issues.push(createIssue('error', 'malformed_tag', `Malformed tag '${raw}': expected '}}' to close it`, content, open, raw.length));
+            cursor = end + 1;
+        } else {
+            // Reached another '{' or the end of the content; underline up to the end of the line
+            const lineEnd = content.indexOf('\n', open);
+            const spanEnd = Math.min(end, lineEnd === -1 ? content.length : lineEnd);
+            const raw = content.slice(open, spanEnd);
+            issues.push(createIssue('error', 'unclosed_tag', `Unclosed tag '${raw.trim()}': missing '}}'`, content, open, raw.length));
+            // Continue inside the braces so "{{{name}}}" still finds the inner tag
+            cursor = open + 1;
+        }
+    }
+
+    return issues;
+}
+
+/**
+ * Explain why a tag body is not template syntax
+ * @param {string} body - Text between the braces
+ * @returns {string} Reason
+ */
+function describeInvalidTag(body) {
+    const trimmed = body.trim();
+    const [head] = trimmed.split('|');
+
+    if (!trimmed) return 'tag is empty';
+    if (trimmed.startsWith('>')) return 'snippets must be written {{> snippet_key}}';
+    if (/^[#/]/.test(trimmed)) return 'blocks must be written {{#if key}}, {{#unless key}} or {{#each key}} and closed with {{/if}}, {{/unless}} or {{/each}}';
+    if (/\s/.test(head.trim())) return 'placeholder keys cannot contain spaces (use underscores, e.g. first_name)';
+    if (trimmed.includes('|')) return 'formatters must be written {{key | name}} or {{key | name:"argument"}}';
+    return 'placeholder keys may only contain letters, numbers, underscores and dots';
+}
+
+/**
+ * Lint template content
+ * @param {string} content - Template content
+ * @returns {Array} Issues, in content order
+ */
+function lintContent(content = '') {
+    const issues = findBraceProblems(content);
+
+    templateEngine.scanTags(content).forEach(({ raw, body, index, tag }) => {
+        if (!tag) {
+            issues.push(createIssue('error', 'invalid_tag', `Invalid tag '${raw}': ${describeInvalidTag(body)}`, content, index, raw.length));
+            return;
+        }
+        if (tag.kind === 'variable') {
+            tag.filters
+                .filter(filter => !hasFormatter(filter.name))
+                .forEach(filter => {
+                    issues.push(createIssue('error', 'unknown_formatter', `Unknown formatter '${filter.name}' in ${raw}`, content, index, raw.length));
+                });
+        }
+    });
+
+    // Block structure (unbalanced or mismatched {{#if}} / {{/if}}, stray {{else}})
+    try {
+        templateEngine.parse(content);
+    } catch (error) {
+        const issue = createIssue('error', 'block_structure', error.message, content, error.index, error.length || 0);
+        // parse() also stops at unknown formatters, which are already reported above
+        const reported = issues.some(other => other.code === 'unknown_formatter' &&
+            other.line === issue.line && other.column === issue.column);
+        if (!reported) {
+            issues.push(issue);
+        }
+    }
+
+    return issues.sort((a, b) => (a.line - b.line) || (a.column - b.column));
+}
+
+/**
+ * Locate the first tag that references a placeholder key
+ * @param {string} content - Template content
+ * @param {string} key - Placeholder key
+ * @returns {Object|null} { index, length } or null when the key is not used
+ */
+function findPlaceholderUsage(content, key) {
+    const usage = templateEngine.scanTags(content)
+        .find(({ tag }) => tag && (tag.kind === 'variable' || tag.kind === 'open') && tag.key === key);
+    return usage ? { index: usage.index, length: usage.raw.length } : null;
+}
+
+module.exports = {
+    lintContent,
+    createIssue,
+    findPlaceholderUsage,
+    positionAt
+};
@@ -0,0 +1,146 @@
+const { toMoment } = require('./formatters');
+const expressionEvaluator = require('./expressionEvaluator');
+const { isTruthy } = require('./templateEngine');
+
+/**
+ * Per-placeholder validation rules
+ *
+ * A placeholder's `validation` may contain:
+ *   pattern / patternMessage  - regular expression the whole value must match, e.g. "EMP\\d{5}"
+ *   min / max                 - bounds for number and currency values
+ *   minLength / maxLength     - bounds on text length
+ *   minDate / maxDate         - date window, as YYYY-MM-DD or an expression such as today() or addDays(today(), 90)
+ *   rules                     - cross-field checks [{ expression, message }], e.g. "relieving_date > joining_date"
+ */
+
+const ISO_DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const DISPLAY_DATE_FORMAT = 'MMMM D, YYYY';
+
+/**
+ * Check that a pattern compiles as a regular expression
+ * @param {string} pattern - Pattern source
+ * @returns {boolean}
+ */
+function isValidPattern(pattern) {
+    if (!pattern) return true;
+    try {
+        new RegExp(pattern);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Check that a date bound is an ISO date or a valid expression
+ * @param {string} bound - Date bound
+ * @returns {boolean}
+ */
+function isValidDateBound(bound) {
+    if (!bound || ISO_DATE_REGEX.test(bound)) return true;
+    try {
+        expressionEvaluator.compile(bound);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Check that a cross-field rule expression compiles
+ * @param {string} expression - Rule expression
+ * @returns {boolean}
+ */
+function isValidRuleExpression(expression) {
+    try {
+        expressionEvaluator.compile(expression);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Resolve a date bound against the placeholder values
+ * @param {string} bound - ISO date or expression
+ * @param {Object} values - Resolved placeholder values
+ * @returns {moment.Moment|null}
+ */
+function resolveDateBound(bound, values) {
+    const resolved = ISO_DATE_REGEX.test(bound) ? bound : expressionEvaluator.evaluate(bound, values);
+    return resolved === null || resolved === undefined || resolved === '' ? null : toMoment(resolved);
+}
+
+const toNumber = (value) => Number(String(value).replace(/,/g, '').trim());
+
+/**
+ * Check a provided value against its placeholder's validation rules
+ * @param {Object} placeholder - Placeholder configuration
+ * @param {*} value - Value to check (not blank)
+ * @param {Object} values - All resolved placeholder values, for date bounds and cross-field rules
+ * @returns {string[]} Error messages
+ */
+function checkRules(placeholder, value, values) {
+    const rules = placeholder.validation || {};
+    const { label } = placeholder;
+    const errors = [];
+    const text = String(value);
+
+    if (rules.pattern && !new RegExp(`^(?:${rules.pattern})$`).test(text.trim())) {
+        errors.push(rules.patternMessage || `${label} must match the format ${rules.pattern}`);
+    }
+
+    if (rules.minLength !== undefined && rules.minLength !== null && text.length < rules.minLength) {
+        errors.push(`${label} must be at least ${rules.minLength} characters`);
+    }
+    if (rules.maxLength !== undefined && rules.maxLength !== null && text.length > rules.maxLength) {
+        errors.push(`${label} must be at most ${rules.maxLength} characters`);
+    }
+
+    const number = toNumber(value);
+    if (!isNaN(number)) {
+        if (rules.min !== undefined && rules.min !== null && number < rules.min) {
+            errors.push(`${label} must be at least ${rules.min}`);
+        }
+        if (rules.max !== undefined && rules.max !== null && number > rules.max) {
+            errors.push(`${label} must be at most ${rules.max}`);
+        }
+    }
+
+    if (rules.minDate || rules.maxDate) {
+        const date = toMoment(value);
+        try {
+            const minDate = rules.minDate && resolveDateBound(rules.minDate, values);
+            const maxDate = rules.maxDate && resolveDateBound(rules.maxDate, values);
+            if (date && minDate && date.isBefore(minDate, 'day')) {
+                errors.push(`${label} must be on or after ${minDate.format(DISPLAY_DATE_FORMAT)}`);
+            }
+            if (date && maxDate && date.isAfter(maxDate, 'day')) {
+                errors.push(`${label} must be on or before ${maxDate.format(DISPLAY_DATE_FORMAT)}`);
+            }
+        } catch (error) {
+            errors.push(`${label} date window could not be checked: ${error.message}`);
+        }
+    }
+
+    (rules.rules || []).forEach(rule => {
+        try {
+            const result = expressionEvaluator.evaluate(rule.expression, values);
+            // null means an input is missing; required checks report that separately
+            if (result !== null && result !== undefined && !isTruthy(result)) {
+                errors.push(rule.message);
+            }
+        } catch (error) {
+            errors.push(`${label} rule could not be checked: ${error.message}`);
+        }
+    });
+
+    return errors;
+}
+
+module.exports = {
+    checkRules,
+    isValidPattern,
+    isValidDateBound,
+    isValidRuleExpression
+};
@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+
+/**
+ * Public document verification
+ * Generated PDFs carry a QR code and a short verification code. Together with the
+ * document ID, the code opens GET /verify/:documentId, which shows a few facts about
+ * the document and never its data.
+ */
+
+// No 0/O or 1/I, so codes read back from paper are unambiguous
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+/**
+ * Create a random verification code, e.g. "K7QM-4XZP"
+ * @returns {string} Verification code
+ */
+function createVerificationCode() {
+    const chars = Array.from(crypto.randomBytes(CODE_LENGTH), byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]);
+    return `${chars.slice(0, 4).join('')}-${chars.slice(4).join('')}`;
+}
+
+/**
+ * Normalize a verification code as typed by a person: case, spaces and dashes are ignored
+ * @param {string} code - Code
+ * @returns {string} Code in canonical "XXXX-XXXX" form, or '' when it cannot be one
+ */
+function normalizeVerificationCode(code) {
+    const chars = String(code || '').toUpperCase().replace(/[\s-]/g, '');
+    return chars.length === CODE_LENGTH ? `${chars.slice(0, 4)}-${chars.slice(4)}` : '';
+}
+
+/**
+ * Get the base URL verification links point to
+ * Set PUBLIC_URL when the server is reached through another host name, e.g. behind a proxy
+ * @param {Object} req - Express request, used when PUBLIC_URL is not set
+ * @returns {string} Base URL without a trailing slash
+ */
+function getPublicBaseUrl(req) {
+    return (process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+}
+
+/**
+ * Build the verification link printed on a document
+ * @param {string} baseUrl - Public base URL
+ * @param {string} documentId - Document ID, e.g. "DOC-20240115-01234"
+ * @param {string} code - Verification code
+ * @returns {string} URL
+ */
+function getVerificationUrl(baseUrl, documentId, code) {
+    return `${baseUrl}/verify/${encodeURIComponent(documentId)}?code=${encodeURIComponent(code)}`;
+}
+
+/**
+ * Render a QR code for a verification link
+ * @param {string} url - Verification URL
+ * @returns {Promise<string>} PNG data URL
+ */
+function createQRCode(url) {
+    return QRCode.toDataURL(url, { errorCorrectionLevel: 'M', margin: 1, width: 240 });
+}
+
+/**
+ * Hash generated file content
+ * @param {Buffer} buffer - File content
+ * @returns {string} SHA-256, hex encoded
+ */
+function hashContent(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Find what a hash supplied by someone holding a document matches
+ * @param {Object} document - GeneratedDoc with contentHash and issuedCopies
+ * @param {string} hash - SHA-256 of their copy, hex encoded
+ * @returns {Object|null} { copy: false } for the original, { copy: true, issuedAt } for a
+ *   watermarked copy issued on download, or null when it matches neither
+ */
+function matchContentHash(document, hash) {
+    const value = String(hash || '').trim().toLowerCase();
+    if (!value) return null;
+    if (value === document.contentHash) return { copy: false };
+
+    const issued = (document.issuedCopies || []).find(copy => copy.contentHash === value);
+    return issued ? { copy: true, issuedAt: issued.issuedAt } : null;
+}
+
+/**
+ * Mask a person's name, keeping the first letter of each word, e.g. "Jane Doe" -> "J*** D***"
+ * @param {string} name - Name
+ * @returns {string|null} Masked name
+ */
+function maskName(name) {
+    if (typeof name !== 'string' || !name.trim()) return null;
+    return name.trim().split(/\s+/).map(word => `${word.charAt(0).toUpperCase()}***`).join(' ');
+}
+
+/**
+ * Escape text for HTML
+ * @param {*} value - Text
+ * @returns {string} HTML
+ */
+function escapeHTML(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Describe the digital signature of a stored PDF for the verification page
+ * @param {Object} signature - Signature check, see routes/verifyRoutes
+ * @returns {string} Description
+ */
+function describeSignature(signature) {
+    if (!signature.signed) return 'Not signed';
+    if (!signature.valid) return `Not valid: ${signature.problems.join('; ')}`;
+    const signedAt = signature.signedAt ? ` on ${new Date(signature.signedAt).toDateString()}` : '';
+    return `Valid, signed by ${signature.signerName || 'the organization'}${signedAt}`;
+}
+
+/**
+ * Render the verification page shown to people who scan a document's QR code
+ * @param {Object|null} result - Verification result, or null when the document could not be verified
+ * @param {string} message - Explanation shown when there is no result
+ * @returns {string} HTML document
+ */
+function renderVerificationPage(result, message = '') {
+    let body;
+    if (!result) {
+        body = `
+            <h1 class="invalid">Document not verified</h1>
+            <p>${escapeHTML(message)}</p>`;
+    } else {
+        const { contentHash } = result;
+        const fileCheck = contentHash.storedFileMatches === null ? 'The stored copy is no longer kept'
+            : contentHash.storedFileMatches ? 'Matches the document as issued' : 'Does not match the document as issued';
+        const rows = [
+            ['Document ID', result.documentId],
+            ['Document type', result.documentType],
+            ['Issued to', result.recipient || 'Not recorded'],
+            ['Issued on', new Date(result.issuedAt).toDateString()],
+            ['Content hash (SHA-256)', contentHash.value || 'Not recorded'],
+            ['Stored copy', fileCheck]
+        ];
+        if (contentHash.issuedCopies > 0) {
+            rows.push(['Watermarked copies issued', `${contentHash.issuedCopies} (each has its own hash)`]);
+        }
+        if (contentHash.providedHashMatches !== undefined) {
+            const copyIssuedAt = contentHash.providedHashIssuedAt ? ` issued on ${new Date(contentHash.providedHashIssuedAt).toDateString()}` : '';
+            rows.push(['Hash you supplied', !contentHash.providedHashMatches ? 'Does not match'
+                : contentHash.providedHashMatchesCopy ? `Matches a watermarked copy${copyIssuedAt}` : 'Matches the original']);
+        }
+        if (result.signature) {
+            rows.push(['Digital signature', describeSignature(result.signature)]);
+        }
+
+        body = `
+            <h1 class="${result.valid ? 'valid' : 'invalid'}">${result.valid ? 'Valid document' : 'Document is not valid'}</h1>
+            <table>
+                ${rows.map(([label, value]) => `<tr><th>${escapeHTML(label)}</th><td>${escapeHTML(value)}</td></tr>`).join('')}
+            </table>`;
+    }
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>Document Verification</title>
+    <style>
+        body { font-family: Arial, sans-serif; color: #333; max-width: 640px; margin: 40px auto; padding: 0 16px; }
+        h1 { font-size: 22px; }
+        .valid { color: #1e8449; }
+        .invalid { color: #c0392b; }
+        table { border-collapse: collapse; width: 100%; }
+        th, td { text-align: left; padding: 8px; border-bottom: 1px solid #ddd; vertical-align: top; }
+        td { word-break: break-all; }
+    </style>
+</head>
+<body>
+    ${body}
+</body>
+</html>`;
+}
+
+module.exports = {
+    createVerificationCode,
+    normalizeVerificationCode,
+    getPublicBaseUrl,
+    getVerificationUrl,
+    createQRCode,
+    hashContent,
+    matchContentHash,
+    maskName,
+    renderVerificationPage
+};
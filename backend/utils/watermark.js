@@ -0,0 +1,172 @@
+const { parseImageDataUrl, getImageSize, MAX_IMAGE_BYTES } = require('./imageData');
+
+/**
+ * Watermark rules
+ * A watermark is a line of text or an image drawn faintly on every page of a PDF or
+ * DOCX file, e.g. "DRAFT" on previews or "COPY" on re-downloads. Rules are given per
+ * request as text ("DRAFT"), an object or a list of them, and some are added by policy.
+ */
+
+const POSITIONS = ['center', 'top', 'bottom'];
+const COLOR_REGEX = /^#[0-9a-fA-F]{6}$/;
+// Image formats both the PDF and DOCX watermarkers can embed
+const IMAGE_TYPES = ['image/png', 'image/jpeg'];
+const MAX_TEXT_LENGTH = 40;
+const MAX_WATERMARKS = 3;
+
+const DEFAULTS = {
+    opacity: 0.15,
+    // Degrees, counterclockwise: 45 runs from bottom left to top right
+    angle: 45,
+    position: 'center',
+    color: '#808080'
+};
+
+// Share of the page a watermark may cover: centred ones the middle of the page,
+// top and bottom ones a band along that edge
+const AREA_WIDTH = 0.8;
+const CENTER_HEIGHT = 0.8;
+const BAND_HEIGHT = 0.12;
+// Tallest text is drawn, in points
+const MAX_TEXT_HEIGHT = 120;
+const POINTS_PER_PIXEL = 0.75;
+
+// Added to every download of a document after the first, so only the first copy looks like the original
+const COPY_WATERMARK = { text: 'COPY' };
+
+/**
+ * Check a single watermark rule and fill in the defaults
+ * @param {*} rule - "TEXT" or { text | image, opacity, angle, position, color }
+ * @param {Array} errors - Problems found are added here
+ * @returns {Object|null} { text, image, opacity, angle, position, color } or null when invalid
+ */
+function normalizeRule(rule, errors) {
+    if (typeof rule === 'string') rule = { text: rule };
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        errors.push('Watermark must be text or an object with text or an image');
+        return null;
+    }
+
+    const count = errors.length;
+    const text = typeof rule.text === 'string' ? rule.text.replace(/\s+/g, ' ').trim() : '';
+    let image = null;
+
+    if (Boolean(text) === Boolean(rule.image)) {
+        errors.push('Watermark must have either text or an image');
+    } else if (text.length > MAX_TEXT_LENGTH) {
+        errors.push(`Watermark text cannot exceed ${MAX_TEXT_LENGTH} characters`);
+    } else if (rule.image) {
+        const parsed = parseImageDataUrl(rule.image);
+        const size = parsed && getImageSize(parsed.buffer);
+        if (!parsed || !IMAGE_TYPES.includes(parsed.mimeType) || !size || parsed.buffer.length > MAX_IMAGE_BYTES) {
+            errors.push(`Watermark image must be a PNG or JPEG data URL of at most ${MAX_IMAGE_BYTES / (1024 * 1024)}MB`);
+        } else {
+            image = { buffer: parsed.buffer, mimeType: parsed.mimeType, size };
+        }
+    }
+
+    const opacity = rule.opacity === undefined ? DEFAULTS.opacity : Number(rule.opacity);
+    if (!(opacity > 0 && opacity <= 1)) {
+        errors.push('Watermark opacity must be a number above 0 and at most 1');
+    }
+    const angle = rule.angle === undefined ? DEFAULTS.angle : Number(rule.angle);
+    if (!(Math.abs(angle) <= 180)) {
+        errors.push('Watermark angle must be between -180 and 180 degrees');
+    }
+    const position = rule.position === undefined ? DEFAULTS.position : rule.position;
+    if (!POSITIONS.includes(position)) {
+        errors.push(`Watermark position must be one of ${POSITIONS.join(', ')}`);
+    }
+    const color = rule.color === undefined ? DEFAULTS.color : rule.color;
+    if (!COLOR_REGEX.test(color)) {
+        errors.push('Watermark colour must be a hex value such as #808080');
+    }
+
+    if (errors.length > count) return null;
+    return { text: text || null, image, opacity, angle, position, color };
+}
+
+/**
+ * Read the watermark rules of a request
+ * @param {*} value - Text, a rule object, a list of them, or the JSON of one (from query strings and forms)
+ * @returns {Object} { watermarks, errors }
+ */
+function parseWatermarks(value) {
+    if (value === undefined || value === null || value === '') {
+        return { watermarks: [], errors: [] };
+    }
+
+    let rules = value;
+    if (typeof value === 'string' && /^\s*[[{]/.test(value)) {
+        try {
+            rules = JSON.parse(value);
+        } catch (error) {
+            return { watermarks: [], errors: ['Invalid watermark format'] };
+        }
+    }
+    rules = Array.isArray(rules) ? rules : [rules];
+
+    if (rules.length > MAX_WATERMARKS) {
+        return { watermarks: [], errors: [`At most ${MAX_WATERMARKS} watermarks can be applied`] };
+    }
+
+    const errors = [];
+    const watermarks = rules.map(rule => normalizeRule(rule, errors));
+    return errors.length > 0 ? { watermarks: [], errors } : { watermarks, errors };
+}
+
+/**
+ * Get the watermarks for a download: those requested, plus "COPY" once the document
+ * has been downloaded before
+ * @param {Object} document - GeneratedDoc, before this download is recorded
+ * @param {Array} requested - Rules from parseWatermarks
+ * @returns {Array} Rules
+ */
+function getDownloadWatermarks(document, requested = []) {
+    if (document.downloadCount > 0) {
+        return [...requested, normalizeRule(COPY_WATERMARK, [])];
+    }
+    return requested;
+}
+
+/**
+ * Work out the size and place of a watermark on a page
+ * The watermark is made as large as fits its part of the page once rotated; images are never enlarged
+ * @param {Object} watermark - Rule
+ * @param {Object} area - { width, height } of the page or text area, in points
+ * @param {number} aspectRatio - Width divided by height of the unrotated watermark
+ * @returns {Object} { width, height, centerX, centerY } of the unrotated watermark, in points
+ *   from the area's top left corner
+ */
+function layoutWatermark(watermark, area, aspectRatio) {
+    const maxWidth = area.width * AREA_WIDTH;
+    const maxHeight = area.height * (watermark.position === 'center' ? CENTER_HEIGHT : BAND_HEIGHT);
+
+    // A w x h box turned by the angle covers (w.cos + h.sin) x (w.sin + h.cos)
+    const radians = watermark.angle * Math.PI / 180;
+    const cos = Math.abs(Math.cos(radians));
+    const sin = Math.abs(Math.sin(radians));
+    let width = Math.min(maxWidth / (cos + sin / aspectRatio), maxHeight / (sin + cos / aspectRatio));
+    if (watermark.text) {
+        width = Math.min(width, MAX_TEXT_HEIGHT * aspectRatio);
+    } else {
+        width = Math.min(width, watermark.image.size.width * POINTS_PER_PIXEL);
+    }
+
+    const centerY = watermark.position === 'top' ? maxHeight / 2 :
+                    watermark.position === 'bottom' ? area.height - maxHeight / 2 :
+                    area.height / 2;
+
+    return {
+        width,
+        height: width / aspectRatio,
+        centerX: area.width / 2,
+        centerY
+    };
+}
+
+module.exports = {
+    parseWatermarks,
+    getDownloadWatermarks,
+    layoutWatermark
+};
@@ -0,0 +1,61 @@
+const fs = require('fs');
+require('dotenv').config();
+
+const { verifyPDFSignature } = require('./utils/pdfSigner');
+
+// Print the signature report of one PDF; returns whether the signature is valid
+const reportFile = (filePath) => {
+  const result = verifyPDFSignature(fs.readFileSync(filePath));
+
+  console.log(`\n📄 ${filePath}`);
+  if (!result.signed) {
+    console.log('❌ Not signed');
+    return false;
+  }
+
+  console.log(result.valid ? '✅ Signature is valid' : '❌ Signature is NOT valid');
+  result.problems.forEach(problem => console.log(`   - ${problem}`));
+  if (result.signerName) console.log(`Signer:      ${result.signerName}`);
+  if (result.reason) console.log(`Reason:      ${result.reason}`);
+  if (result.location) console.log(`Location:    ${result.location}`);
+  if (result.signedAt) console.log(`Signed at:   ${result.signedAt.toISOString()}`);
+  if (result.certificate) {
+    const { certificate } = result;
+    console.log(`Certificate: ${certificate.subject} (issued by ${certificate.issuer})`);
+    console.log(`Valid:       ${certificate.validFrom.toISOString()} to ${certificate.validTo.toISOString()}`);
+    console.log(`SHA-256:     ${certificate.fingerprint}`);
+    if (certificate.isOrganizationCertificate !== null) {
+      console.log(`Organization certificate: ${certificate.isOrganizationCertificate ? 'yes' : 'no'}`);
+    }
+  }
+  return result.valid;
+};
+
+// Check the signatures of the PDFs given on the command line
+// Exits with 1 when any of them is unsigned, invalid or unreadable
+const runVerification = (filePaths) => {
+  if (filePaths.length === 0) {
+    console.log('Usage: npm run verify-signature -- <file.pdf> [more.pdf ...]');
+    process.exit(1);
+  }
+
+  let allValid = true;
+  filePaths.forEach(filePath => {
+    try {
+      allValid = reportFile(filePath) && allValid;
+    } catch (error) {
+      console.error(`\n❌ ${filePath}: ${error.message}`);
+      allValid = false;
+    }
+  });
+  process.exit(allValid ? 0 : 1);
+};
+
+// Run verification if this file is executed directly
+if (require.main === module) {
+  runVerification(process.argv.slice(2));
+}
+
+module.exports = {
+  runVerification
+};
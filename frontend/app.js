@@ -192,6 +192,7 @@ class DocGenApp {
                 break;
             case 'templates':
                 this.loadTemplates();
+                this.loadTemplateTypeOptions();
                 break;
             case 'generate-single':
                 this.loadTemplateOptions();
@@ -333,6 +334,7 @@ class DocGenApp {
         const name = document.getElementById('templateName').value;
         const type = document.getElementById('templateType').value;
         const content = document.getElementById('templateContent').value;
+        const contentFormat = document.getElementById('templateContentFormat').value;
         const description = document.getElementById('templateDescription').value;
         
         if (!name || !type || !content) {
@@ -347,7 +349,7 @@ class DocGenApp {
                     'Authorization': `Bearer ${this.token}`,
                     'Content-Type': 'application/json'
                 },
-                body: JSON.stringify({ name, type, content, description })
+                body: JSON.stringify({ name, type, content, contentFormat, description })
             });
             
             const result = await response.json();
@@ -375,6 +377,30 @@ class DocGenApp {
         }
     }
     
+    async loadTemplateTypeOptions() {
+        try {
+            const response = await fetch(`${this.apiBase}/templates/types/list`, {
+                headers: {
+                    'Authorization': `Bearer ${this.token}`
+                }
+            });
+            
+            if (response.ok) {
+                const result = await response.json();
+                const select = document.getElementById('templateType');
+                const selected = select.value;
+                
+                select.innerHTML = '<option value="">Select Type</option>';
+                result.data.templateTypes.forEach(type => {
+                    select.innerHTML += `<option value="${type.value}">${type.label}</option>`;
+                });
+                select.value = selected;
+            }
+        } catch (error) {
+            console.error('Failed to load template types:', error);
+        }
+    }
+    
     async loadTemplateOptions() {
         try {
             const response = await fetch(`${this.apiBase}/templates`, {
@@ -452,7 +478,13 @@ class DocGenApp {
                 const placeholders = template.content.match(/{{(\w+)}}/g);
                 const fieldsContainer = document.getElementById('singleDocFields');
                 
-                if (placeholders) {
+                // Configured placeholders carry a type; computed and nested-object keys need no input
+                const configured = (template.placeholders || [])
+                    .filter(placeholder => !placeholder.expression && placeholder.type !== 'object');
+                
+                if (configured.length > 0) {
+                    fieldsContainer.innerHTML = configured.map(placeholder => this.renderPlaceholderField(placeholder)).join('');
+                } else if (placeholders) {
                     const uniquePlaceholders = [...new Set(placeholders.map(p => p.replace(/[{}]/g, '')))];
                     fieldsContainer.innerHTML = uniquePlaceholders.map(field => `
                         <div class="mb-3">
@@ -577,13 +609,7 @@ class DocGenApp {
         }
         
         // Collect form data
-        const formData = new FormData(document.getElementById('singleDocForm'));
-        const data = {};
-        for (let [key, value] of formData.entries()) {
-            if (key !== 'templateId') {
-                data[key] = value;
-            }
-        }
+        const data = await this.collectFieldValues(document.getElementById('singleDocFields'));
         
         this.showLoading(true);
         
@@ -883,6 +909,7 @@ class DocGenApp {
                 document.getElementById('templateName').value = template.name;
                 document.getElementById('templateType').value = template.type;
                 document.getElementById('templateContent').value = template.content;
+                document.getElementById('templateContentFormat').value = template.contentFormat || 'text';
                 document.getElementById('templateDescription').value = template.description || '';
                 
                 // Show modal
@@ -968,6 +995,87 @@ class DocGenApp {
         }, 5000);
     }
     
+    renderPlaceholderField(placeholder) {
+        const { key, label, type, required, defaultValue = '', options = [], currency = 'INR' } = placeholder;
+        const requiredAttr = required ? 'required' : '';
+        const inputTypes = { number: 'number', date: 'date', email: 'email', phone: 'tel' };
+        let input;
+        
+        switch (type) {
+            case 'multiline':
+                input = `<textarea class="form-control" name="${key}" rows="4" ${requiredAttr}>${defaultValue}</textarea>`;
+                break;
+            case 'select':
+                input = `
+                    <select class="form-select" name="${key}" ${requiredAttr}>
+                        <option value="">Select ${label}</option>
+                        ${options.map(option => `
+                            <option value="${option}" ${option === defaultValue ? 'selected' : ''}>${option}</option>
+                        `).join('')}
+                    </select>
+                `;
+                break;
+            case 'boolean':
+                return `
+                    <div class="mb-3 form-check">
+                        <input type="checkbox" class="form-check-input" id="field_${key}" name="${key}" data-type="boolean"
+                               ${['true', 'yes', 'y', '1'].includes(String(defaultValue).toLowerCase()) ? 'checked' : ''}>
+                        <label class="form-check-label" for="field_${key}">${label}</label>
+                    </div>
+                `;
+            case 'currency':
+                input = `
+                    <div class="input-group">
+                        <span class="input-group-text">${currency}</span>
+                        <input type="number" class="form-control" name="${key}" step="0.01" value="${defaultValue}" ${requiredAttr}>
+                    </div>
+                `;
+                break;
+            case 'image':
+                input = `<input type="file" class="form-control" name="${key}" data-type="image"
+                                accept="image/png,image/jpeg,image/gif" ${requiredAttr}>`;
+                break;
+            default:
+                input = `<input type="${inputTypes[type] || 'text'}" class="form-control" name="${key}"
+                                value="${defaultValue}" placeholder="Enter ${label}" ${requiredAttr}>`;
+        }
+        
+        return `
+            <div class="mb-3">
+                <label class="form-label">${label}</label>
+                ${input}
+            </div>
+        `;
+    }
+    
+    readFileAsDataURL(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(file);
+        });
+    }
+    
+    async collectFieldValues(container) {
+        const data = {};
+        
+        for (const field of container.querySelectorAll('[name]')) {
+            if (field.dataset.type === 'boolean') {
+                data[field.name] = field.checked;
+            } else if (field.dataset.type === 'image') {
+                // Images are sent as data URLs
+                if (field.files.length > 0) {
+                    data[field.name] = await this.readFileAsDataURL(field.files[0]);
+                }
+            } else {
+                data[field.name] = field.value;
+            }
+        }
+        
+        return data;
+    }
+    
     formatFieldLabel(field) {
         return field.replace(/_/g, ' ')
                    .replace(/\b\w/g, l => l.toUpperCase());
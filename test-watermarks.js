@@ -0,0 +1,239 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const forge = require('node-forge');
+const JSZip = require('jszip');
+const { PDFDocument, PDFArray, PDFName } = require('pdf-lib');
+const { Document, Packer, Paragraph, Header } = require('docx');
+
+// Checks watermarks without a server, database or browser: documents are built here,
+// watermarked by the same functions generation and download use, and read back.
+// PDFs are signed with a throwaway certificate, so the signing path is covered too.
+
+// 8x8 red PNG
+const IMAGE = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAgAAAAICAYAAADED76LAAAAEklEQVR4nGM4ISf3Hx9mGBkKAFNGgMHUn6b2AAAAAElFTkSuQmCC';
+const SIGNING_REASON = 'Experience letter issued by HR';
+
+let failures = 0;
+
+const check = (condition, message) => {
+  if (condition) {
+    console.log(`✅ ${message}`);
+  } else {
+    failures += 1;
+    console.log(`❌ ${message}`);
+  }
+};
+
+// Create a self-signed PKCS#12 keystore and point PDF signing at it
+const createKeystore = (directory) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const keys = {
+    privateKey: forge.pki.privateKeyFromPem(privateKey.export({ type: 'pkcs1', format: 'pem' })),
+    publicKey: forge.pki.publicKeyFromPem(publicKey.export({ type: 'spki', format: 'pem' }))
+  };
+
+  const certificate = forge.pki.createCertificate();
+  certificate.publicKey = keys.publicKey;
+  certificate.serialNumber = '01';
+  certificate.validity.notBefore = new Date(Date.now() - 24 * 60 * 60 * 1000);
+  certificate.validity.notAfter = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  const attributes = [{ name: 'commonName', value: 'DocGen Watermark Check' }];
+  certificate.setSubject(attributes);
+  certificate.setIssuer(attributes);
+  certificate.sign(keys.privateKey, forge.md.sha256.create());
+
+  const p12 = forge.pkcs12.toPkcs12Asn1(keys.privateKey, [certificate], 'check', { algorithm: '3des' });
+  const keystorePath = path.join(directory, 'check.p12');
+  fs.writeFileSync(keystorePath, Buffer.from(forge.asn1.toDer(p12).getBytes(), 'binary'));
+
+  process.env.PDF_SIGNING_KEYSTORE = keystorePath;
+  process.env.PDF_SIGNING_PASSPHRASE = 'check';
+};
+
+// Decoded content streams of every page, joined per page
+const readPageContents = async (buffer) => {
+  const pdf = await PDFDocument.load(buffer);
+  return pdf.getPages().map(page => {
+    const contents = page.node.Contents();
+    const streams = contents instanceof PDFArray
+      ? contents.asArray().map(ref => pdf.context.lookup(ref))
+      : [contents];
+    return streams.map(stream => {
+      const filter = stream.dict.get(PDFName.of('Filter'));
+      const bytes = Buffer.from(stream.getContents());
+      return (filter && filter.toString() === '/FlateDecode' ? zlib.inflateSync(bytes) : bytes).toString('latin1');
+    }).join('\n');
+  });
+};
+
+// Count the images a PDF's pages can draw
+const countPageImages = async (buffer) => {
+  const pdf = await PDFDocument.load(buffer);
+  return pdf.getPages().map(page => {
+    const xObjects = page.node.Resources().lookup(PDFName.of('XObject'));
+    if (!xObjects) return 0;
+    return xObjects.keys()
+      .filter(name => xObjects.lookup(name).dict.get(PDFName.of('Subtype')) === PDFName.of('Image'))
+      .length;
+  });
+};
+
+// pdf-lib writes standard-font text as hex strings
+const hexText = (text) => `<${Buffer.from(text, 'latin1').toString('hex').toUpperCase()}>`;
+
+const countSignatures = (buffer) => buffer.toString('latin1').split('/ByteRange [').length - 1;
+
+const createPDF = async () => {
+  const pdf = await PDFDocument.create();
+  pdf.addPage([595, 842]).drawText('Experience letter', { x: 72, y: 770 });
+  pdf.addPage([595, 842]).drawText('Page two', { x: 72, y: 770 });
+  return Buffer.from(await pdf.save());
+};
+
+const createDOCX = (withHeader) => Packer.toBuffer(new Document({
+  sections: [{
+    headers: withHeader ? { default: new Header({ children: [new Paragraph('Letterhead')] }) } : undefined,
+    children: [new Paragraph('Experience letter')]
+  }]
+}));
+
+// Test 1: Watermark rules
+const testRules = (parseWatermarks) => {
+  console.log('\n📏 Testing watermark rules...');
+
+  const { watermarks } = parseWatermarks('DRAFT');
+  check(watermarks.length === 1 && watermarks[0].text === 'DRAFT' && watermarks[0].opacity === 0.15 &&
+    watermarks[0].angle === 45 && watermarks[0].position === 'center', 'Text is a centred rule with the defaults');
+
+  const fromJson = parseWatermarks(JSON.stringify([{ text: 'CONFIDENTIAL', position: 'top', color: '#c0392b' }, { image: IMAGE }]));
+  check(fromJson.errors.length === 0 && fromJson.watermarks.length === 2 && Boolean(fromJson.watermarks[1].image),
+    'A JSON list of text and image rules is read');
+
+  check(parseWatermarks({ text: 'X', opacity: 2 }).errors.length === 1, 'Opacity above 1 is rejected');
+  check(parseWatermarks({ image: 'data:image/gif;base64,R0lGODlhAQABAAAAACw=' }).errors.length === 1, 'GIF images are rejected');
+  check(parseWatermarks(['A', 'B', 'C', 'D']).errors.length === 1, 'More than three watermarks are rejected');
+};
+
+// Test 2: COPY policy
+const testCopyPolicy = (parseWatermarks, getDownloadWatermarks) => {
+  console.log('\n📎 Testing the COPY policy...');
+
+  const requested = parseWatermarks('CONFIDENTIAL').watermarks;
+  check(getDownloadWatermarks({ downloadCount: 0 }, requested).map(w => w.text).join() === 'CONFIDENTIAL',
+    'The first download only gets the requested watermarks');
+  check(getDownloadWatermarks({ downloadCount: 1 }, requested).map(w => w.text).join() === 'CONFIDENTIAL,COPY',
+    'Later downloads are marked COPY');
+  check(getDownloadWatermarks({ downloadCount: 3 }).map(w => w.text).join() === 'COPY',
+    'COPY is added without requested watermarks');
+};
+
+// Test 3: PDF watermarks and signing
+const testPDF = async ({ parseWatermarks, getDownloadWatermarks, watermarkPDF, signPDF, verifyPDFSignature, hashContent, matchContentHash }) => {
+  console.log('\n📄 Testing PDF watermarks...');
+
+  const base = await createPDF();
+  const text = await watermarkPDF(base, parseWatermarks({ text: 'DRAFT', opacity: 0.3 }).watermarks);
+  const textContents = await readPageContents(text);
+  check(textContents.length === 2 && textContents.every(content => content.includes(hexText('DRAFT'))),
+    'Text watermark is drawn on every page');
+
+  const image = await watermarkPDF(base, parseWatermarks({ image: IMAGE, position: 'bottom', angle: 0 }).watermarks);
+  check((await countPageImages(image)).every(count => count === 1), 'Image watermark is drawn on every page');
+
+  // Generation: rendered, watermarked, then signed for signing-enabled types
+  const generated = await signPDF(await watermarkPDF(base, parseWatermarks('DRAFT').watermarks), { reason: SIGNING_REASON });
+  const generatedSignature = verifyPDFSignature(generated);
+  check(generatedSignature.signed && generatedSignature.valid, 'A watermarked PDF can be signed');
+
+  // Download after the first: the stored signed PDF is marked COPY in memory
+  const copy = await watermarkPDF(generated, getDownloadWatermarks({ downloadCount: 1 }));
+  const copySignature = verifyPDFSignature(copy);
+  check((await readPageContents(copy)).every(content => content.includes(hexText('COPY'))), 'Re-download is marked COPY');
+  check(copySignature.signed && copySignature.valid, `The COPY is signed again (${copySignature.problems.join('; ') || 'valid'})`);
+  check(copySignature.reason === SIGNING_REASON, 'The COPY keeps the signing reason');
+  check(countSignatures(copy) === 1, 'The old signature is removed from the COPY');
+  check(hashContent(copy) !== hashContent(generated), 'The COPY has its own content hash');
+
+  // The download route records the COPY's hash, so verification recognises it
+  const document = {
+    contentHash: hashContent(generated),
+    issuedCopies: [{ contentHash: hashContent(copy), issuedAt: new Date() }]
+  };
+  const copyMatch = matchContentHash(document, hashContent(copy).toUpperCase());
+  check(Boolean(copyMatch) && copyMatch.copy, 'Verification recognises the recorded COPY hash');
+  check(matchContentHash(document, hashContent(generated)).copy === false, 'Verification still matches the original');
+  check(matchContentHash(document, hashContent(base)) === null, 'Verification rejects unrelated content');
+
+  const again = await watermarkPDF(copy, getDownloadWatermarks({ downloadCount: 2 }));
+  check(verifyPDFSignature(again).valid && countSignatures(again) === 1, 'A COPY can be watermarked and signed again');
+};
+
+// Test 4: DOCX watermarks
+const testDOCX = async ({ parseWatermarks, watermarkDOCX }) => {
+  console.log('\n📝 Testing DOCX watermarks...');
+
+  const rules = parseWatermarks([{ text: 'CONFIDENTIAL', position: 'top' }, { image: IMAGE, opacity: 0.4 }]).watermarks;
+
+  for (const withHeader of [false, true]) {
+    const label = withHeader ? 'with a header' : 'without a header';
+    const zip = await JSZip.loadAsync(await watermarkDOCX(await createDOCX(withHeader), rules));
+    const headerNames = Object.keys(zip.files).filter(name => /^word\/header[^/]*\.xml$/.test(name));
+    const headers = await Promise.all(headerNames.map(name => zip.file(name).async('string')));
+    const documentXml = await zip.file('word/document.xml').async('string');
+    const contentTypes = await zip.file('[Content_Types].xml').async('string');
+
+    check(/<w:headerReference\b[^>]*w:type="default"/.test(documentXml), `Document ${label} has a default header`);
+    check(headers.length > 0 && headers.every(xml => xml.includes('string="CONFIDENTIAL"')), `Text watermark is in every header (${label})`);
+    check(headers.every(xml => xml.includes('<a:alphaModFix amt="40000"/>')), `Image watermark keeps its opacity (${label})`);
+    check(Boolean(zip.file('word/media/docgen-watermark1.png')) && /Extension="png"/i.test(contentTypes), `Image part is stored (${label})`);
+
+    const rels = await Promise.all(headerNames.map(name => {
+      const relsFile = zip.file(name.replace('word/', 'word/_rels/') + '.rels');
+      return relsFile ? relsFile.async('string') : '';
+    }));
+    check(rels.every(xml => xml.includes('Target="media/docgen-watermark1.png"')), `Headers link the image (${label})`);
+  }
+};
+
+// Main test runner
+const runWatermarkTests = async () => {
+  console.log('🧪 Starting watermark checks...');
+  console.log('='.repeat(50));
+
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'docgen-watermarks-'));
+  try {
+    createKeystore(directory);
+
+    const { parseWatermarks, getDownloadWatermarks } = require('./backend/utils/watermark');
+    const { watermarkPDF } = require('./backend/utils/pdfGenerator');
+    const { watermarkDOCX } = require('./backend/utils/docxGenerator');
+    const { signPDF, verifyPDFSignature } = require('./backend/utils/pdfSigner');
+    const { hashContent, matchContentHash } = require('./backend/utils/verification');
+
+    testRules(parseWatermarks);
+    testCopyPolicy(parseWatermarks, getDownloadWatermarks);
+    await testPDF({ parseWatermarks, getDownloadWatermarks, watermarkPDF, signPDF, verifyPDFSignature, hashContent, matchContentHash });
+    await testDOCX({ parseWatermarks, watermarkDOCX });
+  } catch (error) {
+    failures += 1;
+    console.error('\n❌ Watermark checks failed:', error);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+
+  console.log('\n' + '='.repeat(50));
+  console.log(failures === 0 ? '🎉 All watermark checks passed!' : `❌ ${failures} watermark check(s) failed`);
+  return failures === 0;
+};
+
+module.exports = {
+  runWatermarkTests
+};
+
+// Run checks if this file is executed directly
+if (require.main === module) {
+  runWatermarkTests().then(passed => process.exit(passed ? 0 : 1));
+}